@@ -0,0 +1,345 @@
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, Download, Loader2, Upload, Users } from 'lucide-react';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+import { formatUnits } from './format';
+import { HOOK_TEMPLATES } from './hookData';
+import {
+  BATCH_CSV_TEMPLATE,
+  buildResultsCsv,
+  groupBySourceChain,
+  parseBatchCsv,
+  quoteBatch
+} from './payouts';
+
+const RESULT_ICONS = {
+  completed: <CheckCircle className="w-4 h-4 text-green-400" />,
+  failed: <AlertCircle className="w-4 h-4 text-red-400" />,
+  running: <Loader2 className="w-4 h-4 text-blue-400 animate-spin" />
+};
+
+const downloadCsv = (filename, csv) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Pay many recipients from one CSV: validate rows, quote fees, approve once per
+// source chain and run each payout through the regular burn and mint flow
+const BatchPayouts = ({
+  account,
+  balanceUnits,
+  feeQuoteService,
+  switchNetwork,
+  ensureAllowance,
+  executeTransfer,
+  isProcessing,
+  setIsProcessing
+}) => {
+  const [csvText, setCsvText] = useState('');
+  const [defaultSourceChain, setDefaultSourceChain] = useState(() => chainIdByKey('ethereum'));
+  const [fast, setFast] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  const [results, setResults] = useState({});
+  const [status, setStatus] = useState(null);
+
+  const rows = csvText.trim() ? parseBatchCsv(csvText, { defaultSourceChain }) : [];
+  const validRows = rows.filter(row => row.errors.length === 0);
+  const groups = groupBySourceChain(rows);
+  const total = validRows.reduce((sum, row) => sum + row.amountInUnits, 0n);
+
+  // Re-quote whenever the rows or the transfer mode change
+  useEffect(() => {
+    if (validRows.length === 0) {
+      setQuote(null);
+      setQuoteError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const nextQuote = await quoteBatch(validRows, { feeQuoteService, fast });
+        if (!cancelled) {
+          setQuote(nextQuote);
+          setQuoteError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setQuote(null);
+          setQuoteError(error.message);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [csvText, defaultSourceChain, fast]);
+
+  const loadFile = async (e) => {
+    const [file] = e.target.files;
+    if (file) setCsvText(await file.text());
+    e.target.value = '';
+  };
+
+  const setResult = (line, changes) => setResults(prev => ({ ...prev, [line]: { ...prev[line], ...changes } }));
+
+  // Approve each source chain's total once, then pay its rows one by one.
+  // A failed row is recorded and the batch moves on to the next one.
+  const executeBatch = async () => {
+    setIsProcessing(true);
+    setResults({});
+    let completed = 0;
+
+    try {
+      for (const group of groups) {
+        const sourceName = CHAIN_CONFIG[group.sourceChain].name;
+        try {
+          setStatus({ status: 'pending', message: `Preparing ${sourceName} payouts...` });
+          await switchNetwork(group.sourceChain);
+          await ensureAllowance(
+            { sourceChain: group.sourceChain, amountInUnits: group.total },
+            ({ message }) => setStatus({ status: 'pending', message: `${sourceName}: ${message}` })
+          );
+        } catch (error) {
+          console.error('Batch approval error:', error);
+          group.rows.forEach(row => setResult(row.line, { status: 'failed', error: `Approval failed: ${error.message}` }));
+          continue;
+        }
+
+        for (const row of group.rows) {
+          const fee = quote.fees[row.line];
+          if (!fee) {
+            setResult(row.line, { status: 'failed', error: 'No fee quote for this row; quote the batch again' });
+            continue;
+          }
+          setResult(row.line, { status: 'running', message: 'Starting...' });
+          try {
+            const transfer = await executeTransfer({
+              sourceChain: row.sourceChain,
+              destinationChain: row.destinationChain,
+              amount: row.amount,
+              amountInUnits: row.amountInUnits,
+              maxFeeInUnits: fee.fee,
+              recipient: row.recipient,
+              fast: fee.fast,
+              hook: row.hook,
+              hookData: row.hookData
+            }, ({ message }) => setResult(row.line, { message }));
+            setResult(row.line, {
+              status: 'completed',
+              message: 'Completed',
+              burnTxHash: transfer.burnTxHash,
+              mintTxHash: transfer.mintTxHash
+            });
+            completed++;
+          } catch (error) {
+            console.error(`Batch row ${row.line} error:`, error);
+            setResult(row.line, {
+              status: 'failed',
+              error: error.message || 'Unknown error',
+              burnTxHash: error.transfer?.burnTxHash,
+              mintTxHash: error.transfer?.mintTxHash
+            });
+          }
+        }
+      }
+
+      setStatus({
+        status: completed === validRows.length ? 'success' : 'error',
+        message: `${completed} of ${validRows.length} payouts completed.`
+      });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const hasResults = Object.keys(results).length > 0;
+
+  return (
+    <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800 space-y-4">
+      <h2 className="text-xl font-bold flex items-center">
+        <Users className="w-5 h-5 mr-2" />
+        Batch Payouts
+      </h2>
+      <p className="text-sm text-gray-400">
+        Upload a CSV with columns <span className="font-mono">recipient, destination_chain, amount, hook, source_chain</span>.
+        Chains may be names or chain IDs; hook and source chain are optional.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className={`flex items-center space-x-2 px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg ${
+          isProcessing ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:border-gray-600'
+        }`}>
+          <Upload className="w-4 h-4" />
+          <span className="text-sm">Upload CSV</span>
+          <input type="file" accept=".csv,text/csv" onChange={loadFile} disabled={isProcessing} className="hidden" />
+        </label>
+        <button
+          onClick={() => setCsvText(BATCH_CSV_TEMPLATE)}
+          disabled={isProcessing}
+          className="text-sm text-blue-400 hover:text-blue-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Load example
+        </button>
+        <div className="flex items-center space-x-2 ml-auto">
+          <span className="text-sm text-gray-400">Default source:</span>
+          <select
+            value={defaultSourceChain}
+            onChange={(e) => setDefaultSourceChain(parseInt(e.target.value))}
+            disabled={isProcessing}
+            className="px-3 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none text-sm disabled:opacity-50"
+          >
+            {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
+              <option key={chainId} value={chainId}>{config.icon} {config.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <textarea
+        value={csvText}
+        onChange={(e) => setCsvText(e.target.value)}
+        rows={6}
+        disabled={isProcessing}
+        className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none font-mono text-xs disabled:opacity-50"
+        placeholder={BATCH_CSV_TEMPLATE}
+      />
+
+      <label className="flex items-center space-x-2 text-sm">
+        <input type="checkbox" checked={fast} onChange={(e) => setFast(e.target.checked)} disabled={isProcessing} />
+        <span>Use Fast Transfer where available</span>
+      </label>
+
+      {rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-400 border-b border-gray-800">
+                <th className="py-2 pr-3">Line</th>
+                <th className="py-2 pr-3">Recipient</th>
+                <th className="py-2 pr-3">Route</th>
+                <th className="py-2 pr-3 text-right">Amount</th>
+                <th className="py-2 pr-3 text-right">Fee</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => {
+                const result = results[row.line];
+                const fee = quote?.fees[row.line];
+                return (
+                  <tr key={row.line} className="border-b border-gray-800/50 align-top">
+                    <td className="py-2 pr-3 text-gray-400">{row.line}</td>
+                    <td className="py-2 pr-3 font-mono text-xs">
+                      {row.recipient.slice(0, 6)}...{row.recipient.slice(-4)}
+                      {row.hook && <span className="ml-1" title={HOOK_TEMPLATES[row.hook].name}>{HOOK_TEMPLATES[row.hook].icon}</span>}
+                    </td>
+                    <td className="py-2 pr-3">
+                      {CHAIN_CONFIG[row.sourceChain]?.name || '?'} → {CHAIN_CONFIG[row.destinationChain]?.name || '?'}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{row.amount}</td>
+                    <td className="py-2 pr-3 text-right">{fee ? formatUnits(fee.fee) : '-'}</td>
+                    <td className="py-2">
+                      {row.errors.length > 0 ? (
+                        <span className="text-xs text-red-400">{row.errors.join('; ')}</span>
+                      ) : result ? (
+                        <span className="flex items-center space-x-2 text-xs">
+                          {RESULT_ICONS[result.status]}
+                          <span className={result.status === 'failed' ? 'text-red-400' : 'text-gray-400'}>
+                            {result.error || result.message}
+                          </span>
+                        </span>
+                      ) : (
+                        <span className="text-xs text-gray-400">Ready</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {validRows.length > 0 && (
+        <div className="p-4 bg-gray-800/50 rounded-lg space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-400">Valid Rows:</span>
+            <span>{validRows.length} of {rows.length}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Total:</span>
+            <span>{formatUnits(total)} USDC</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Estimated Fees:</span>
+            <span>{quote ? `${formatUnits(quote.totalFee)} USDC` : quoteError ? 'Unavailable' : 'Loading...'}</span>
+          </div>
+          {quoteError && <p className="text-xs text-red-400">{quoteError}</p>}
+          {quote && fast && Object.values(quote.fees).some(fee => fee.fallbackReason) && (
+            <p className="text-xs text-yellow-400">Some routes fall back to Standard Transfer.</p>
+          )}
+          <div className="pt-2 border-t border-gray-700 space-y-1">
+            {groups.map((group) => {
+              const balance = balanceUnits[group.sourceChain];
+              const insufficient = balance !== undefined && balance < group.total;
+              return (
+                <div key={group.sourceChain} className="flex justify-between text-xs">
+                  <span className="text-gray-400">
+                    {CHAIN_CONFIG[group.sourceChain].icon} {CHAIN_CONFIG[group.sourceChain].name}: {group.rows.length} payout{group.rows.length === 1 ? '' : 's'}, one approval
+                  </span>
+                  <span className={insufficient ? 'text-red-400' : ''}>
+                    {formatUnits(group.total)} USDC{insufficient ? ` (balance ${formatUnits(balance)})` : ''}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex space-x-3">
+        <button
+          onClick={executeBatch}
+          disabled={!account || isProcessing || validRows.length === 0 || !quote}
+          className="flex-1 py-3 rounded-xl font-bold bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isProcessing ? 'Processing...' : `Pay ${validRows.length} Recipient${validRows.length === 1 ? '' : 's'}`}
+        </button>
+        {hasResults && (
+          <button
+            onClick={() => downloadCsv(`payouts-${Date.now()}.csv`, buildResultsCsv(rows, results))}
+            disabled={isProcessing}
+            className="flex items-center space-x-2 px-4 py-3 rounded-xl bg-gray-800 border border-gray-700 hover:border-gray-600 disabled:opacity-50"
+          >
+            <Download className="w-4 h-4" />
+            <span>Results CSV</span>
+          </button>
+        )}
+      </div>
+
+      {!account && <p className="text-xs text-yellow-400">Connect your wallet to run the batch.</p>}
+
+      {status && (
+        <div className="flex items-center space-x-2 text-sm">
+          {status.status === 'success' ? (
+            <CheckCircle className="w-4 h-4 text-green-400" />
+          ) : status.status === 'error' ? (
+            <AlertCircle className="w-4 h-4 text-red-400" />
+          ) : (
+            <Loader2 className="w-4 h-4 text-blue-400 animate-spin" />
+          )}
+          <span>{status.message}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPayouts;
@@ -0,0 +1,260 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle, Loader2, Wallet } from 'lucide-react';
+import { createAttestationClient } from './attestation';
+import { createFeeQuoteService } from './feeQuotes';
+import { CHAIN_CONFIG, IS_TESTNET } from './chains';
+import { parseUnits, shortenHex } from './format';
+import { createTransferStore } from './transferStore';
+import { createPaymentFlow } from './paymentFlow';
+import { MOCK_WALLET_ENABLED, connectWalletConnect, createMockWallet, discoverInjectedWallets, requestAccounts } from './wallets';
+import WalletPicker from './WalletPicker';
+
+export const CHECKOUT_MESSAGE_SOURCE = 'cctp-checkout';
+
+const THEMES = {
+  dark: {
+    card: 'bg-gray-900 text-white border-gray-800',
+    muted: 'text-gray-400',
+    input: 'bg-gray-800 border-gray-700',
+    step: 'bg-gray-800'
+  },
+  light: {
+    card: 'bg-white text-gray-900 border-gray-200',
+    muted: 'text-gray-500',
+    input: 'bg-gray-50 border-gray-300',
+    step: 'bg-gray-100'
+  }
+};
+
+const STEPS = [
+  { event: 'approved', label: 'Approved' },
+  { event: 'burned', label: 'Burned' },
+  { event: 'attested', label: 'Attested' },
+  { event: 'minted', label: 'Minted' }
+];
+
+// Lifecycle event names and the widget props that receive them
+export const CHECKOUT_CALLBACKS = {
+  approved: 'onApproved',
+  burned: 'onBurned',
+  attested: 'onAttested',
+  minted: 'onMinted',
+  error: 'onError'
+};
+
+const attestationClient = createAttestationClient();
+const feeQuoteService = createFeeQuoteService();
+const transferStore = createTransferStore({ key: IS_TESTNET ? 'cctp-checkout:testnet:transfers' : 'cctp-checkout:transfers' });
+
+// Embeddable checkout: the merchant fixes amount, recipient and settlement chain, the payer
+// picks a source chain. Lifecycle events go to the on* callbacks and, when `postMessageTarget`
+// and its `targetOrigin` are set, to that window as { source: 'cctp-checkout', event, payload }.
+// Payers pick a wallet from the wallet layer (EIP-6963, WalletConnect, mock) unless the host
+// passes a connected `wallet` ({ id, name, icon, provider }).
+const CheckoutWidget = ({
+  merchant,
+  amount,
+  destinationChain,
+  allowedChains = Object.keys(CHAIN_CONFIG).map(Number),
+  theme = 'dark',
+  fast = true,
+  reference = null,
+  wallet: hostWallet = null,
+  postMessageTarget = null,
+  targetOrigin = null,
+  ...callbacks
+}) => {
+  const sourceChains = allowedChains.map(Number).filter(chainId => CHAIN_CONFIG[chainId] && chainId !== Number(destinationChain));
+  const [wallet, setWallet] = useState(hostWallet);
+  const [availableWallets, setAvailableWallets] = useState([]);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const [walletError, setWalletError] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [sourceChain, setSourceChain] = useState(sourceChains[0]);
+  const [completedSteps, setCompletedSteps] = useState([]);
+  const [status, setStatus] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+
+  const styles = THEMES[theme] || THEMES.dark;
+
+  let amountInUnits = null;
+  let configError = null;
+  try {
+    amountInUnits = parseUnits(amount);
+    if (!/^0x[0-9a-fA-F]{40}$/.test(merchant || '')) throw new Error('Invalid merchant address');
+    if (!CHAIN_CONFIG[destinationChain]) throw new Error(`Unsupported settlement chain ${destinationChain}`);
+    if (sourceChains.length === 0) throw new Error('No allowed source chains');
+  } catch (error) {
+    configError = error.message;
+  }
+
+  const emit = (event, payload) => {
+    if (event !== 'error') setCompletedSteps(prev => [...prev, event]);
+    callbacks[CHECKOUT_CALLBACKS[event]]?.(payload);
+    if (postMessageTarget && targetOrigin) {
+      postMessageTarget.postMessage({ source: CHECKOUT_MESSAGE_SOURCE, event, payload }, targetOrigin);
+    }
+  };
+
+  // Discover injected wallets (EIP-6963), plus the mock wallet in development
+  useEffect(() => discoverInjectedWallets((wallets) => {
+    setAvailableWallets(MOCK_WALLET_ENABLED ? [...wallets, createMockWallet()] : wallets);
+  }), []);
+
+  // Connect the host's wallet directly, otherwise let the payer pick one; `null` starts a
+  // WalletConnect session
+  const connectWallet = async (selected) => {
+    setWalletError(null);
+    try {
+      const nextWallet = selected || await connectWalletConnect();
+      const accounts = await requestAccounts(nextWallet);
+      setWallet(nextWallet);
+      setAccount(accounts[0]);
+      setShowWalletPicker(false);
+    } catch (error) {
+      const message = error.message || 'Unable to connect wallet';
+      if (selected === hostWallet) setStatus({ status: 'error', message });
+      else setWalletError(message);
+    }
+  };
+
+  const connect = () => {
+    if (hostWallet) connectWallet(hostWallet);
+    else setShowWalletPicker(true);
+  };
+
+  const pay = async () => {
+    setIsProcessing(true);
+    setCompletedSteps([]);
+    setStatus({ status: 'pending', message: 'Quoting fees...' });
+
+    let quote;
+    try {
+      quote = await feeQuoteService.getQuote({
+        sourceDomain: CHAIN_CONFIG[sourceChain].domain,
+        destinationDomain: CHAIN_CONFIG[destinationChain].domain,
+        amountInUnits,
+        fast
+      });
+    } catch (error) {
+      setStatus({ status: 'error', message: `Unable to quote fees: ${error.message}` });
+      emit('error', { message: error.message, transfer: null });
+      setIsProcessing(false);
+      return;
+    }
+
+    // The payment flow emits its own 'error' event when a step fails
+    try {
+      const flow = createPaymentFlow({ account, attestationClient, transferStore, provider: wallet.provider, onEvent: emit });
+      await flow.executeTransfer({
+        sourceChain,
+        destinationChain: Number(destinationChain),
+        amount: String(amount),
+        amountInUnits,
+        maxFeeInUnits: quote.fee,
+        recipient: merchant,
+        fast: quote.fast,
+        reference
+      }, setStatus);
+    } catch (error) {
+      console.error('Checkout error:', error);
+      setStatus({ status: 'error', message: error.message || 'Payment failed' });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div className={`rounded-2xl border p-5 space-y-4 max-w-sm ${styles.card}`}>
+      {showWalletPicker && (
+        <WalletPicker
+          wallets={availableWallets}
+          onSelect={connectWallet}
+          onClose={() => setShowWalletPicker(false)}
+          error={walletError}
+        />
+      )}
+
+      {IS_TESTNET && (
+        <p className="text-xs font-bold text-center py-1 rounded bg-yellow-500 text-black">
+          TESTNET: test USDC only
+        </p>
+      )}
+
+      <div>
+        <p className={`text-sm ${styles.muted}`}>Pay</p>
+        <p className="text-2xl font-bold">{amount} USDC</p>
+        <p className={`text-xs ${styles.muted}`}>
+          to <span className="font-mono">{merchant ? shortenHex(merchant) : '?'}</span> on {CHAIN_CONFIG[destinationChain]?.name || '?'}
+          {reference && ` · ${reference}`}
+        </p>
+      </div>
+
+      {configError ? (
+        <p className="text-sm text-red-500">{configError}</p>
+      ) : (
+        <>
+          <div>
+            <label className={`block text-sm mb-1 ${styles.muted}`}>Pay From</label>
+            <select
+              value={sourceChain}
+              onChange={(e) => setSourceChain(parseInt(e.target.value))}
+              disabled={isProcessing}
+              className={`w-full px-3 py-2 border rounded-lg focus:outline-none ${styles.input}`}
+            >
+              {sourceChains.map(chainId => (
+                <option key={chainId} value={chainId}>{CHAIN_CONFIG[chainId].icon} {CHAIN_CONFIG[chainId].name}</option>
+              ))}
+            </select>
+          </div>
+
+          {account ? (
+            <button
+              onClick={pay}
+              disabled={isProcessing || completedSteps.includes('minted')}
+              className="w-full py-3 rounded-xl font-bold text-white bg-gradient-to-r from-blue-500 to-purple-500 disabled:opacity-50"
+            >
+              {isProcessing ? 'Processing...' : completedSteps.includes('minted') ? 'Paid' : `Pay ${amount} USDC`}
+            </button>
+          ) : (
+            <button
+              onClick={connect}
+              className="w-full py-3 rounded-xl font-bold text-white bg-gradient-to-r from-blue-500 to-purple-500 flex items-center justify-center space-x-2"
+            >
+              <Wallet className="w-4 h-4" />
+              <span>Connect Wallet</span>
+            </button>
+          )}
+
+          <div className="grid grid-cols-4 gap-1">
+            {STEPS.map(step => (
+              <div
+                key={step.event}
+                className={`text-center text-xs py-1 rounded ${
+                  completedSteps.includes(step.event) ? 'bg-green-500/20 text-green-500' : `${styles.step} ${styles.muted}`
+                }`}
+              >
+                {step.label}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {status && (
+        <div className="flex items-center space-x-2 text-sm">
+          {status.status === 'success' ? (
+            <CheckCircle className="w-4 h-4 text-green-500" />
+          ) : status.status === 'error' ? (
+            <AlertCircle className="w-4 h-4 text-red-500" />
+          ) : (
+            <Loader2 className="w-4 h-4 text-blue-500 animate-spin" />
+          )}
+          <span>{status.message}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckoutWidget;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { AlertCircle, Fuel, Loader2 } from 'lucide-react';
+import { CHAIN_CONFIG } from './chains';
+import { formatNativeAmount } from './gasEstimates';
+import { formatUnits } from './format';
+
+const burnCount = (estimate) => (estimate.parts.length > 1 ? ` ×${estimate.parts.length}` : '');
+
+// Network cost preview from paymentFlow.preflight: gas for the approval and burn on the
+// source chain and the mint on the destination chain, paid in each chain's native token
+const CostEstimate = ({ preflight, sourceChain, destinationChain }) => {
+  const { estimate, error, warning, loading } = preflight;
+
+  if (error) {
+    return (
+      <div className="p-3 rounded-lg border border-red-500/30 bg-red-500/10 flex items-start space-x-2 text-sm text-red-300">
+        <AlertCircle className="w-4 h-4 mt-0.5 shrink-0" />
+        <span>{error}</span>
+      </div>
+    );
+  }
+
+  if (warning) return <p className="text-xs text-yellow-400">{warning}</p>;
+
+  if (loading) {
+    return (
+      <div className="flex items-center space-x-2 text-xs text-gray-400">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        <span>Simulating payment and estimating network costs...</span>
+      </div>
+    );
+  }
+
+  if (!estimate) return null;
+
+  const rows = [
+    {
+      label: `${CHAIN_CONFIG[sourceChain].name} (${estimate.needsApproval ? 'approve + burn' : 'burn'}${burnCount(estimate)})`,
+      cost: estimate.sourceCost,
+      chainId: sourceChain,
+      approximate: !estimate.estimated.approve || !estimate.estimated.burn,
+      sponsored: estimate.sponsored
+    },
+    {
+      label: `${CHAIN_CONFIG[destinationChain].name} (mint${burnCount(estimate)})`,
+      cost: estimate.destinationCost,
+      chainId: destinationChain,
+      approximate: !estimate.estimated.mint
+    }
+  ];
+
+  return (
+    <div className="p-3 bg-gray-800/50 rounded-lg space-y-1 text-sm">
+      <div className="flex items-center space-x-2 text-gray-400">
+        <Fuel className="w-4 h-4" />
+        <span>Estimated Network Costs</span>
+      </div>
+      {rows.map(row => (
+        <div key={row.chainId} className="flex justify-between">
+          <span className="text-gray-400">{row.label}:</span>
+          {row.sponsored ? (
+            <span className="text-green-400">Sponsored</span>
+          ) : (
+            <span title={`Up to ${formatNativeAmount(row.cost.max, row.chainId)}`}>
+              {row.approximate ? '~' : ''}{formatNativeAmount(row.cost.expected, row.chainId)}
+            </span>
+          )}
+        </div>
+      ))}
+      {estimate.safe ? (
+        <p className="text-xs text-gray-400">
+          {estimate.batched ? 'The approval and burn are proposed as one Safe transaction. ' : ''}
+          Source chain gas is paid by the owner who executes it.
+        </p>
+      ) : estimate.batched && (
+        <p className="text-xs text-gray-400">Your wallet approves and burns in a single confirmation.</p>
+      )}
+      {estimate.parts.length > 1 && (
+        <p className="text-xs text-yellow-400">
+          Above the per-message burn limit of {formatUnits(estimate.burnLimit)} USDC: this payment is split
+          into {estimate.parts.length} burns and mints.
+        </p>
+      )}
+      {!estimate.simulated && (
+        <p className="text-xs text-yellow-400">
+          The RPC node could not simulate the burn, so it is only checked after approval.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CostEstimate;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { CHAIN_CONFIG } from './chains';
+import { HOOK_TEMPLATES, encodeHookData, validateHookParams } from './hookData';
+
+const inputClassName = 'w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none';
+
+// Typed parameter inputs for the selected hook, with an encoded hookData preview.
+// Read-only when the hook comes from a signed payment request.
+const HookParamsForm = ({ hookKey, values, onChange, readOnly = false }) => {
+  const template = HOOK_TEMPLATES[hookKey];
+  const errors = validateHookParams(hookKey, values);
+  const isValid = Object.keys(errors).length === 0;
+
+  const hookData = isValid ? encodeHookData(hookKey, values) : null;
+
+  return (
+    <div className="mt-4 p-4 bg-gray-800/50 rounded-lg space-y-3">
+      {template.params.map(param => (
+        <div key={param.name}>
+          <label className="block text-sm text-gray-400 mb-1">{param.label}</label>
+          {param.kind === 'chain' ? (
+            <select
+              value={values[param.name]}
+              onChange={(e) => onChange({ ...values, [param.name]: e.target.value })}
+              disabled={readOnly}
+              className={inputClassName}
+            >
+              {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
+                <option key={chainId} value={chainId}>{config.icon} {config.name}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={values[param.name]}
+              onChange={(e) => onChange({ ...values, [param.name]: e.target.value })}
+              readOnly={readOnly}
+              className={`${inputClassName} ${param.kind === 'address' ? 'font-mono text-sm' : ''}`}
+              placeholder={param.kind === 'address' ? '0x...' : ''}
+            />
+          )}
+          {errors[param.name] && (
+            <p className="text-xs text-red-400 mt-1">{errors[param.name]}</p>
+          )}
+        </div>
+      ))}
+
+      {hookData && (
+        <div className="pt-2 border-t border-gray-700 space-y-1">
+          <p className="text-xs text-gray-400">Encoded hook data</p>
+          <p className="font-mono text-xs break-all">{hookData}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HookParamsForm;
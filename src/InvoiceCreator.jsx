@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { Copy, FileText, QrCode } from 'lucide-react';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+import { parseUnits } from './format';
+import HookParamsForm from './HookParamsForm';
+import { HOOK_TEMPLATES, defaultHookParams, encodeHookData, validateHookParams } from './hookData';
+import { encodeInvoiceUrl, signInvoice } from './invoices';
+
+const inputClassName = 'w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none';
+
+// Merchants sign a payment request with their wallet and share it as a link or QR code
+const InvoiceCreator = ({ account, provider }) => {
+  const [amount, setAmount] = useState('');
+  const [destinationChain, setDestinationChain] = useState(() => chainIdByKey('base'));
+  const [recipient, setRecipient] = useState('');
+  const [hookKey, setHookKey] = useState('');
+  const [hookParams, setHookParams] = useState({});
+  const [expiryHours, setExpiryHours] = useState('24');
+  const [reference, setReference] = useState('');
+  const [invoiceUrl, setInvoiceUrl] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSigning, setIsSigning] = useState(false);
+
+  useEffect(() => {
+    if (!invoiceUrl) {
+      setQrCode(null);
+      return;
+    }
+    QRCode.toDataURL(invoiceUrl, { margin: 1, width: 240 })
+      .then(setQrCode)
+      .catch((err) => {
+        console.error('Error rendering QR code:', err);
+        setQrCode(null);
+      });
+  }, [invoiceUrl]);
+
+  const selectHook = (key) => {
+    setHookKey(key);
+    setHookParams(key ? defaultHookParams(key) : {});
+  };
+
+  const hookInvalid = Boolean(hookKey) && Object.keys(validateHookParams(hookKey, hookParams)).length > 0;
+
+  const createInvoice = async () => {
+    setError(null);
+    setInvoiceUrl(null);
+    setIsSigning(true);
+    try {
+      const amountInUnits = parseUnits(amount);
+      if (amountInUnits <= 0n) throw new Error('Amount must be greater than zero');
+
+      const payTo = recipient.trim() || account;
+      if (!/^0x[0-9a-fA-F]{40}$/.test(payTo)) throw new Error('Enter a valid recipient address');
+
+      const hours = Number(expiryHours);
+      if (!(hours > 0)) throw new Error('Expiry must be a positive number of hours');
+
+      const signed = await signInvoice({
+        merchant: account,
+        recipient: payTo,
+        destinationChain,
+        amount: amountInUnits,
+        hookData: hookKey ? encodeHookData(hookKey, hookParams) : '0x',
+        expiry: Math.floor(Date.now() / 1000 + hours * 3600),
+        reference: reference.trim()
+      }, provider);
+      setInvoiceUrl(encodeInvoiceUrl(signed));
+    } catch (err) {
+      console.error('Invoice error:', err);
+      setError(err.message || 'Unable to create payment request');
+    } finally {
+      setIsSigning(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800 space-y-4">
+      <h2 className="text-xl font-bold flex items-center">
+        <FileText className="w-5 h-5 mr-2" />
+        Request Payment
+      </h2>
+      <p className="text-sm text-gray-400">
+        Sign a payment request with your wallet. Payers opening the link can only choose the chain they pay from.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Amount (USDC)</label>
+          <input
+            type="text"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className={inputClassName}
+            placeholder="100.00"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Settle To</label>
+          <select
+            value={destinationChain}
+            onChange={(e) => setDestinationChain(parseInt(e.target.value))}
+            className={inputClassName}
+          >
+            {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
+              <option key={chainId} value={chainId}>{config.icon} {config.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm text-gray-400 mb-2">Recipient Address</label>
+          <input
+            type="text"
+            value={recipient}
+            onChange={(e) => setRecipient(e.target.value)}
+            className={`${inputClassName} font-mono text-sm`}
+            placeholder={account || '0x...'}
+          />
+          <p className="text-xs text-gray-500 mt-1">Defaults to the connected wallet, which signs as the merchant</p>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Expires In (hours)</label>
+          <input
+            type="number"
+            value={expiryHours}
+            onChange={(e) => setExpiryHours(e.target.value)}
+            className={inputClassName}
+            min="1"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-400 mb-2">Reference / Memo</label>
+          <input
+            type="text"
+            value={reference}
+            onChange={(e) => setReference(e.target.value)}
+            className={inputClassName}
+            placeholder="INV-1042"
+          />
+        </div>
+        <div className="md:col-span-2">
+          <label className="block text-sm text-gray-400 mb-2">Post-Transfer Automation</label>
+          <select value={hookKey} onChange={(e) => selectHook(e.target.value)} className={inputClassName}>
+            <option value="">None</option>
+            {Object.entries(HOOK_TEMPLATES).map(([key, hook]) => (
+              <option key={key} value={key}>{hook.icon} {hook.name}</option>
+            ))}
+          </select>
+          {hookKey && <HookParamsForm hookKey={hookKey} values={hookParams} onChange={setHookParams} />}
+        </div>
+      </div>
+
+      <button
+        onClick={createInvoice}
+        disabled={!account || isSigning || !amount || hookInvalid}
+        className="w-full py-3 rounded-xl font-bold bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {isSigning ? 'Waiting for signature...' : 'Sign & Create Link'}
+      </button>
+
+      {!account && <p className="text-xs text-yellow-400">Connect your wallet to sign payment requests.</p>}
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {invoiceUrl && (
+        <div className="p-4 bg-gray-800/50 rounded-lg space-y-3">
+          <div className="flex items-center space-x-2">
+            <input type="text" value={invoiceUrl} readOnly className="flex-1 px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg font-mono text-xs" />
+            <button
+              onClick={() => navigator.clipboard.writeText(invoiceUrl)}
+              className="p-2 rounded-lg bg-gray-900 border border-gray-700 hover:border-gray-600"
+              title="Copy link"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+          {qrCode && (
+            <div className="flex flex-col items-center space-y-2">
+              <img src={qrCode} alt="Payment request QR code" className="w-60 h-60 rounded-lg bg-white" />
+              <p className="text-xs text-gray-400 flex items-center">
+                <QrCode className="w-3 h-3 mr-1" />
+                Scan to open the payment request
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceCreator;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { AlertCircle, Code } from 'lucide-react';
+import { bytes32ToAddress, inspectMessage } from './cctpMessage';
+import { formatUnits } from './format';
+import { decodeHookData } from './hookData';
+import { CHAIN_CONFIG } from './chains';
+
+const Field = ({ label, value, mono }) => (
+  <div className="flex justify-between space-x-4">
+    <span className="text-gray-400 whitespace-nowrap">{label}:</span>
+    <span className={`text-right break-all ${mono ? 'font-mono text-xs' : ''}`}>{value}</span>
+  </div>
+);
+
+// Paste a raw CCTP V2 message to see its header and burn message fields
+const MessageInspector = () => {
+  const [rawMessage, setRawMessage] = useState('');
+
+  let inspection = null;
+  let error = null;
+  const trimmed = rawMessage.trim();
+  if (trimmed) {
+    try {
+      if (!/^(0x)?([0-9a-fA-F]{2})+$/.test(trimmed)) throw new Error('Message must be hex encoded');
+      inspection = inspectMessage(trimmed);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  const header = inspection?.header;
+  const body = inspection?.body;
+
+  // Hook data written by this gateway decodes into its typed parameters
+  let hook = null;
+  if (body && body.hookData !== '0x') {
+    try {
+      hook = decodeHookData(body.hookData);
+    } catch (err) {
+      hook = null;
+    }
+  }
+
+  return (
+    <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800 space-y-4">
+      <h2 className="text-xl font-bold flex items-center">
+        <Code className="w-5 h-5 mr-2" />
+        Message Inspector
+      </h2>
+      <p className="text-sm text-gray-400">
+        Decode a CCTP V2 message, as emitted in MessageSent or returned by the attestation API.
+      </p>
+
+      <textarea
+        value={rawMessage}
+        onChange={(e) => setRawMessage(e.target.value)}
+        rows={5}
+        className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none font-mono text-xs"
+        placeholder="0x00000001..."
+      />
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {inspection && (
+        <div className="space-y-4 text-sm">
+          {inspection.warnings.length > 0 && (
+            <div className="p-3 bg-yellow-900/20 border border-yellow-800 rounded-lg space-y-1">
+              {inspection.warnings.map(warning => (
+                <p key={warning} className="text-xs text-yellow-400 flex items-center">
+                  <AlertCircle className="w-3 h-3 mr-2" />
+                  {warning}
+                </p>
+              ))}
+            </div>
+          )}
+
+          <div className="p-4 bg-gray-800/50 rounded-lg space-y-2">
+            <p className="font-medium">
+              Header {inspection.attested ? '(attested)' : '(as emitted, not yet attested)'}
+            </p>
+            <Field label="Version" value={header.version} />
+            <Field label="Source Domain" value={`${header.sourceDomain} (${inspection.source.name})`} />
+            <Field label="Destination Domain" value={`${header.destinationDomain} (${inspection.destination.name})`} />
+            <Field label="Nonce" value={header.nonce} mono />
+            <Field label="Sender" value={bytes32ToAddress(header.sender)} mono />
+            <Field label="Recipient" value={bytes32ToAddress(header.recipient)} mono />
+            <Field label="Destination Caller" value={bytes32ToAddress(header.destinationCaller)} mono />
+            <Field label="Min Finality Threshold" value={header.minFinalityThreshold} />
+            <Field label="Finality Threshold Executed" value={header.finalityThresholdExecuted} />
+          </div>
+
+          {body && (
+            <div className="p-4 bg-gray-800/50 rounded-lg space-y-2">
+              <p className="font-medium">Burn Message</p>
+              <Field label="Version" value={body.version} />
+              <Field label="Burn Token" value={bytes32ToAddress(body.burnToken)} mono />
+              <Field label="Mint Recipient" value={bytes32ToAddress(body.mintRecipient)} mono />
+              <Field label="Amount" value={`${formatUnits(body.amount)} USDC`} />
+              <Field label="Message Sender" value={bytes32ToAddress(body.messageSender)} mono />
+              <Field label="Max Fee" value={`${formatUnits(body.maxFee)} USDC`} />
+              <Field label="Fee Executed" value={`${formatUnits(body.feeExecuted)} USDC`} />
+              <Field label="Net Minted" value={`${formatUnits(inspection.netAmount)} USDC`} />
+              <Field label="Expiration Block" value={body.expirationBlock.toString()} />
+              <Field label="Hook Data" value={body.hookData === '0x' ? 'None' : body.hookData} mono />
+            </div>
+          )}
+
+          {hook && (
+            <div className="p-4 bg-gray-800/50 rounded-lg space-y-2">
+              <p className="font-medium">{hook.template.icon} {hook.template.name} (v{hook.version})</p>
+              {hook.template.params.map(param => (
+                <Field
+                  key={param.name}
+                  label={param.label}
+                  value={param.kind === 'chain' ? CHAIN_CONFIG[hook.values[param.name]]?.name || hook.values[param.name] : hook.values[param.name]}
+                  mono={param.kind === 'address'}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageInspector;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   AlertCircle,
   CheckCircle,
@@ -10,272 +10,299 @@ import {
   Zap,
   Settings,
   Globe,
-  Wallet
+  Wallet,
+  RefreshCw,
+  History,
+  ShieldAlert,
+  ShieldCheck,
+  X
 } from 'lucide-react';
-
-// Chain configurations for CCTP V2
-const CHAIN_CONFIG = {
-  1: {
-    name: 'Ethereum',
-    domain: 0,
-    chainIdHex: '0x1',
-    messageTransmitter: '0x0a992d191DEeC32aFe36203Ad87D7d289a738F81',
-    tokenMessenger: '0xBd3fa81B58Ba92a82136038B25aDec7066af3155',
-    usdc: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
-    icon: '🌐',
-    color: 'bg-blue-500',
-    explorer: 'https://etherscan.io'
-  },
-  42161: {
-    name: 'Arbitrum',
-    domain: 3,
-    chainIdHex: '0xa4b1',
-    messageTransmitter: '0xC30362313FBBA5cf9163F0bb16a0e01f01A896ca',
-    tokenMessenger: '0x19330d10D9Cc8751218eaf51E8885D058642E08A',
-    usdc: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
-    icon: '🔷',
-    color: 'bg-sky-500',
-    explorer: 'https://arbiscan.io'
-  },
-  8453: {
-    name: 'Base',
-    domain: 6,
-    chainIdHex: '0x2105',
-    messageTransmitter: '0x1a58c91AAf06468eB4921Dd7b5B8293F2E20c03b',
-    tokenMessenger: '0xd203De32170130082896b4111eDF825a4774c18E',
-    usdc: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-    icon: '🔵',
-    color: 'bg-indigo-500',
-    explorer: 'https://basescan.org'
-  },
-  43114: {
-    name: 'Avalanche',
-    domain: 1,
-    chainIdHex: '0xa86a',
-    messageTransmitter: '0x8186359aF5F57FbB40c6b14A588d2A59C0C29880',
-    tokenMessenger: '0x6B25532e1060CE10cc3B0A99e5683b91BFDe6982',
-    usdc: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E',
-    icon: '🔺',
-    color: 'bg-red-500',
-    explorer: 'https://snowtrace.io'
-  },
-  59144: {
-    name: 'Linea',
-    domain: 9,
-    chainIdHex: '0xe708',
-    messageTransmitter: '0x4D41f22c5a0e5c74090899E5a8Fb597a8842b3e8',
-    tokenMessenger: '0xb1141bF80C0B5676c8a6e9f9c8F4dC4c8Fb8f7d0',
-    usdc: '0x176211869cA2b568f2A7D4EE941E073a821EE1ff',
-    icon: '⚡',
-    color: 'bg-purple-500',
-    explorer: 'https://lineascan.build'
-  },
-  146: {
-    name: 'Sonic',
-    domain: 10,
-    chainIdHex: '0x92',
-    messageTransmitter: '0x1234567890abcdef1234567890abcdef12345678',
-    tokenMessenger: '0xabcdef1234567890abcdef1234567890abcdef12',
-    usdc: '0x29219dD400f2Bf60E5a23d13Be72B486D4038894',
-    icon: '🎵',
-    color: 'bg-green-500',
-    explorer: 'https://sonicscan.io'
-  }
+import { createAttestationClient } from './attestation';
+import { createFeeQuoteService, FINALITY_THRESHOLDS } from './feeQuotes';
+import { CHAIN_CONFIG, IS_TESTNET, NETWORK, NETWORKS, REJECTED_CHAINS, chainIdByKey, setNetwork } from './chains';
+import { CHAIN_HEALTH, verifyChainContracts } from './chainHealth';
+import { fetchAllBalances } from './balances';
+import { formatUnits, parseUnits, shortenHex, toDecimalString } from './format';
+import { isContractAddress, validateAmount, validateRecipient } from './validation';
+import RecoverTransfer from './RecoverTransfer';
+import MessageInspector from './MessageInspector';
+import HookParamsForm from './HookParamsForm';
+import TreasuryRebalancer from './TreasuryRebalancer';
+import BatchPayouts from './BatchPayouts';
+import InvoiceCreator from './InvoiceCreator';
+import { INVOICE_URL_PARAM, decodeInvoiceParam, verifyInvoice } from './invoices';
+import { HOOK_TEMPLATES, defaultHookParams, encodeHookData, validateHookParams } from './hookData';
+import { createTransferStore, isResumable, TRANSFER_STATUS } from './transferStore';
+import { APPROVAL_MODES } from './approvals';
+import { createPaymentFlow, switchChain, transferDetails } from './paymentFlow';
+import { TX_STATES } from './transactions';
+import { PAYMENT_STEPS, createPaymentMachine } from './paymentMachine';
+import PaymentProgress from './PaymentProgress';
+import CostEstimate from './CostEstimate';
+import { isAddress, toChecksumAddress } from './address';
+import { createSafeClient } from './safe';
+import WalletPicker from './WalletPicker';
+import NetworkNotice from './NetworkNotice';
+import TestnetBanner from './TestnetBanner';
+import {
+  MOCK_WALLET_ENABLED,
+  connectWalletConnect,
+  createMockWallet,
+  disconnectWallet,
+  discoverInjectedWallets,
+  lastWalletId,
+  rememberWallet,
+  requestAccounts
+} from './wallets';
+
+const VIEWS = {
+  pay: 'Pay',
+  batch: 'Batch Payouts',
+  invoice: 'Request Payment',
+  recover: 'Recover Transfer',
+  inspect: 'Inspect Message'
 };
 
-// Hook templates for automated actions
-const HOOK_TEMPLATES = {
-  autoSwap: {
-    name: 'Auto Swap to Native Token',
-    description: 'Automatically swap received USDC to native token',
-    icon: '🔄',
-    hookData: '0x01'
-  },
-  autoDeposit: {
-    name: 'Auto Deposit to DeFi',
-    description: 'Deposit received USDC into lending protocol',
-    icon: '🏦',
-    hookData: '0x02'
-  },
-  autoStake: {
-    name: 'Auto Stake for Rewards',
-    description: 'Stake USDC for yield generation',
-    icon: '📈',
-    hookData: '0x03'
-  },
-  treasuryRebalance: {
-    name: 'Treasury Auto-Rebalance',
-    description: 'Automatically rebalance to preferred chain',
-    icon: '⚖️',
-    hookData: '0x04'
-  }
+const TRANSFER_STATUS_LABELS = {
+  [TRANSFER_STATUS.burning]: { label: 'Burning', className: 'text-blue-400' },
+  [TRANSFER_STATUS.awaitingAttestation]: { label: 'Awaiting Attestation', className: 'text-yellow-400' },
+  [TRANSFER_STATUS.minting]: { label: 'Awaiting Mint', className: 'text-yellow-400' },
+  [TRANSFER_STATUS.completed]: { label: 'Completed', className: 'text-green-400' },
+  [TRANSFER_STATUS.failed]: { label: 'Failed', className: 'text-red-400' }
 };
 
-// Helper functions for Web3 interactions
-const toHex = (num) => '0x' + num.toString(16);
-const fromHex = (hex) => parseInt(hex, 16);
-const padHex = (hex, length) => hex.padStart(length, '0');
-const addressToBytes32 = (address) => '0x000000000000000000000000' + address.slice(2);
-
-// Simple ABI encoding for function calls
-const encodeFunctionCall = (functionName, params) => {
-  const functionSignatures = {
-    approve: '0x095ea7b3',
-    balanceOf: '0x70a08231',
-    decimals: '0x313ce567',
-    depositForBurnWithCaller: '0x8c7af8a5',
-    depositForBurnWithHook: '0x1f9014c5'
-  };
-
-  let data = functionSignatures[functionName];
-
-  if (functionName === 'approve') {
-    data += padHex(params.spender.slice(2), 64);
-    data += padHex(params.amount.toString(16), 64);
-  } else if (functionName === 'balanceOf') {
-    data += padHex(params.account.slice(2), 64);
-  } else if (functionName === 'depositForBurnWithCaller') {
-    data += padHex(params.amount.toString(16), 64);
-    data += padHex(params.destinationDomain.toString(16), 64);
-    data += params.mintRecipient.slice(2);
-    data += padHex(params.burnToken.slice(2), 64);
-    data += params.destinationCaller.slice(2);
-  } else if (functionName === 'depositForBurnWithHook') {
-    data += padHex(params.amount.toString(16), 64);
-    data += padHex(params.destinationDomain.toString(16), 64);
-    data += params.mintRecipient.slice(2);
-    data += padHex(params.burnToken.slice(2), 64);
-    data += padHex('80', 64); // offset for hookData
-    data += padHex((params.hookData.length - 2) / 2, 64); // length of hookData
-    data += params.hookData.slice(2);
-  }
-
-  return data;
+// Transaction watcher states shown on the status card; `failed` covers errors without a state
+const TX_STATE_LABELS = {
+  [TX_STATES.pending]: { label: 'Pending', className: 'text-blue-400' },
+  [TX_STATES.confirming]: { label: 'Confirming', className: 'text-blue-400' },
+  [TX_STATES.confirmed]: { label: 'Confirmed', className: 'text-green-400' },
+  [TX_STATES.repriced]: { label: 'Sped Up', className: 'text-yellow-400' },
+  [TX_STATES.reverted]: { label: 'Reverted', className: 'text-red-400' },
+  [TX_STATES.replaced]: { label: 'Replaced', className: 'text-red-400' },
+  [TX_STATES.dropped]: { label: 'Dropped', className: 'text-red-400' },
+  [TX_STATES.timeout]: { label: 'Timed Out', className: 'text-red-400' },
+  failed: { label: 'Failed', className: 'text-red-400' }
 };
 
-// Parse hex response
-const parseHexResponse = (hex) => {
-  if (!hex || hex === '0x') return '0';
-  return BigInt(hex).toString();
+const attestationClient = createAttestationClient();
+const transferStore = createTransferStore();
+const feeQuoteService = createFeeQuoteService();
+
+// Signed payment request from the page URL, if the payer opened an invoice link
+const loadInvoiceRequest = () => {
+  try {
+    const signed = decodeInvoiceParam();
+    return signed && { ...signed, verification: verifyInvoice(signed) };
+  } catch (error) {
+    console.error('Error reading payment request:', error);
+    return {
+      invoice: null,
+      signature: null,
+      verification: { valid: false, expired: false, hook: null, errors: ['Malformed payment request link'], warnings: [], thirdPartyRecipient: false }
+    };
+  }
 };
 
 const MultichainPaymentGateway = () => {
   const [account, setAccount] = useState(null);
-  const [sourceChain, setSourceChain] = useState(1);
-  const [destinationChain, setDestinationChain] = useState(42161);
-  const [amount, setAmount] = useState('100');
-  const [merchantAddress, setMerchantAddress] = useState('0x742d35Cc6634C0532925a3b844Bc9e7595f8C2B2');
-  const [selectedHook, setSelectedHook] = useState('treasuryRebalance');
+  const [wallet, setWallet] = useState(null);
+  const [availableWallets, setAvailableWallets] = useState([]);
+  const [showWalletPicker, setShowWalletPicker] = useState(false);
+  const [walletError, setWalletError] = useState(null);
+  const [networkNotice, setNetworkNotice] = useState(null);
+  const [view, setView] = useState('pay');
+  // Invoice fields are fixed; the payer only picks the source chain
+  const [invoiceRequest, setInvoiceRequest] = useState(loadInvoiceRequest);
+  const invoice = invoiceRequest?.invoice;
+  const invoiceHook = invoiceRequest?.verification.hook;
+  const [sourceChain, setSourceChain] = useState(() => (
+    invoice && Number(invoice.destinationChain) === chainIdByKey('ethereum') ? chainIdByKey('arbitrum') : chainIdByKey('ethereum')
+  ));
+  const [destinationChain, setDestinationChain] = useState(() => (invoice ? Number(invoice.destinationChain) : chainIdByKey('arbitrum')));
+  const [amount, setAmount] = useState(() => (invoice ? toDecimalString(invoice.amount) : '100'));
+  const [merchantAddress, setMerchantAddress] = useState(() => (invoice ? invoice.recipient : '0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2'));
+  const [selectedHook, setSelectedHook] = useState(() => (invoice ? invoiceHook?.key || null : 'treasuryRebalance'));
+  const [hookParams, setHookParams] = useState(() => (invoice ? invoiceHook?.values || {} : defaultHookParams('treasuryRebalance')));
   const [isProcessing, setIsProcessing] = useState(false);
   const [transactionStatus, setTransactionStatus] = useState(null);
   const [balances, setBalances] = useState({});
+  const [balanceUnits, setBalanceUnits] = useState({});
+  const [balanceErrors, setBalanceErrors] = useState({});
+  const [balancesUpdatedAt, setBalancesUpdatedAt] = useState(null);
+  const [isRefreshingBalances, setIsRefreshingBalances] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [fastTransferEnabled, setFastTransferEnabled] = useState(true);
+  const [maxFee, setMaxFee] = useState('0.5');
+  const [approvalMode, setApprovalMode] = useState('exact');
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  // Route checks, burn simulation and gas cost estimate; `error` blocks the payment
+  const [preflight, setPreflight] = useState({ estimate: null, error: null, warning: null, loading: false });
+  const [transfers, setTransfers] = useState(() => transferStore.list());
+  const [chainHealth, setChainHealth] = useState({});
+  const [payment, setPayment] = useState(null);
+  const paymentMachineRef = useRef(null);
+  const [recipientIsContract, setRecipientIsContract] = useState(false);
+  const [contractConfirmed, setContractConfirmed] = useState(false);
+  // Safe that pays in treasury mode; the connected account must be one of its owners
+  const [safeInput, setSafeInput] = useState('');
+  const [safeInfo, setSafeInfo] = useState(null);
   const [treasurySettings, setTreasurySettings] = useState({
-    preferredChain: 8453,
+    preferredChain: chainIdByKey('base'),
     autoRebalanceThreshold: '1000',
     distributionRules: {
-      1: 20,
-      42161: 30,
-      8453: 50
+      [chainIdByKey('ethereum')]: 20,
+      [chainIdByKey('arbitrum')]: 30,
+      [chainIdByKey('base')]: 50
     }
   });
 
-  // Connect wallet
-  const connectWallet = async () => {
+  // Connect the wallet picked in the wallet picker; `null` starts a WalletConnect session
+  const connectWallet = async (selected) => {
+    setWalletError(null);
     try {
-      if (window.ethereum) {
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-        setAccount(accounts[0]);
-        await updateBalances(accounts[0]);
-      } else {
-        alert('Please install MetaMask to use this application');
-      }
+      const nextWallet = selected || await connectWalletConnect();
+      const accounts = await requestAccounts(nextWallet);
+      setWallet(nextWallet);
+      rememberWallet(nextWallet);
+      setAccount(accounts[0]);
+      setShowWalletPicker(false);
     } catch (error) {
       console.error('Error connecting wallet:', error);
+      setWalletError(error.message || 'Unable to connect wallet');
     }
   };
 
-  // Get USDC balance
-  const getUSDCBalance = async (address, chainId) => {
-    try {
-      const config = CHAIN_CONFIG[chainId];
-
-      // Call balanceOf
-      const balanceData = encodeFunctionCall('balanceOf', { account: address });
-      const balanceResult = await window.ethereum.request({
-        method: 'eth_call',
-        params: [{
-          to: config.usdc,
-          data: balanceData
-        }, 'latest']
-      });
-
-      // Call decimals
-      const decimalsData = encodeFunctionCall('decimals', {});
-      const decimalsResult = await window.ethereum.request({
-        method: 'eth_call',
-        params: [{
-          to: config.usdc,
-          data: decimalsData
-        }, 'latest']
-      });
-
-      const balance = parseHexResponse(balanceResult);
-      const decimals = parseInt(parseHexResponse(decimalsResult));
+  const resetAccount = () => {
+    setAccount(null);
+    setBalances({});
+    setBalanceUnits({});
+    setBalanceErrors({});
+    setBalancesUpdatedAt(null);
+    setNetworkNotice(null);
+  };
 
-      // Convert to human readable format
-      return (parseFloat(balance) / Math.pow(10, decimals)).toFixed(2);
+  const disconnect = async () => {
+    try {
+      await disconnectWallet(wallet);
     } catch (error) {
-      console.error(`Error fetching balance for chain ${chainId}:`, error);
-      return '0';
+      console.error('Error disconnecting wallet:', error);
     }
+    setWallet(null);
+    resetAccount();
   };
 
   // Update USDC balances across chains
   const updateBalances = async (address) => {
-    const newBalances = {};
-
-    // Get current chain ID
-    const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
-    const currentChainIdDec = fromHex(currentChainId);
-
-    // For current chain, get actual balance
-    if (CHAIN_CONFIG[currentChainIdDec]) {
-      newBalances[currentChainIdDec] = await getUSDCBalance(address, currentChainIdDec);
-    }
-
-    // For other chains, show placeholder or cached values
-    for (const chainId of Object.keys(CHAIN_CONFIG)) {
-      if (chainId !== currentChainIdDec.toString()) {
-        newBalances[chainId] = balances[chainId] || '0';
-      }
+    setIsRefreshingBalances(true);
+    try {
+      const { balances: newBalances, units, errors, updatedAt } = await fetchAllBalances(address);
+      setBalances(newBalances);
+      setBalanceUnits(units);
+      setBalanceErrors(errors);
+      setBalancesUpdatedAt(updatedAt);
+    } finally {
+      setIsRefreshingBalances(false);
     }
-
-    setBalances(newBalances);
   };
 
   // Switch network
   const switchNetwork = async (chainId) => {
+    setNetworkNotice(null);
     try {
-      await window.ethereum.request({
-        method: 'wallet_switchEthereumChain',
-        params: [{ chainId: CHAIN_CONFIG[chainId].chainIdHex }],
-      });
-
-      // Update balance for the new chain
-      if (account) {
-        const balance = await getUSDCBalance(account, chainId);
-        setBalances(prev => ({ ...prev, [chainId]: balance }));
-      }
+      await switchChain(chainId, wallet.provider);
     } catch (error) {
-      if (error.code === 4902) {
-        alert('Please add this network to MetaMask');
+      // Rejections, wallets without chain management and chains that were added but not
+      // selected get a notice; anything else only fails the current step
+      if (error.reason) {
+        setNetworkNotice({ reason: error.reason, chainId, message: error.message });
       }
       console.error('Error switching network:', error);
+      throw error;
+    }
+  };
+
+  const safeAddressError = safeInput.trim() && !isAddress(safeInput.trim()) ? 'Enter a valid Safe address' : null;
+  const safeAddress = safeInput.trim() && !safeAddressError ? safeInput.trim() : null;
+  // Address whose USDC is spent and whose balances are shown
+  const payer = safeAddress || account;
+
+  const paymentFlow = createPaymentFlow({
+    account,
+    approvalMode,
+    attestationClient,
+    transferStore,
+    provider: wallet?.provider,
+    switchNetwork,
+    safeAddress
+  });
+
+  const ensureAllowance = (params, report = setTransactionStatus) => paymentFlow.ensureAllowance(params, report);
+
+  // Approve, burn and mint a single transfer, then refresh balances
+  const executeTransfer = async (params, report = setTransactionStatus) => {
+    const transfer = await paymentFlow.executeTransfer(params, report);
+    await updateBalances(payer);
+    return transfer;
+  };
+
+  // Wait for the attestation and mint on the destination chain, then refresh balances
+  const completeTransfer = async (transfer, report = setTransactionStatus) => {
+    const completed = await paymentFlow.completeTransfer(transfer, report);
+    await updateBalances(payer);
+    return completed;
+  };
+
+  // Drive a payment machine action to its final state, then refresh balances and the status card
+  const runPayment = async (machine, action) => {
+    paymentMachineRef.current = machine;
+    setIsProcessing(true);
+    const final = await action();
+    setIsProcessing(false);
+    await updateBalances(payer);
+
+    if (final.step === PAYMENT_STEPS.failed) {
+      const transferId = final.failedPart === null ? null : final.transferIds[final.failedPart];
+      const transfer = transferId ? transferStore.get(transferId) : null;
+      setTransactionStatus({
+        status: 'error',
+        message: final.cancelled ? 'Payment cancelled. Retry to continue from the same step.' : 'Payment failed: ' + final.error,
+        details: transfer ? transferDetails(transfer) : undefined,
+        tx: final.tx
+      });
     }
   };
 
+  const createMachine = (state = null) => createPaymentMachine({
+    flow: paymentFlow,
+    transferStore,
+    state,
+    onChange: setPayment,
+    report: setTransactionStatus
+  });
+
+  // Transfer parameters for the payment form; throws when the hook parameters are invalid
+  const paymentParams = () => {
+    // Invoices use the exact hook data the merchant signed
+    const hookData = invoice
+      ? (invoice.hookData === '0x' ? null : invoice.hookData)
+      : selectedHook && fastTransferEnabled ? encodeHookData(selectedHook, hookParams) : null;
+
+    return {
+      sourceChain,
+      destinationChain,
+      amount,
+      // Invoices carry exact units
+      amountInUnits: invoice ? BigInt(invoice.amount) : amountCheck.units,
+      maxFeeInUnits: maxFeeUnits,
+      recipient: merchantAddress.trim(),
+      fast: fastTransferActive,
+      hook: hookData ? selectedHook : null,
+      hookData,
+      reference: invoice ? invoice.reference : null
+    };
+  };
+
   // Process payment with CCTP V2
   const processPayment = async () => {
     if (!account) {
@@ -283,156 +310,295 @@ const MultichainPaymentGateway = () => {
       return;
     }
 
-    setIsProcessing(true);
-    setTransactionStatus({ status: 'pending', message: 'Initiating payment...' });
-
+    let params;
     try {
-      // Switch to source chain
-      await switchNetwork(sourceChain);
+      if (invoiceRequest) {
+        const { verification } = invoiceRequest;
+        if (!verification.valid) throw new Error(verification.errors.join('; '));
+        if (Number(invoice.expiry) * 1000 <= Date.now()) throw new Error('This payment request has expired');
+      }
 
-      const sourceConfig = CHAIN_CONFIG[sourceChain];
-      const destinationConfig = CHAIN_CONFIG[destinationChain];
+      const inputError = amountCheck.error || recipientError || maxFeeError;
+      if (inputError) throw new Error(inputError);
+      if (preflight.error) throw new Error(preflight.error);
 
-      // Convert amount to smallest unit (6 decimals for USDC)
-      const amountInUnits = Math.floor(parseFloat(amount) * 1e6);
+      params = paymentParams();
+    } catch (error) {
+      setTransactionStatus({ status: 'error', message: 'Payment failed: ' + error.message });
+      return;
+    }
 
-      // Step 1: Approve USDC
-      setTransactionStatus({ status: 'pending', message: 'Approving USDC...' });
+    setTransactionStatus({ status: 'pending', message: 'Initiating payment...' });
+    const machine = createMachine();
+    await runPayment(machine, () => machine.start(params));
+  };
 
-      const approveData = encodeFunctionCall('approve', {
-        spender: sourceConfig.tokenMessenger,
-        amount: amountInUnits
-      });
+  // Continue a failed or cancelled payment from the step that stopped
+  const retryPayment = async () => {
+    const machine = createMachine(payment);
+    await runPayment(machine, () => machine.retry());
+  };
 
-      const approveTx = await window.ethereum.request({
-        method: 'eth_sendTransaction',
-        params: [{
-          from: account,
-          to: sourceConfig.usdc,
-          data: approveData
-        }]
-      });
+  const cancelPayment = () => paymentMachineRef.current?.cancel();
 
-      // Wait for approval transaction
-      let approveReceipt;
-      do {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        approveReceipt = await window.ethereum.request({
-          method: 'eth_getTransactionReceipt',
-          params: [approveTx]
-        });
-      } while (!approveReceipt);
+  // Resume a stored transfer that stopped before its mint completed
+  const resumeTransfer = async (transfer) => {
+    if (!account) {
+      alert('Please connect your wallet first');
+      return;
+    }
 
-      // Step 2: Initiate CCTP transfer
+    setIsProcessing(true);
+    try {
+      await completeTransfer(transferStore.get(transfer.id));
+    } catch (error) {
+      console.error('Resume error:', error);
+      transferStore.update(transfer.id, { status: TRANSFER_STATUS.failed, error: error.message });
       setTransactionStatus({
-        status: 'pending',
-        message: fastTransferEnabled ? 'Initiating Fast Transfer...' : 'Initiating Standard Transfer...'
+        status: 'error',
+        message: 'Resume failed: ' + (error.message || 'Unknown error'),
+        details: transferDetails(transfer),
+        tx: error.tx
       });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
 
-      const mintRecipient = addressToBytes32(merchantAddress);
-      let burnData;
-
-      if (selectedHook && fastTransferEnabled) {
-        // Use depositForBurnWithHook
-        burnData = encodeFunctionCall('depositForBurnWithHook', {
-          amount: amountInUnits,
-          destinationDomain: destinationConfig.domain,
-          mintRecipient: mintRecipient,
-          burnToken: sourceConfig.usdc,
-          hookData: HOOK_TEMPLATES[selectedHook].hookData
-        });
-      } else {
-        // Use depositForBurnWithCaller
-        const destinationCaller = addressToBytes32('0x0000000000000000000000000000000000000000');
-        burnData = encodeFunctionCall('depositForBurnWithCaller', {
-          amount: amountInUnits,
-          destinationDomain: destinationConfig.domain,
-          mintRecipient: mintRecipient,
-          burnToken: sourceConfig.usdc,
-          destinationCaller: destinationCaller
+  const isChainDisabled = (chainId) => chainHealth[chainId]?.status === CHAIN_HEALTH.disabled;
+
+  // Check once per load that every configured contract is deployed
+  useEffect(() => {
+    let cancelled = false;
+    verifyChainContracts().then(health => {
+      if (!cancelled) setChainHealth(health);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Refresh the fee quote whenever the route, amount or transfer mode changes
+  useEffect(() => {
+    const { units, error } = validateAmount(amount);
+    const amountInUnits = error ? 0n : units;
+    if (!amountInUnits || sourceChain === destinationChain) {
+      setQuote(null);
+      setQuoteError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const nextQuote = await feeQuoteService.getQuote({
+          sourceDomain: CHAIN_CONFIG[sourceChain].domain,
+          destinationDomain: CHAIN_CONFIG[destinationChain].domain,
+          amountInUnits,
+          fast: fastTransferEnabled
         });
+        if (!cancelled) {
+          setQuote(nextQuote);
+          setQuoteError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setQuote(null);
+          setQuoteError(error.message);
+        }
       }
+    }, 300);
 
-      const burnTx = await window.ethereum.request({
-        method: 'eth_sendTransaction',
-        params: [{
-          from: account,
-          to: sourceConfig.tokenMessenger,
-          data: burnData
-        }]
-      });
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sourceChain, destinationChain, amount, fastTransferEnabled]);
 
-      // Wait for burn transaction
-      let burnReceipt;
-      do {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        burnReceipt = await window.ethereum.request({
-          method: 'eth_getTransactionReceipt',
-          params: [burnTx]
-        });
-      } while (!burnReceipt);
+  const totalBalance = Object.values(balances).reduce((sum, balance) => sum + parseFloat(balance || 0), 0);
 
-      setTransactionStatus({
-        status: 'success',
-        message: `Payment sent successfully!`,
-        details: {
-          from: sourceConfig.name,
-          to: destinationConfig.name,
-          amount: amount + ' USDC',
-          recipient: merchantAddress,
-          txHash: burnTx,
-          estimatedTime: fastTransferEnabled ? '~10 seconds' : '~15 minutes',
-          hook: selectedHook ? HOOK_TEMPLATES[selectedHook].name : 'None'
-        }
-      });
+  const selectHook = (key) => {
+    setSelectedHook(key);
+    if (key) setHookParams(defaultHookParams(key));
+  };
+
+  const hookInvalid = Boolean(selectedHook && fastTransferEnabled) &&
+    Object.keys(validateHookParams(selectedHook, hookParams)).length > 0;
+
+  const invoiceExpired = Boolean(invoice) && Number(invoice.expiry) * 1000 <= Date.now();
+  const invoiceBlocked = Boolean(invoiceRequest) && (!invoiceRequest.verification.valid || invoiceExpired);
+
+  // Inline validation of the payment fields; any error disables the pay button
+  const sourceBalance = account && !balanceErrors[sourceChain] ? balanceUnits[sourceChain] ?? null : null;
+  const amountCheck = validateAmount(amount, { balance: sourceBalance });
+  const recipientError = validateRecipient(merchantAddress);
+
+  let maxFeeUnits = null;
+  let maxFeeError = null;
+  try {
+    maxFeeUnits = parseUnits(maxFee || '0');
+    if (amountCheck.units !== null && maxFeeUnits >= amountCheck.units) {
+      maxFeeError = 'Max fee must be lower than the payment amount';
+    }
+  } catch (error) {
+    maxFeeError = `Max fee: ${error.message}`;
+  }
 
-      // Simulate attestation completion
-      if (fastTransferEnabled) {
-        setTimeout(() => {
-          setTransactionStatus(prev => ({
-            ...prev,
-            message: 'Transfer completed! Funds received on destination chain.',
-            attestationReceived: true
-          }));
-        }, 5000);
+  // A Safe can only be used once its owners are known and include the connected account
+  const safeBlocked = Boolean(safeAddressError) || (Boolean(safeAddress) && !safeInfo?.isOwner);
+
+  const paymentBlocked = Boolean(amountCheck.error || recipientError || maxFeeError || preflight.error) ||
+    (recipientIsContract && !contractConfirmed) || safeBlocked;
+
+  // Warn before paying to a contract on the destination chain; lookups that fail are ignored
+  useEffect(() => {
+    setRecipientIsContract(false);
+    setContractConfirmed(false);
+    if (validateRecipient(merchantAddress)) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const isContract = await isContractAddress(merchantAddress.trim(), destinationChain);
+        if (!cancelled) setRecipientIsContract(isContract);
+      } catch (error) {
+        console.error('Error checking recipient address:', error);
       }
+    }, 400);
 
-      // Update balance after transfer
-      setTimeout(() => updateBalances(account), 10000);
-    } catch (error) {
-      console.error('Payment error:', error);
-      setTransactionStatus({
-        status: 'error',
-        message: 'Payment failed: ' + (error.message || 'Unknown error')
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [merchantAddress, destinationChain]);
+
+  // Load the Safe's owners and threshold on the source chain
+  useEffect(() => {
+    setSafeInfo(null);
+    if (!safeAddress) return;
+
+    let cancelled = false;
+    createSafeClient({ chainId: sourceChain }).getSafe(safeAddress)
+      .then(({ owners, threshold }) => {
+        const isOwner = Boolean(account) && owners.some(owner => owner.toLowerCase() === account.toLowerCase());
+        if (!cancelled) setSafeInfo({ owners, threshold, isOwner, error: null });
+      })
+      .catch((error) => {
+        console.error('Error loading Safe:', error);
+        if (!cancelled) {
+          setSafeInfo({ owners: [], threshold: null, isOwner: false, error: `Unable to load the Safe on ${CHAIN_CONFIG[sourceChain].name}` });
+        }
       });
-    } finally {
-      setIsProcessing(false);
-    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [safeAddress, sourceChain, account]);
+
+  // Refresh balances whenever the paying address changes
+  useEffect(() => {
+    if (payer) updateBalances(payer);
+  }, [payer]);
+
+  // Leave invoice mode, keeping the pre-filled values editable
+  const exitInvoice = () => {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(INVOICE_URL_PARAM);
+    window.history.replaceState(null, '', url.toString());
+    setInvoiceRequest(null);
   };
 
-  // Listen for account changes
+  // Fast Transfer is only used when the quote confirms it is available
+  const fastTransferActive = fastTransferEnabled && (!quote || quote.fast);
+
+  // Check the route's CCTP limits, simulate the burn and estimate network costs once the
+  // payment fields are valid
+  const preflightReady = Boolean(account) && !isProcessing && sourceChain !== destinationChain &&
+    !amountCheck.error && !recipientError && !maxFeeError && !hookInvalid && !safeBlocked;
   useEffect(() => {
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length > 0) {
-          setAccount(accounts[0]);
-          updateBalances(accounts[0]);
+    setPreflight({ estimate: null, error: null, warning: null, loading: preflightReady });
+    if (!preflightReady) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      let next;
+      try {
+        next = { estimate: await paymentFlow.preflight(paymentParams()), error: null, warning: null };
+      } catch (error) {
+        console.error('Pre-flight check failed:', error);
+        if (error.routeErrors) {
+          next = { estimate: null, error: error.routeErrors.join('. '), warning: null };
+        } else if (error.reverted) {
+          next = { estimate: null, error: `Payment would fail: ${error.reason}`, warning: null };
         } else {
-          setAccount(null);
-          setBalances({});
+          next = { estimate: null, error: null, warning: `Unable to estimate network costs: ${error.message}` };
         }
-      });
+      }
+      if (!cancelled) setPreflight({ ...next, loading: false });
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [
+    preflightReady,
+    account,
+    sourceChain,
+    destinationChain,
+    amount,
+    merchantAddress,
+    maxFee,
+    fastTransferActive,
+    selectedHook,
+    hookParams,
+    approvalMode,
+    invoice,
+    safeAddress
+  ]);
+
+  // Keep the history panel in sync with the transfer store
+  useEffect(() => transferStore.subscribe(() => setTransfers(transferStore.list())), []);
+
+  // Discover injected wallets (EIP-6963), plus the mock wallet in development
+  useEffect(() => discoverInjectedWallets((wallets) => {
+    setAvailableWallets(MOCK_WALLET_ENABLED ? [...wallets, createMockWallet()] : wallets);
+  }), []);
+
+  // Silently reconnect the last used injected wallet if it is still authorised
+  useEffect(() => {
+    if (wallet) return;
+    const lastWallet = availableWallets.find(candidate => candidate.id === lastWalletId());
+    if (!lastWallet) return;
+
+    lastWallet.provider.request({ method: 'eth_accounts' })
+      .then((accounts) => {
+        if (accounts.length === 0) return;
+        setWallet(lastWallet);
+        setAccount(accounts[0]);
+      })
+      .catch(error => console.error('Error reconnecting wallet:', error));
+  }, [availableWallets]);
 
-      window.ethereum.on('chainChanged', () => {
-        if (account) {
-          updateBalances(account);
-        }
-      });
-    }
-  }, [account]);
+  // Listen for account changes on the connected wallet
+  useEffect(() => {
+    if (!wallet) return undefined;
+
+    const onAccountsChanged = (accounts) => {
+      if (accounts.length > 0) {
+        setAccount(accounts[0]);
+      } else {
+        resetAccount();
+      }
+    };
+    wallet.provider.on?.('accountsChanged', onAccountsChanged);
+    return () => wallet.provider.removeListener?.('accountsChanged', onAccountsChanged);
+  }, [wallet]);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 via-blue-900 to-purple-900 text-white">
+      {IS_TESTNET && <TestnetBanner />}
+
       {/* Header */}
       <header className="border-b border-gray-800 bg-black/30 backdrop-blur-xl">
         <div className="max-w-7xl mx-auto px-4 py-4">
@@ -449,17 +615,52 @@ const MultichainPaymentGateway = () => {
               </div>
             </div>
 
+            <nav className="flex items-center space-x-2">
+              {Object.entries(VIEWS).map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setView(key)}
+                  className={`px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                    view === key ? 'bg-blue-500/20 text-white' : 'text-gray-400 hover:text-white'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+              <div className="flex items-center ml-2 p-0.5 rounded-lg bg-gray-800 text-xs">
+                {Object.values(NETWORKS).map(network => (
+                  <button
+                    key={network}
+                    onClick={() => network !== NETWORK && setNetwork(network)}
+                    disabled={isProcessing}
+                    className={`px-2 py-1 rounded-md capitalize disabled:cursor-not-allowed ${
+                      network === NETWORK
+                        ? network === NETWORKS.testnet ? 'bg-yellow-500 text-black font-bold' : 'bg-gray-600 text-white'
+                        : 'text-gray-400 hover:text-white'
+                    }`}
+                    title={network === NETWORK ? undefined : `Switch to ${network} (reloads the app)`}
+                  >
+                    {network}
+                  </button>
+                ))}
+              </div>
+            </nav>
+
             {account ? (
               <div className="flex items-center space-x-4">
                 <div className="text-right">
-                  <p className="text-sm text-gray-400">Connected</p>
+                  <p className="text-sm text-gray-400">{wallet ? wallet.name : 'Connected'}</p>
                   <p className="font-mono text-sm">{account.slice(0, 6)}...{account.slice(-4)}</p>
+                  {safeAddress && <p className="text-xs text-green-400">via Safe {shortenHex(safeAddress)}</p>}
                 </div>
                 <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></div>
+                <button onClick={disconnect} className="text-xs text-gray-400 hover:text-white">
+                  Disconnect
+                </button>
               </div>
             ) : (
               <button
-                onClick={connectWallet}
+                onClick={() => setShowWalletPicker(true)}
                 className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg hover:from-blue-600 hover:to-purple-600 transition-all duration-200"
               >
                 <Wallet className="w-4 h-4" />
@@ -470,318 +671,651 @@ const MultichainPaymentGateway = () => {
         </div>
       </header>
 
+      {showWalletPicker && (
+        <WalletPicker
+          wallets={availableWallets}
+          onSelect={connectWallet}
+          onClose={() => setShowWalletPicker(false)}
+          error={walletError}
+        />
+      )}
+
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 py-8">
+        {networkNotice && (
+          <NetworkNotice
+            notice={networkNotice}
+            onRetry={() => switchNetwork(networkNotice.chainId).catch(() => {})}
+            onDismiss={() => setNetworkNotice(null)}
+          />
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+          {view === 'batch' && (
+            <div className="lg:col-span-2 space-y-6">
+              <BatchPayouts
+                account={account}
+                balanceUnits={balanceUnits}
+                feeQuoteService={feeQuoteService}
+                switchNetwork={switchNetwork}
+                ensureAllowance={ensureAllowance}
+                executeTransfer={executeTransfer}
+                isProcessing={isProcessing}
+                setIsProcessing={setIsProcessing}
+              />
+            </div>
+          )}
+
+          {view === 'invoice' && (
+            <div className="lg:col-span-2 space-y-6">
+              <InvoiceCreator account={account} provider={wallet?.provider} />
+            </div>
+          )}
+
+          {view === 'recover' && (
+            <div className="lg:col-span-2 space-y-6">
+              <RecoverTransfer
+                account={account}
+                provider={wallet?.provider}
+                attestationClient={attestationClient}
+                switchNetwork={switchNetwork}
+                transferStore={transferStore}
+              />
+            </div>
+          )}
+
+          {view === 'inspect' && (
+            <div className="lg:col-span-2 space-y-6">
+              <MessageInspector />
+            </div>
+          )}
+
           {/* Payment Form */}
-          <div className="lg:col-span-2 space-y-6">
-            {/* Chain Selection */}
-            <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
-              <h2 className="text-xl font-bold mb-4 flex items-center">
-                <ArrowRightLeft className="w-5 h-5 mr-2" />
-                Select Payment Route
-              </h2>
-
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {/* Source Chain */}
-                <div>
-                  <label className="block text-sm text-gray-400 mb-2">Pay From</label>
-                  <div className="space-y-2">
-                    {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
-                      <button
-                        key={chainId}
-                        onClick={() => setSourceChain(parseInt(chainId))}
-                        className={`w-full p-3 rounded-lg border transition-all duration-200 ${
-                          sourceChain === parseInt(chainId)
-                            ? 'border-blue-500 bg-blue-500/20'
-                            : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
-                        }`}
-                      >
-                        <div className="flex items-center justify-between">
-                          <div className="flex items-center space-x-3">
-                            <span className="text-2xl">{config.icon}</span>
-                            <span className="font-medium">{config.name}</span>
-                          </div>
-                          <span className="text-sm text-gray-400">
-                            {balances[chainId] || '0'} USDC
-                          </span>
-                        </div>
-                      </button>
-                    ))}
+          {view === 'pay' && (
+            <div className="lg:col-span-2 space-y-6">
+              {/* Payment Request */}
+              {invoiceRequest && (
+                <div className={`p-4 rounded-2xl border space-y-2 text-sm ${
+                  invoiceBlocked
+                    ? 'bg-red-900/20 border-red-800'
+                    : invoiceRequest.verification.thirdPartyRecipient ? 'bg-yellow-900/20 border-yellow-800' : 'bg-green-900/20 border-green-800'
+                }`}>
+                  <div className="flex items-center justify-between">
+                    <p className="font-medium flex items-center">
+                      {invoiceBlocked ? (
+                        <ShieldAlert className="w-4 h-4 mr-2 text-red-400" />
+                      ) : invoiceRequest.verification.thirdPartyRecipient ? (
+                        <ShieldAlert className="w-4 h-4 mr-2 text-yellow-400" />
+                      ) : (
+                        <ShieldCheck className="w-4 h-4 mr-2 text-green-400" />
+                      )}
+                      {invoiceRequest.verification.valid ? 'Signed Payment Request' : 'Unverified Payment Request'}
+                    </p>
+                    <button onClick={exitInvoice} className="text-gray-400 hover:text-white" title="Exit payment request">
+                      <X className="w-4 h-4" />
+                    </button>
                   </div>
-                </div>
-
-                {/* Destination Chain */}
-                <div>
-                  <label className="block text-sm text-gray-400 mb-2">Settle To</label>
-                  <div className="space-y-2">
-                    {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
-                      <button
-                        key={chainId}
-                        onClick={() => setDestinationChain(parseInt(chainId))}
-                        disabled={parseInt(chainId) === sourceChain}
-                        className={`w-full p-3 rounded-lg border transition-all duration-200 ${
-                          destinationChain === parseInt(chainId)
-                            ? 'border-purple-500 bg-purple-500/20'
-                            : parseInt(chainId) === sourceChain
-                            ? 'border-gray-800 bg-gray-900/50 opacity-50 cursor-not-allowed'
-                            : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
-                        }`}
-                      >
-                        <div className="flex items-center justify-between">
-                          <div className="flex items-center space-x-3">
-                            <span className="text-2xl">{config.icon}</span>
-                            <span className="font-medium">{config.name}</span>
-                          </div>
-                          {fastTransferEnabled && (
-                            <Zap className="w-4 h-4 text-yellow-400" />
-                          )}
+                  {invoice && (
+                    <>
+                      {invoice.reference && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-400">Reference:</span>
+                          <span>{invoice.reference}</span>
                         </div>
-                      </button>
-                    ))}
-                  </div>
+                      )}
+                      {/* Full addresses: the signature only proves the link was signed by this merchant address */}
+                      <div className="flex justify-between space-x-4">
+                        <span className="text-gray-400 shrink-0">Merchant:</span>
+                        <span className="font-mono text-xs break-all text-right">{toChecksumAddress(invoice.merchant)}</span>
+                      </div>
+                      <div className="flex justify-between space-x-4">
+                        <span className="text-gray-400 shrink-0">Recipient:</span>
+                        <span className={`font-mono text-xs break-all text-right ${invoiceRequest.verification.thirdPartyRecipient ? 'text-yellow-400' : ''}`}>
+                          {toChecksumAddress(invoice.recipient)}
+                        </span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-400">Expires:</span>
+                        <span className={invoiceExpired ? 'text-red-400' : ''}>
+                          {new Date(Number(invoice.expiry) * 1000).toLocaleString()}
+                        </span>
+                      </div>
+                    </>
+                  )}
+                  {invoiceRequest.verification.errors.map(error => (
+                    <p key={error} className="text-xs text-red-400">{error}</p>
+                  ))}
+                  {invoiceRequest.verification.warnings.map(warning => (
+                    <p key={warning} className="text-xs text-yellow-400">{warning}</p>
+                  ))}
+                  {invoiceRequest.verification.valid && (
+                    <p className="text-xs text-gray-400">
+                      Anyone can sign a payment request. Only pay if you recognise the full merchant address above.
+                    </p>
+                  )}
+                  {invoiceExpired && <p className="text-xs text-red-400">This payment request has expired.</p>}
                 </div>
-              </div>
-            </div>
+              )}
 
-            {/* Payment Details */}
-            <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
-              <h2 className="text-xl font-bold mb-4 flex items-center">
-                <DollarSign className="w-5 h-5 mr-2" />
-                Payment Details
-              </h2>
-
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm text-gray-400 mb-2">Amount (USDC)</label>
-                  <input
-                    type="number"
-                    value={amount}
-                    onChange={(e) => setAmount(e.target.value)}
-                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none"
-                    placeholder="Enter amount"
-                  />
-                </div>
+              {/* Chain Selection */}
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
+                <h2 className="text-xl font-bold mb-4 flex items-center">
+                  <ArrowRightLeft className="w-5 h-5 mr-2" />
+                  Select Payment Route
+                </h2>
 
-                <div>
-                  <label className="block text-sm text-gray-400 mb-2">Merchant Address</label>
-                  <input
-                    type="text"
-                    value={merchantAddress}
-                    onChange={(e) => setMerchantAddress(e.target.value)}
-                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none font-mono text-sm"
-                    placeholder="0x..."
-                  />
-                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {/* Source Chain */}
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-2">Pay From</label>
+                    <div className="space-y-2">
+                      {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
+                        <button
+                          key={chainId}
+                          onClick={() => setSourceChain(parseInt(chainId))}
+                          disabled={(Boolean(invoice) && parseInt(chainId) === destinationChain) || isChainDisabled(chainId)}
+                          className={`w-full p-3 rounded-lg border transition-all duration-200 ${
+                            sourceChain === parseInt(chainId)
+                              ? 'border-blue-500 bg-blue-500/20'
+                              : (invoice && parseInt(chainId) === destinationChain) || isChainDisabled(chainId)
+                              ? 'border-gray-800 bg-gray-900/50 opacity-50 cursor-not-allowed'
+                              : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                          }`}
+                        >
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center space-x-3">
+                              <span className="text-2xl">{config.icon}</span>
+                              <span className="font-medium">{config.name}</span>
+                            </div>
+                            <span className="text-sm text-gray-400">
+                              {balanceErrors[chainId] ? 'Unavailable' : `${balances[chainId] || '0'} USDC`}
+                            </span>
+                          </div>
+                        </button>
+                      ))}
+                    </div>
+                  </div>
 
-                {/* Transfer Mode Toggle */}
-                <div className="flex items-center justify-between p-4 bg-gray-800/50 rounded-lg">
-                  <div className="flex items-center space-x-3">
-                    <Zap className={`w-5 h-5 ${fastTransferEnabled ? 'text-yellow-400' : 'text-gray-600'}`} />
-                    <div>
-                      <p className="font-medium">Fast Transfer</p>
-                      <p className="text-xs text-gray-400">
-                        {fastTransferEnabled ? 'Settlement in ~10 seconds' : 'Standard finality ~15 minutes'}
-                      </p>
+                  {/* Destination Chain */}
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-2">Settle To</label>
+                    <div className="space-y-2">
+                      {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
+                        <button
+                          key={chainId}
+                          onClick={() => setDestinationChain(parseInt(chainId))}
+                          disabled={Boolean(invoice) || parseInt(chainId) === sourceChain || isChainDisabled(chainId)}
+                          className={`w-full p-3 rounded-lg border transition-all duration-200 ${
+                            destinationChain === parseInt(chainId)
+                              ? 'border-purple-500 bg-purple-500/20'
+                              : parseInt(chainId) === sourceChain || isChainDisabled(chainId)
+                              ? 'border-gray-800 bg-gray-900/50 opacity-50 cursor-not-allowed'
+                              : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                          }`}
+                        >
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center space-x-3">
+                              <span className="text-2xl">{config.icon}</span>
+                              <span className="font-medium">{config.name}</span>
+                            </div>
+                            {fastTransferEnabled && (
+                              <Zap className="w-4 h-4 text-yellow-400" />
+                            )}
+                          </div>
+                        </button>
+                      ))}
                     </div>
                   </div>
-                  <button
-                    onClick={() => setFastTransferEnabled(!fastTransferEnabled)}
-                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                      fastTransferEnabled ? 'bg-blue-500' : 'bg-gray-700'
-                    }`}
-                  >
-                    <span
-                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                        fastTransferEnabled ? 'translate-x-6' : 'translate-x-1'
-                      }`}
-                    />
-                  </button>
                 </div>
               </div>
-            </div>
 
-            {/* Hooks Selection */}
-            {fastTransferEnabled && (
+              {/* Payment Details */}
               <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
                 <h2 className="text-xl font-bold mb-4 flex items-center">
-                  <Settings className="w-5 h-5 mr-2" />
-                  Automated Actions (Hooks)
+                  <DollarSign className="w-5 h-5 mr-2" />
+                  Payment Details
                 </h2>
 
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                  {Object.entries(HOOK_TEMPLATES).map(([key, hook]) => (
-                    <button
-                      key={key}
-                      onClick={() => setSelectedHook(selectedHook === key ? null : key)}
-                      className={`p-4 rounded-lg border transition-all duration-200 text-left ${
-                        selectedHook === key
-                          ? 'border-purple-500 bg-purple-500/20'
-                          : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-2">Amount (USDC)</label>
+                    <input
+                      type="text"
+                      inputMode="decimal"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                      readOnly={Boolean(invoice)}
+                      className={`w-full px-4 py-3 bg-gray-800 border rounded-lg focus:outline-none ${
+                        amountCheck.error ? 'border-red-500' : 'border-gray-700 focus:border-blue-500'
                       }`}
-                    >
-                      <div className="flex items-start space-x-3">
-                        <span className="text-2xl">{hook.icon}</span>
-                        <div className="flex-1">
-                          <p className="font-medium">{hook.name}</p>
-                          <p className="text-xs text-gray-400 mt-1">{hook.description}</p>
+                      placeholder="Enter amount"
+                    />
+                    {amountCheck.error && <p className="text-xs text-red-400 mt-1">{amountCheck.error}</p>}
+
+                    {quote && (
+                      <div className="mt-2 p-3 bg-gray-800/50 rounded-lg space-y-1 text-sm">
+                        <div className="flex justify-between">
+                          <span className="text-gray-400">{quote.fast ? 'Fast Transfer Fee:' : 'Standard Transfer Fee:'}</span>
+                          <span>{quote.feeBps} bps ({formatUnits(quote.fee)} USDC)</span>
                         </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-400">Merchant Receives:</span>
+                          <span>{formatUnits(quote.netAmount)} USDC</span>
+                        </div>
+                        {quote.allowance !== null && (
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Fast Transfer Allowance:</span>
+                            <span className={quote.allowanceSufficient ? 'text-green-400' : 'text-yellow-400'}>
+                              {quote.allowanceSufficient ? 'Sufficient' : 'Insufficient'}
+                            </span>
+                          </div>
+                        )}
+                        {quote.fallbackReason && (
+                          <p className="text-xs text-yellow-400">{quote.fallbackReason}. Falling back to Standard Transfer.</p>
+                        )}
+                        {maxFeeUnits !== null && quote.fee > maxFeeUnits && (
+                          <p className="text-xs text-yellow-400">Max fee is below the quoted fee.</p>
+                        )}
                       </div>
-                    </button>
-                  ))}
-                </div>
-              </div>
-            )}
+                    )}
+                    {quoteError && (
+                      <p className="text-xs text-red-400 mt-2">Unable to load fee quote: {quoteError}</p>
+                    )}
+                  </div>
 
-            {/* Advanced Settings */}
-            <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl border border-gray-800 overflow-hidden">
-              <button
-                onClick={() => setShowAdvanced(!showAdvanced)}
-                className="w-full p-4 flex items-center justify-between hover:bg-gray-800/30 transition-colors"
-              >
-                <span className="font-medium">Advanced Treasury Settings</span>
-                <span className="text-gray-400">{showAdvanced ? '−' : '+'}</span>
-              </button>
+                  <div>
+                    <label className="block text-sm text-gray-400 mb-2">Merchant Address</label>
+                    <input
+                      type="text"
+                      value={merchantAddress}
+                      onChange={(e) => setMerchantAddress(e.target.value)}
+                      readOnly={Boolean(invoice)}
+                      className={`w-full px-4 py-3 bg-gray-800 border rounded-lg focus:outline-none font-mono text-sm ${
+                        recipientError ? 'border-red-500' : 'border-gray-700 focus:border-blue-500'
+                      }`}
+                      placeholder="0x..."
+                    />
+                    {recipientError && <p className="text-xs text-red-400 mt-1">{recipientError}</p>}
+                    {recipientIsContract && (
+                      <label className="flex items-start space-x-2 mt-2 p-3 rounded-lg bg-yellow-500/10 border border-yellow-500/30 text-xs text-yellow-300">
+                        <input
+                          type="checkbox"
+                          checked={contractConfirmed}
+                          onChange={(e) => setContractConfirmed(e.target.checked)}
+                          className="mt-0.5"
+                        />
+                        <span>
+                          This address is a contract on {CHAIN_CONFIG[destinationChain].name}. Funds sent to a contract that
+                          cannot transfer USDC are lost. Confirm the merchant controls it to continue.
+                        </span>
+                      </label>
+                    )}
+                  </div>
+
+                  {/* Transfer Mode Toggle */}
+                  <div className="flex items-center justify-between p-4 bg-gray-800/50 rounded-lg">
+                    <div className="flex items-center space-x-3">
+                      <Zap className={`w-5 h-5 ${fastTransferEnabled ? 'text-yellow-400' : 'text-gray-600'}`} />
+                      <div>
+                        <p className="font-medium">Fast Transfer</p>
+                        <p className="text-xs text-gray-400">
+                          {fastTransferActive
+                            ? 'Settlement in ~10 seconds'
+                            : fastTransferEnabled && quote?.fallbackReason
+                            ? `${quote.fallbackReason} – using Standard finality ~15 minutes`
+                            : 'Standard finality ~15 minutes'}
+                        </p>
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => setFastTransferEnabled(!fastTransferEnabled)}
+                      className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                        fastTransferEnabled ? 'bg-blue-500' : 'bg-gray-700'
+                      }`}
+                    >
+                      <span
+                        className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                          fastTransferEnabled ? 'translate-x-6' : 'translate-x-1'
+                        }`}
+                      />
+                    </button>
+                  </div>
 
-              {showAdvanced && (
-                <div className="p-6 border-t border-gray-800 space-y-4">
                   <div>
-                    <label className="block text-sm text-gray-400 mb-2">Auto-Rebalance Threshold (USDC)</label>
+                    <label className="block text-sm text-gray-400 mb-2">Max Fee (USDC)</label>
                     <input
-                      type="number"
-                      value={treasurySettings.autoRebalanceThreshold}
-                      onChange={(e) => setTreasurySettings({ ...treasurySettings, autoRebalanceThreshold: e.target.value })}
-                      className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none"
+                      type="text"
+                      inputMode="decimal"
+                      value={maxFee}
+                      onChange={(e) => setMaxFee(e.target.value)}
+                      className={`w-full px-4 py-3 bg-gray-800 border rounded-lg focus:outline-none ${
+                        maxFeeError ? 'border-red-500' : 'border-gray-700 focus:border-blue-500'
+                      }`}
+                      placeholder="Maximum fee deducted from the amount"
                     />
+                    {maxFeeError && <p className="text-xs text-red-400 mt-1">{maxFeeError}</p>}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Upper bound on the fee deducted on the destination chain
+                      {` (finality threshold ${fastTransferActive ? FINALITY_THRESHOLDS.fast : FINALITY_THRESHOLDS.standard})`}
+                    </p>
                   </div>
 
                   <div>
-                    <label className="block text-sm text-gray-400 mb-2">Distribution Rules</label>
-                    <div className="space-y-2">
-                      {Object.entries(treasurySettings.distributionRules).map(([chainId, percentage]) => (
-                        <div key={chainId} className="flex items-center space-x-3">
-                          <span className="text-lg">{CHAIN_CONFIG[chainId].icon}</span>
-                          <span className="flex-1 text-sm">{CHAIN_CONFIG[chainId].name}</span>
-                          <input
-                            type="number"
-                            value={percentage}
-                            onChange={(e) => setTreasurySettings({
-                              ...treasurySettings,
-                              distributionRules: {
-                                ...treasurySettings.distributionRules,
-                                [chainId]: parseInt(e.target.value)
-                              }
-                            })}
-                            className="w-20 px-2 py-1 bg-gray-800 border border-gray-700 rounded text-sm text-center"
-                            min="0"
-                            max="100"
-                          />
-                          <span className="text-sm text-gray-400">%</span>
-                        </div>
+                    <label className="block text-sm text-gray-400 mb-2">USDC Approval</label>
+                    <div className={`grid ${APPROVAL_MODES.permit ? 'grid-cols-3' : 'grid-cols-2'} gap-2`}>
+                      {Object.entries(APPROVAL_MODES).map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => setApprovalMode(mode)}
+                          className={`px-3 py-2 rounded-lg border text-sm transition-all duration-200 ${
+                            approvalMode === mode
+                              ? 'border-blue-500 bg-blue-500/20'
+                              : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                          }`}
+                        >
+                          {label}
+                        </button>
                       ))}
                     </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Skipped when the existing allowance already covers the amount
+                    </p>
                   </div>
                 </div>
-              )}
-            </div>
+              </div>
+
+              {/* Hooks Selection */}
+              {(fastTransferEnabled || invoice) && (
+                <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
+                  <h2 className="text-xl font-bold mb-4 flex items-center">
+                    <Settings className="w-5 h-5 mr-2" />
+                    Post-Transfer Automation
+                  </h2>
 
-            {/* Process Payment Button */}
-            <button
-              onClick={processPayment}
-              disabled={!account || isProcessing || !amount || parseFloat(amount) <= 0}
-              className={`w-full py-4 rounded-xl font-bold text-lg transition-all duration-200 flex items-center justify-center space-x-2 ${
-                isProcessing || !account || !amount || parseFloat(amount) <= 0
-                  ? 'bg-gray-800 text-gray-500 cursor-not-allowed'
-                  : 'bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transform hover:scale-[1.02]'
-              }`}
-            >
-              {isProcessing ? (
-                <>
-                  <Loader2 className="w-5 h-5 animate-spin" />
-                  <span>Processing...</span>
-                </>
-              ) : (
-                <>
-                  <Send className="w-5 h-5" />
-                  <span>Process Payment</span>
-                </>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {Object.entries(HOOK_TEMPLATES).map(([key, hook]) => (
+                      <button
+                        key={key}
+                        onClick={() => selectHook(selectedHook === key ? null : key)}
+                        disabled={Boolean(invoice)}
+                        className={`p-4 rounded-lg border transition-all duration-200 text-left ${
+                          selectedHook === key
+                            ? 'border-purple-500 bg-purple-500/20'
+                            : 'border-gray-700 bg-gray-800/50 hover:border-gray-600'
+                        }`}
+                      >
+                        <div className="flex items-start space-x-3">
+                          <span className="text-2xl">{hook.icon}</span>
+                          <div className="flex-1">
+                            <p className="font-medium">{hook.name}</p>
+                            <p className="text-xs text-gray-400 mt-1">{hook.description}</p>
+                          </div>
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+
+                  {selectedHook && (
+                    <HookParamsForm hookKey={selectedHook} values={hookParams} onChange={setHookParams} readOnly={Boolean(invoice)} />
+                  )}
+                </div>
               )}
-            </button>
-
-            {/* Transaction Status */}
-            {transactionStatus && (
-              <div
-                className={`p-6 rounded-xl border ${
-                  transactionStatus.status === 'success'
-                    ? 'bg-green-900/20 border-green-800'
-                    : transactionStatus.status === 'error'
-                    ? 'bg-red-900/20 border-red-800'
-                    : 'bg-blue-900/20 border-blue-800'
+
+              {/* Advanced Settings */}
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl border border-gray-800 overflow-hidden">
+                <button
+                  onClick={() => setShowAdvanced(!showAdvanced)}
+                  className="w-full p-4 flex items-center justify-between hover:bg-gray-800/30 transition-colors"
+                >
+                  <span className="font-medium">Advanced Treasury Settings</span>
+                  <span className="text-gray-400">{showAdvanced ? '−' : '+'}</span>
+                </button>
+
+                {showAdvanced && (
+                  <div className="p-6 border-t border-gray-800 space-y-4">
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-2">Pay from Safe (optional)</label>
+                      <input
+                        type="text"
+                        value={safeInput}
+                        onChange={(e) => setSafeInput(e.target.value)}
+                        disabled={isProcessing}
+                        placeholder="0x... Safe address"
+                        className={`w-full px-4 py-2 bg-gray-800 border rounded-lg font-mono text-sm focus:outline-none ${
+                          safeBlocked ? 'border-red-500 focus:border-red-500' : 'border-gray-700 focus:border-blue-500'
+                        }`}
+                      />
+                      {safeAddressError && <p className="text-xs text-red-400 mt-1">{safeAddressError}</p>}
+                      {safeInfo?.error && <p className="text-xs text-red-400 mt-1">{safeInfo.error}</p>}
+                      {safeInfo && !safeInfo.error && (
+                        <p className={`text-xs mt-1 ${safeInfo.isOwner ? 'text-gray-400' : 'text-red-400'}`}>
+                          {safeInfo.threshold} of {safeInfo.owners.length} owners must sign.
+                          {safeInfo.isOwner
+                            ? ' The approval and burn are proposed as one Safe transaction; you send the mint once it executes.'
+                            : ' The connected account is not an owner of this Safe.'}
+                        </p>
+                      )}
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-2">Auto-Rebalance Threshold (USDC)</label>
+                      <input
+                        type="number"
+                        value={treasurySettings.autoRebalanceThreshold}
+                        onChange={(e) => setTreasurySettings({ ...treasurySettings, autoRebalanceThreshold: e.target.value })}
+                        className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-2">Distribution Rules</label>
+                      <div className="space-y-2">
+                        {Object.entries(treasurySettings.distributionRules).map(([chainId, percentage]) => (
+                          <div key={chainId} className="flex items-center space-x-3">
+                            <span className="text-lg">{CHAIN_CONFIG[chainId].icon}</span>
+                            <span className="flex-1 text-sm">{CHAIN_CONFIG[chainId].name}</span>
+                            <input
+                              type="number"
+                              value={percentage}
+                              onChange={(e) => setTreasurySettings({
+                                ...treasurySettings,
+                                distributionRules: {
+                                  ...treasurySettings.distributionRules,
+                                  [chainId]: parseInt(e.target.value)
+                                }
+                              })}
+                              className="w-20 px-2 py-1 bg-gray-800 border border-gray-700 rounded text-sm text-center"
+                              min="0"
+                              max="100"
+                            />
+                            <span className="text-sm text-gray-400">%</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+
+                    <TreasuryRebalancer
+                      account={account}
+                      treasury={payer}
+                      balanceUnits={balanceUnits}
+                      settings={treasurySettings}
+                      executeTransfer={executeTransfer}
+                      isProcessing={isProcessing}
+                      setIsProcessing={setIsProcessing}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <CostEstimate
+                preflight={preflight}
+                sourceChain={sourceChain}
+                destinationChain={destinationChain}
+              />
+
+              {/* Process Payment Button */}
+              <button
+                onClick={processPayment}
+                disabled={!account || isProcessing || paymentBlocked || hookInvalid || invoiceBlocked}
+                className={`w-full py-4 rounded-xl font-bold text-lg transition-all duration-200 flex items-center justify-center space-x-2 ${
+                  isProcessing || !account || paymentBlocked || hookInvalid || invoiceBlocked
+                    ? 'bg-gray-800 text-gray-500 cursor-not-allowed'
+                    : 'bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 transform hover:scale-[1.02]'
                 }`}
               >
-                <div className="flex items-start space-x-3">
-                  {transactionStatus.status === 'success' ? (
-                    <CheckCircle className="w-6 h-6 text-green-400 mt-0.5" />
-                  ) : transactionStatus.status === 'error' ? (
-                    <AlertCircle className="w-6 h-6 text-red-400 mt-0.5" />
-                  ) : (
-                    <Loader2 className="w-6 h-6 text-blue-400 animate-spin mt-0.5" />
-                  )}
-                  <div className="flex-1">
-                    <p className="font-medium">{transactionStatus.message}</p>
+                {isProcessing ? (
+                  <>
+                    <Loader2 className="w-5 h-5 animate-spin" />
+                    <span>Processing...</span>
+                  </>
+                ) : (
+                  <>
+                    <Send className="w-5 h-5" />
+                    <span>Process Payment</span>
+                  </>
+                )}
+              </button>
 
-                    {transactionStatus.details && (
-                      <div className="mt-3 space-y-2 text-sm">
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">Route:</span>
-                          <span>{transactionStatus.details.from} → {transactionStatus.details.to}</span>
-                        </div>
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">Amount:</span>
-                          <span>{transactionStatus.details.amount}</span>
-                        </div>
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">Recipient:</span>
-                          <span className="font-mono text-xs">{transactionStatus.details.recipient.slice(0, 10)}...{transactionStatus.details.recipient.slice(-8)}</span>
+              {payment && (
+                <PaymentProgress
+                  payment={payment}
+                  isRunning={isProcessing && paymentMachineRef.current?.isRunning()}
+                  onRetry={retryPayment}
+                  onCancel={cancelPayment}
+                />
+              )}
+
+              {maxFeeError && !showAdvanced && (
+                <p className="text-xs text-red-400 text-center">{maxFeeError}. Adjust it under Advanced Settings.</p>
+              )}
+
+              {/* Transaction Status */}
+              {transactionStatus && (
+                <div
+                  className={`p-6 rounded-xl border ${
+                    transactionStatus.status === 'success'
+                      ? 'bg-green-900/20 border-green-800'
+                      : transactionStatus.status === 'error'
+                      ? 'bg-red-900/20 border-red-800'
+                      : 'bg-blue-900/20 border-blue-800'
+                  }`}
+                >
+                  <div className="flex items-start space-x-3">
+                    {transactionStatus.status === 'success' ? (
+                      <CheckCircle className="w-6 h-6 text-green-400 mt-0.5" />
+                    ) : transactionStatus.status === 'error' ? (
+                      <AlertCircle className="w-6 h-6 text-red-400 mt-0.5" />
+                    ) : (
+                      <Loader2 className="w-6 h-6 text-blue-400 animate-spin mt-0.5" />
+                    )}
+                    <div className="flex-1">
+                      <p className="font-medium">{transactionStatus.message}</p>
+
+                      {transactionStatus.tx && (
+                        <div className="mt-2 flex items-center justify-between text-sm">
+                          <span className="text-gray-400">{transactionStatus.tx.label} Transaction:</span>
+                          <span className="flex items-center space-x-2">
+                            {/* Batched calls have no transaction hash until they are mined */}
+                            {transactionStatus.tx.hash ? (
+                              <a
+                                href={`${CHAIN_CONFIG[transactionStatus.tx.chainId].explorer}/tx/${transactionStatus.tx.hash}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="font-mono text-xs text-blue-400 hover:text-blue-300"
+                              >
+                                {shortenHex(transactionStatus.tx.hash)}
+                              </a>
+                            ) : (
+                              <span className="text-xs text-gray-500">{transactionStatus.safe ? 'Safe transaction' : 'Batched calls'}</span>
+                            )}
+                            <span className={(TX_STATE_LABELS[transactionStatus.tx.state] || TX_STATE_LABELS.failed).className}>
+                              {(TX_STATE_LABELS[transactionStatus.tx.state] || TX_STATE_LABELS.failed).label}
+                              {transactionStatus.tx.state === TX_STATES.confirming &&
+                                ` ${transactionStatus.tx.confirmations}/${transactionStatus.tx.required}`}
+                            </span>
+                          </span>
                         </div>
-                        <div className="flex justify-between">
-                          <span className="text-gray-400">Settlement Time:</span>
-                          <span>{transactionStatus.details.estimatedTime}</span>
+                      )}
+
+                      {transactionStatus.safe && (
+                        <div className="mt-2 flex items-center justify-between text-sm">
+                          <span className="text-gray-400">Safe Signatures:</span>
+                          <span
+                            className={transactionStatus.safe.confirmations.length >= transactionStatus.safe.threshold ? 'text-green-400' : 'text-yellow-400'}
+                            title={transactionStatus.safe.confirmations.join('\n')}
+                          >
+                            {transactionStatus.safe.confirmations.length} of {transactionStatus.safe.threshold}
+                          </span>
                         </div>
-                        {transactionStatus.details.hook !== 'None' && (
+                      )}
+
+                      {transactionStatus.details && (
+                        <div className="mt-3 space-y-2 text-sm">
                           <div className="flex justify-between">
-                            <span className="text-gray-400">Automated Action:</span>
-                            <span>{transactionStatus.details.hook}</span>
+                            <span className="text-gray-400">Route:</span>
+                            <span>{transactionStatus.details.from} → {transactionStatus.details.to}</span>
                           </div>
-                        )}
-                        {transactionStatus.details.txHash && (
-                          <div className="pt-2 mt-2 border-t border-gray-700">
-                            <a
-                              href={`${CHAIN_CONFIG[sourceChain].explorer}/tx/${transactionStatus.details.txHash}`}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-blue-400 hover:text-blue-300 text-xs"
-                            >
-                              View on Explorer →
-                            </a>
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Amount:</span>
+                            <span>{transactionStatus.details.amount}</span>
                           </div>
-                        )}
-                      </div>
-                    )}
-
-                    {transactionStatus.attestationReceived && (
-                      <div className="mt-3 p-3 bg-green-900/30 rounded-lg border border-green-800">
-                        <p className="text-sm text-green-400 flex items-center">
-                          <CheckCircle className="w-4 h-4 mr-2" />
-                          Attestation received! Funds minted on destination chain.
-                        </p>
-                      </div>
-                    )}
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Recipient:</span>
+                            <span className="font-mono text-xs">{transactionStatus.details.recipient.slice(0, 10)}...{transactionStatus.details.recipient.slice(-8)}</span>
+                          </div>
+                          <div className="flex justify-between">
+                            <span className="text-gray-400">Settlement Time:</span>
+                            <span>{transactionStatus.details.estimatedTime}</span>
+                          </div>
+                          {transactionStatus.details.hook !== 'None' && (
+                            <div className="flex justify-between">
+                              <span className="text-gray-400">Automated Action:</span>
+                              <span>{transactionStatus.details.hook}</span>
+                            </div>
+                          )}
+                          {transactionStatus.details.txHash && (
+                            <div className="pt-2 mt-2 border-t border-gray-700">
+                              <a
+                                href={`${CHAIN_CONFIG[transactionStatus.details.sourceChain].explorer}/tx/${transactionStatus.details.txHash}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-400 hover:text-blue-300 text-xs"
+                              >
+                                View on Explorer →
+                              </a>
+                            </div>
+                          )}
+                          {transactionStatus.details.mintTxHash && (
+                            <div>
+                              <a
+                                href={`${CHAIN_CONFIG[transactionStatus.details.destinationChain].explorer}/tx/${transactionStatus.details.mintTxHash}`}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-blue-400 hover:text-blue-300 text-xs"
+                              >
+                                View Mint on Explorer →
+                              </a>
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {transactionStatus.attestationReceived && (
+                        <div className="mt-3 p-3 bg-green-900/30 rounded-lg border border-green-800">
+                          <p className="text-sm text-green-400 flex items-center">
+                            <CheckCircle className="w-4 h-4 mr-2" />
+                            {transactionStatus.status === 'success'
+                              ? 'Attestation received! Funds minted on destination chain.'
+                              : 'Attestation received! Awaiting mint on destination chain.'}
+                          </p>
+                        </div>
+                      )}
+                    </div>
                   </div>
                 </div>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
+          )}
 
           {/* Info Panel */}
           <div className="space-y-6">
@@ -825,12 +1359,37 @@ const MultichainPaymentGateway = () => {
               <h3 className="text-lg font-bold mb-4">Supported Chains</h3>
               <div className="space-y-2">
                 {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
-                  <div key={chainId} className="flex items-center justify-between p-3 bg-gray-800/50 rounded-lg">
-                    <div className="flex items-center space-x-3">
-                      <span className="text-xl">{config.icon}</span>
-                      <span className="font-medium">{config.name}</span>
+                  <div key={chainId} className="p-3 bg-gray-800/50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <div className={`flex items-center space-x-3 ${isChainDisabled(chainId) ? 'opacity-50' : ''}`}>
+                        <span className="text-xl">{config.icon}</span>
+                        <span className="font-medium">{config.name}</span>
+                      </div>
+                      {isChainDisabled(chainId) ? (
+                        <span className="text-xs text-red-400">Disabled</span>
+                      ) : (
+                        <div className={`w-2 h-2 rounded-full ${config.color}`}></div>
+                      )}
+                    </div>
+                    {chainHealth[chainId]?.reasons.map(reason => (
+                      <p
+                        key={reason}
+                        className={`text-xs mt-1 ${isChainDisabled(chainId) ? 'text-red-400' : 'text-yellow-400'}`}
+                      >
+                        {reason}
+                      </p>
+                    ))}
+                  </div>
+                ))}
+                {REJECTED_CHAINS.map(chain => (
+                  <div key={`rejected-${chain.name}`} className="p-3 bg-gray-800/50 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <span className="font-medium opacity-50">{chain.name}</span>
+                      <span className="text-xs text-red-400">Invalid config</span>
                     </div>
-                    <div className={`w-2 h-2 rounded-full ${config.color}`}></div>
+                    {chain.errors.map(error => (
+                      <p key={error} className="text-xs text-red-400 mt-1">{error}</p>
+                    ))}
                   </div>
                 ))}
               </div>
@@ -839,43 +1398,129 @@ const MultichainPaymentGateway = () => {
             {/* Treasury Overview */}
             {account && (
               <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
-                <h3 className="text-lg font-bold mb-4">Treasury Overview</h3>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-bold">Treasury Overview</h3>
+                  <button
+                    onClick={() => updateBalances(payer)}
+                    disabled={isRefreshingBalances}
+                    className="text-gray-400 hover:text-white transition-colors"
+                    title="Refresh balances"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${isRefreshingBalances ? 'animate-spin' : ''}`} />
+                  </button>
+                </div>
                 <div className="space-y-3">
                   <div className="text-center py-4">
-                    <p className="text-3xl font-bold">
-                      {Object.values(balances).reduce((sum, balance) => sum + parseFloat(balance || 0), 0).toFixed(2)}
-                    </p>
-                    <p className="text-sm text-gray-400">Total USDC Balance</p>
+                    <p className="text-3xl font-bold">{totalBalance.toFixed(2)}</p>
+                    <p className="text-sm text-gray-400">{safeAddress ? 'Total USDC Balance of the Safe' : 'Total USDC Balance'}</p>
+                    {balancesUpdatedAt && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Updated {new Date(balancesUpdatedAt).toLocaleTimeString()}
+                      </p>
+                    )}
                   </div>
 
                   <div className="space-y-2">
-                    {Object.entries(balances).map(([chainId, balance]) => {
-                      const percentage =
-                        Object.values(balances).reduce((sum, b) => sum + parseFloat(b || 0), 0) > 0
-                          ? (parseFloat(balance || 0) /
-                              Object.values(balances).reduce((sum, b) => sum + parseFloat(b || 0), 0) *
-                              100)
-                          : 0;
-
-                      return (
-                        <div key={chainId} className="space-y-1">
-                          <div className="flex justify-between text-sm">
-                            <span>{CHAIN_CONFIG[chainId].name}</span>
-                            <span>{parseFloat(balance || 0).toFixed(2)} USDC</span>
+                    {Object.keys(CHAIN_CONFIG)
+                      .filter(chainId => balances[chainId] !== undefined || balanceErrors[chainId])
+                      .map((chainId) => {
+                        const balance = parseFloat(balances[chainId] || 0);
+                        const percentage = totalBalance > 0 ? (balance / totalBalance) * 100 : 0;
+
+                        return (
+                          <div key={chainId} className="space-y-1">
+                            <div className="flex justify-between text-sm">
+                              <span>{CHAIN_CONFIG[chainId].name}</span>
+                              {balanceErrors[chainId] ? (
+                                <span className="text-red-400" title={balanceErrors[chainId]}>RPC error</span>
+                              ) : (
+                                <span>{balance.toFixed(2)} USDC</span>
+                              )}
+                            </div>
+                            <div className="w-full bg-gray-800 rounded-full h-2">
+                              <div
+                                className={`h-2 rounded-full ${CHAIN_CONFIG[chainId].color}`}
+                                style={{ width: `${percentage}%` }}
+                              ></div>
+                            </div>
                           </div>
-                          <div className="w-full bg-gray-800 rounded-full h-2">
-                            <div
-                              className={`h-2 rounded-full ${CHAIN_CONFIG[chainId].color}`}
-                              style={{ width: `${percentage}%` }}
-                            ></div>
-                          </div>
-                        </div>
-                      );
-                    })}
+                        );
+                      })}
                   </div>
                 </div>
               </div>
             )}
+
+            {/* Transfer History */}
+            {transfers.length > 0 && (
+              <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800">
+                <h3 className="text-lg font-bold mb-4 flex items-center">
+                  <History className="w-5 h-5 mr-2" />
+                  History
+                </h3>
+                <div className="space-y-2">
+                  {transfers.map((transfer) => {
+                    const status = TRANSFER_STATUS_LABELS[transfer.status];
+                    return (
+                      <div key={transfer.id} className="p-3 bg-gray-800/50 rounded-lg space-y-1 text-sm">
+                        <div className="flex justify-between">
+                          <span>
+                            {CHAIN_CONFIG[transfer.sourceChain].icon} → {CHAIN_CONFIG[transfer.destinationChain].icon}{' '}
+                            {transfer.amount} USDC
+                          </span>
+                          <span className={status.className}>{status.label}</span>
+                        </div>
+                        <div className="flex justify-between text-xs text-gray-400">
+                          <span>{new Date(transfer.createdAt).toLocaleString()}</span>
+                          <span className="font-mono">{transfer.recipient.slice(0, 6)}...{transfer.recipient.slice(-4)}</span>
+                        </div>
+                        {transfer.reference && (
+                          <p className="text-xs text-gray-400 truncate">Ref: {transfer.reference}</p>
+                        )}
+                        {transfer.error && (
+                          <p className="text-xs text-red-400 truncate" title={transfer.error}>{transfer.error}</p>
+                        )}
+                        <div className="flex justify-between items-center text-xs">
+                          {transfer.burnTxHash ? (
+                            <a
+                              href={`${CHAIN_CONFIG[transfer.sourceChain].explorer}/tx/${transfer.burnTxHash}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-400 hover:text-blue-300"
+                            >
+                              Burn Tx →
+                            </a>
+                          ) : (
+                            <span className="text-gray-500">
+                              {transfer.burnVoided ? 'Burn not executed' : transfer.safeTxHash ? 'Safe transaction pending' : 'Batched burn pending'}
+                            </span>
+                          )}
+                          {transfer.mintTxHash && (
+                            <a
+                              href={`${CHAIN_CONFIG[transfer.destinationChain].explorer}/tx/${transfer.mintTxHash}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-400 hover:text-blue-300"
+                            >
+                              Mint Tx →
+                            </a>
+                          )}
+                          {isResumable(transfer) && (
+                            <button
+                              onClick={() => resumeTransfer(transfer)}
+                              disabled={isProcessing || !account}
+                              className="px-2 py-1 rounded bg-blue-500/20 border border-blue-500 hover:bg-blue-500/30 disabled:opacity-50"
+                            >
+                              Resume
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </main>
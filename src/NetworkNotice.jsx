@@ -0,0 +1,52 @@
+import React from 'react';
+import { AlertCircle, X } from 'lucide-react';
+import { CHAIN_CONFIG } from './chains';
+import { SWITCH_ERRORS } from './paymentFlow';
+
+const TITLES = {
+  [SWITCH_ERRORS.rejected]: 'Network switch rejected',
+  [SWITCH_ERRORS.unsupported]: 'Wallet cannot switch networks',
+  [SWITCH_ERRORS.addedNotSwitched]: 'Network added but not selected'
+};
+
+// Explains why switching to `notice.chainId` failed; wallets that cannot add chains get the
+// details needed to add the network by hand
+const NetworkNotice = ({ notice, onRetry, onDismiss }) => {
+  const config = CHAIN_CONFIG[notice.chainId];
+
+  return (
+    <div className="mb-6 p-4 rounded-xl border border-yellow-500/30 bg-yellow-500/10 flex items-start space-x-3">
+      <AlertCircle className="w-5 h-5 text-yellow-400 flex-shrink-0 mt-0.5" />
+      <div className="flex-1 space-y-2 text-sm">
+        <p className="font-medium">{TITLES[notice.reason] || 'Unable to switch network'}</p>
+        <p className="text-gray-300">{notice.message}</p>
+
+        {notice.reason === SWITCH_ERRORS.unsupported && config && (
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs">
+            <dt className="text-gray-400">Network Name</dt>
+            <dd>{config.chainName}</dd>
+            <dt className="text-gray-400">Chain ID</dt>
+            <dd className="font-mono">{notice.chainId}</dd>
+            <dt className="text-gray-400">RPC URL</dt>
+            <dd className="font-mono break-all">{config.rpcUrls[0]}</dd>
+            <dt className="text-gray-400">Currency Symbol</dt>
+            <dd>{config.nativeCurrency.symbol}</dd>
+            <dt className="text-gray-400">Block Explorer</dt>
+            <dd className="break-all">{config.explorer}</dd>
+          </dl>
+        )}
+
+        {notice.reason !== SWITCH_ERRORS.unsupported && (
+          <button onClick={onRetry} className="text-blue-400 hover:text-blue-300">
+            Try switching to {config?.name || 'the network'} again
+          </button>
+        )}
+      </div>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-white">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default NetworkNotice;
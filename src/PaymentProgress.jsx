@@ -0,0 +1,94 @@
+import React from 'react';
+import { CheckCircle, Circle, Loader2, RotateCcw, XCircle } from 'lucide-react';
+import { PAYMENT_STEPS } from './paymentMachine';
+
+const LIFECYCLE = [
+  PAYMENT_STEPS.idle,
+  PAYMENT_STEPS.approving,
+  PAYMENT_STEPS.approved,
+  PAYMENT_STEPS.burning,
+  PAYMENT_STEPS.burned,
+  PAYMENT_STEPS.awaitingAttestation,
+  PAYMENT_STEPS.minting,
+  PAYMENT_STEPS.completed
+];
+
+// Each displayed step runs while the payment is in `step` and is done from `done` onwards
+const STEPS = [
+  { label: 'Approve USDC', step: PAYMENT_STEPS.approving, done: PAYMENT_STEPS.approved },
+  { label: 'Burn on source chain', step: PAYMENT_STEPS.burning, done: PAYMENT_STEPS.burned },
+  { label: 'Attestation', step: PAYMENT_STEPS.awaitingAttestation, done: PAYMENT_STEPS.minting },
+  { label: 'Mint on destination chain', step: PAYMENT_STEPS.minting, done: PAYMENT_STEPS.completed }
+];
+
+const stepStatus = (payment, { step, done }) => {
+  const failed = payment.step === PAYMENT_STEPS.failed;
+  const position = LIFECYCLE.indexOf(failed ? payment.failedStep : payment.step);
+  if (position >= LIFECYCLE.indexOf(done)) return 'done';
+  if (position === LIFECYCLE.indexOf(step)) return failed ? 'failed' : 'active';
+  return 'upcoming';
+};
+
+const ICONS = {
+  done: <CheckCircle className="w-4 h-4 text-green-400" />,
+  active: <Loader2 className="w-4 h-4 text-blue-400 animate-spin" />,
+  failed: <XCircle className="w-4 h-4 text-red-400" />,
+  upcoming: <Circle className="w-4 h-4 text-gray-600" />
+};
+
+// " (burn 2 of 3)" while a payment split into several burns works on one of them
+const partLabel = (payment, part) => (
+  payment.parts?.length > 1 && part !== null ? ` (burn ${part + 1} of ${payment.parts.length})` : ''
+);
+
+// Step-by-step view of a payment machine state, with retry and cancel controls
+const PaymentProgress = ({ payment, isRunning, onRetry, onCancel }) => (
+  <div className="p-4 rounded-xl border border-gray-800 bg-gray-900/50 space-y-3">
+    {payment.parts?.length > 1 && (
+      <p className="text-xs text-yellow-400">
+        This payment exceeds the per-message burn limit and is sent as {payment.parts.length} transfers
+        of {payment.parts.map(part => part.amount).join(' + ')} USDC.
+      </p>
+    )}
+
+    <div className="space-y-2">
+      {STEPS.map(step => {
+        const status = stepStatus(payment, step);
+        return (
+          <div key={step.step} className="flex items-center space-x-3 text-sm">
+            {ICONS[status]}
+            <span className={status === 'upcoming' ? 'text-gray-500' : status === 'failed' ? 'text-red-400' : ''}>
+              {step.label}
+              {status === 'active' && partLabel(payment, payment.part)}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+
+    {payment.step === PAYMENT_STEPS.failed && (
+      <div className="flex items-center justify-between">
+        <p className="text-xs text-gray-400">
+          {payment.cancelled ? 'Cancelled' : 'Failed'} while {STEPS.find(step => step.step === payment.failedStep)?.label.toLowerCase()}
+          {partLabel(payment, payment.failedPart)}
+        </p>
+        <button
+          onClick={onRetry}
+          disabled={isRunning}
+          className="flex items-center space-x-1 px-3 py-1.5 rounded-lg text-sm bg-blue-500/20 text-blue-300 hover:bg-blue-500/30 disabled:opacity-50"
+        >
+          <RotateCcw className="w-4 h-4" />
+          <span>Retry Step</span>
+        </button>
+      </div>
+    )}
+
+    {isRunning && (
+      <button onClick={onCancel} className="w-full text-xs text-gray-400 hover:text-white">
+        Cancel (transactions already sent to the wallet still complete)
+      </button>
+    )}
+  </div>
+);
+
+export default PaymentProgress;
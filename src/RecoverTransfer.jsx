@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Loader2, LifeBuoy, Search } from 'lucide-react';
+import { CHAIN_CONFIG, chainIdByKey, findChainIdByDomain } from './chains';
+import { messageTransmitterInterface } from './contracts';
+import { bytes32ToAddress, decodeBurnMessage, decodeMessage, extractMessageSent } from './cctpMessage';
+import { getReadProvider } from './rpc';
+import { TX_STATES, watchTransaction } from './transactions';
+import { formatUnits, shortenHex, toDecimalString } from './format';
+import { FINALITY_THRESHOLDS } from './feeQuotes';
+import { TRANSFER_STATUS } from './transferStore';
+
+// Finish a transfer whose burn happened elsewhere: look up the burn, fetch the attestation and mint
+const RecoverTransfer = ({ account, provider, attestationClient, switchNetwork, transferStore }) => {
+  const [sourceChain, setSourceChain] = useState(() => chainIdByKey('ethereum'));
+  const [burnTxHash, setBurnTxHash] = useState('');
+  const [recovery, setRecovery] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const run = async (label, action) => {
+    setIsBusy(true);
+    setStatus({ status: 'pending', message: label });
+    try {
+      await action();
+    } catch (error) {
+      console.error('Recovery error:', error);
+      setStatus({ status: 'error', message: error.message || 'Unknown error' });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  // Fetch the burn receipt and decode its MessageSent event
+  const lookUpBurn = () => run('Fetching burn transaction...', async () => {
+    setRecovery(null);
+    const sourceConfig = CHAIN_CONFIG[sourceChain];
+
+    const receipt = await getReadProvider(sourceChain).request({
+      method: 'eth_getTransactionReceipt',
+      params: [burnTxHash.trim()]
+    });
+    if (!receipt) throw new Error(`Transaction not found on ${sourceConfig.name}`);
+
+    const message = extractMessageSent(receipt, sourceConfig.messageTransmitter);
+    if (!message) throw new Error('Transaction did not emit a CCTP MessageSent event');
+
+    // The attested message carries the final nonce and fee, prefer it when available
+    const [attested] = await attestationClient.getMessages(sourceConfig.domain, burnTxHash.trim());
+    const complete = attested && attested.status === 'complete' && attested.attestation !== 'PENDING';
+
+    const next = {
+      sourceChain,
+      burnTxHash: burnTxHash.trim(),
+      message: complete ? attested.message : message,
+      attestation: complete ? attested.attestation : null
+    };
+    setRecovery(next);
+    setStatus(complete
+      ? { status: 'success', message: 'Attestation available. Ready to mint.' }
+      : { status: 'pending', message: 'Burn found. Attestation not available yet.' });
+  });
+
+  const fetchAttestation = () => run('Waiting for attestation...', async () => {
+    const { message, attestation } = await attestationClient.waitForAttestation({
+      sourceDomain: CHAIN_CONFIG[recovery.sourceChain].domain,
+      transactionHash: recovery.burnTxHash
+    });
+    setRecovery(prev => ({ ...prev, message, attestation }));
+    setStatus({ status: 'success', message: 'Attestation received. Ready to mint.' });
+  });
+
+  const mint = () => run('Minting on destination chain...', async () => {
+    const header = decodeMessage(recovery.message);
+    const body = decodeBurnMessage(header.messageBody);
+    const destinationChain = findChainIdByDomain(header.destinationDomain);
+    const destinationConfig = CHAIN_CONFIG[destinationChain];
+
+    const [used] = messageTransmitterInterface.decodeFunctionResult('usedNonces', await getReadProvider(destinationChain).request({
+      method: 'eth_call',
+      params: [{
+        to: destinationConfig.messageTransmitter,
+        data: messageTransmitterInterface.encodeFunctionData('usedNonces', { nonce: header.nonce })
+      }, 'latest']
+    }));
+    if (used !== 0n) throw new Error(`This message was already received on ${destinationConfig.name}`);
+
+    await switchNetwork(Number(destinationChain));
+
+    const submittedHash = await provider.request({
+      method: 'eth_sendTransaction',
+      params: [{
+        from: account,
+        to: destinationConfig.messageTransmitter,
+        data: messageTransmitterInterface.encodeFunctionData('receiveMessage', {
+          message: recovery.message,
+          attestation: recovery.attestation
+        })
+      }]
+    });
+    const receipt = await watchTransaction(submittedHash, {
+      provider,
+      onUpdate: ({ state }) => {
+        if (state === TX_STATES.repriced) setStatus({ status: 'pending', message: 'Mint was sped up. Waiting for the replacement...' });
+      }
+    });
+    const mintTxHash = receipt.transactionHash;
+
+    transferStore.create({
+      status: TRANSFER_STATUS.completed,
+      sourceChain: Number(recovery.sourceChain),
+      destinationChain: Number(destinationChain),
+      amount: toDecimalString(body.amount),
+      recipient: bytes32ToAddress(body.mintRecipient),
+      hook: null,
+      fast: header.minFinalityThreshold <= FINALITY_THRESHOLDS.fast,
+      burnTxHash: recovery.burnTxHash,
+      message: recovery.message,
+      attestation: recovery.attestation,
+      mintTxHash,
+      recovered: true
+    });
+
+    setRecovery(prev => ({ ...prev, mintTxHash }));
+    setStatus({ status: 'success', message: `Transfer recovered! USDC minted on ${destinationConfig.name}.` });
+  });
+
+  let decoded = null;
+  let decodeError = null;
+  if (recovery) {
+    try {
+      const header = decodeMessage(recovery.message);
+      decoded = { header, body: decodeBurnMessage(header.messageBody) };
+    } catch (error) {
+      decodeError = error.message;
+    }
+  }
+  const destinationChain = decoded ? findChainIdByDomain(decoded.header.destinationDomain) : null;
+
+  return (
+    <div className="bg-gray-900/50 backdrop-blur-sm rounded-2xl p-6 border border-gray-800 space-y-4">
+      <h2 className="text-xl font-bold flex items-center">
+        <LifeBuoy className="w-5 h-5 mr-2" />
+        Recover Transfer
+      </h2>
+      <p className="text-sm text-gray-400">
+        Complete a transfer whose burn was submitted from another wallet or session.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <select
+          value={sourceChain}
+          onChange={(e) => setSourceChain(parseInt(e.target.value))}
+          className="px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(CHAIN_CONFIG).map(([chainId, config]) => (
+            <option key={chainId} value={chainId}>{config.icon} {config.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={burnTxHash}
+          onChange={(e) => setBurnTxHash(e.target.value)}
+          className="md:col-span-2 px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg focus:border-blue-500 focus:outline-none font-mono text-sm"
+          placeholder="Burn transaction hash (0x...)"
+        />
+      </div>
+
+      <button
+        onClick={lookUpBurn}
+        disabled={isBusy || !/^0x[0-9a-fA-F]{64}$/.test(burnTxHash.trim())}
+        className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-500 rounded-lg hover:from-blue-600 hover:to-purple-600 transition-all duration-200 disabled:opacity-50"
+      >
+        <Search className="w-4 h-4" />
+        <span>Look Up Burn</span>
+      </button>
+
+      {decodeError && <p className="text-sm text-red-400">{decodeError}</p>}
+
+      {decoded && (
+        <div className="p-4 bg-gray-800/50 rounded-lg space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-400">Route:</span>
+            <span>
+              {CHAIN_CONFIG[findChainIdByDomain(decoded.header.sourceDomain)]?.name || `Domain ${decoded.header.sourceDomain}`}
+              {' → '}
+              {CHAIN_CONFIG[destinationChain]?.name || `Domain ${decoded.header.destinationDomain}`}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Nonce:</span>
+            <span className="font-mono text-xs">{shortenHex(decoded.header.nonce, 10, 8)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Amount:</span>
+            <span>{formatUnits(decoded.body.amount)} USDC</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Mint Recipient:</span>
+            <span className="font-mono text-xs">{bytes32ToAddress(decoded.body.mintRecipient)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-400">Hook Data:</span>
+            <span className="font-mono text-xs break-all">{decoded.body.hookData === '0x' ? 'None' : decoded.body.hookData}</span>
+          </div>
+
+          <div className="flex space-x-3 pt-2 border-t border-gray-700">
+            {!recovery.attestation && (
+              <button
+                onClick={fetchAttestation}
+                disabled={isBusy}
+                className="px-3 py-2 rounded-lg bg-blue-500/20 border border-blue-500 hover:bg-blue-500/30 disabled:opacity-50"
+              >
+                Fetch Attestation
+              </button>
+            )}
+            {recovery.attestation && !recovery.mintTxHash && (
+              <button
+                onClick={mint}
+                disabled={isBusy || !account || !destinationChain}
+                className="px-3 py-2 rounded-lg bg-purple-500/20 border border-purple-500 hover:bg-purple-500/30 disabled:opacity-50"
+              >
+                Mint on {CHAIN_CONFIG[destinationChain]?.name || 'Destination'}
+              </button>
+            )}
+            {recovery.mintTxHash && (
+              <a
+                href={`${CHAIN_CONFIG[destinationChain].explorer}/tx/${recovery.mintTxHash}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-400 hover:text-blue-300 text-xs self-center"
+              >
+                View Mint on Explorer →
+              </a>
+            )}
+          </div>
+          {!account && recovery.attestation && (
+            <p className="text-xs text-yellow-400">Connect your wallet to submit the mint.</p>
+          )}
+          {!destinationChain && (
+            <p className="text-xs text-red-400">Destination domain {decoded.header.destinationDomain} is not supported.</p>
+          )}
+        </div>
+      )}
+
+      {status && (
+        <div className="flex items-center space-x-2 text-sm">
+          {status.status === 'success' ? (
+            <CheckCircle className="w-4 h-4 text-green-400" />
+          ) : status.status === 'error' ? (
+            <AlertCircle className="w-4 h-4 text-red-400" />
+          ) : (
+            isBusy ? <Loader2 className="w-4 h-4 text-blue-400 animate-spin" /> : <AlertCircle className="w-4 h-4 text-yellow-400" />
+          )}
+          <span>{status.message}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecoverTransfer;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { CHAIN_CONFIG } from './chains';
+
+// Faucets are optional in the chain registry, so the USDC link comes from the first chain that has one
+const usdcFaucet = () => Object.values(CHAIN_CONFIG).find(config => config.faucets?.usdc)?.faucets.usdc;
+
+// Shown on every page while the app runs against the testnet registry
+const TestnetBanner = () => (
+  <div className="bg-yellow-500 text-black">
+    <div className="max-w-7xl mx-auto px-4 py-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+      <span className="flex items-center font-bold">
+        <AlertTriangle className="w-4 h-4 mr-2" />
+        TESTNET MODE: payments use test USDC and have no real value
+      </span>
+      <span className="flex flex-wrap items-center gap-x-3">
+        <span>Faucets:</span>
+        {Object.entries(CHAIN_CONFIG).filter(([, config]) => config.faucets?.native).map(([chainId, config]) => (
+          <a
+            key={chainId}
+            href={config.faucets.native}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline hover:no-underline"
+          >
+            {config.name} {config.nativeCurrency.symbol}
+          </a>
+        ))}
+        {usdcFaucet() && (
+          <a
+            href={usdcFaucet()}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="font-medium underline hover:no-underline"
+          >
+            Test USDC
+          </a>
+        )}
+      </span>
+    </div>
+  </div>
+);
+
+export default TestnetBanner;
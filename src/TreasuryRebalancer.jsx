@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { AlertCircle, CheckCircle, Loader2, Scale } from 'lucide-react';
+import { CHAIN_CONFIG } from './chains';
+import { formatUnits, parseUnits, shortenHex } from './format';
+import { computeRebalancePlan, rebalanceTransferParams, validateDistributionRules } from './rebalancer';
+
+const STEP_ICONS = {
+  done: <CheckCircle className="w-4 h-4 text-green-400" />,
+  failed: <AlertCircle className="w-4 h-4 text-red-400" />,
+  running: <Loader2 className="w-4 h-4 text-blue-400 animate-spin" />
+};
+
+// Preview and execute the transfers that bring treasury balances back to the distribution rules.
+// `treasury` is the address the balances belong to: the Safe in Safe mode, otherwise `account`.
+const TreasuryRebalancer = ({ account, treasury, balanceUnits, settings, executeTransfer, isProcessing, setIsProcessing }) => {
+  const [steps, setSteps] = useState(null);
+
+  const errors = validateDistributionRules(settings.distributionRules);
+
+  let tolerance = null;
+  try {
+    tolerance = parseUnits(settings.autoRebalanceThreshold || '0');
+  } catch (error) {
+    errors.push(`Auto-rebalance threshold: ${error.message}`);
+  }
+
+  // Planning against a chain whose balance failed to load would treat it as empty
+  const missing = Object.keys(settings.distributionRules).filter(chainId => balanceUnits[chainId] === undefined);
+  if (account && missing.length > 0) {
+    errors.push(`Balances unavailable for ${missing.map(chainId => CHAIN_CONFIG[chainId].name).join(', ')}`);
+  }
+
+  const plan = account && errors.length === 0
+    ? computeRebalancePlan(balanceUnits, settings.distributionRules, tolerance)
+    : null;
+
+  const updateStep = (index, changes) => setSteps(prev => prev.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+
+  // Run the planned transfers one after another, stopping at the first failure
+  const executePlan = async () => {
+    const transfers = plan.transfers;
+    setSteps(transfers.map(transfer => ({ ...transfer, status: 'queued', message: 'Queued' })));
+    setIsProcessing(true);
+
+    try {
+      for (let index = 0; index < transfers.length; index++) {
+        updateStep(index, { status: 'running', message: 'Starting...' });
+        try {
+          await executeTransfer(
+            rebalanceTransferParams(transfers[index], treasury),
+            ({ message }) => updateStep(index, { message })
+          );
+          updateStep(index, { status: 'done', message: 'Completed' });
+        } catch (error) {
+          console.error('Rebalance error:', error);
+          updateStep(index, { status: 'failed', message: error.message || 'Unknown error' });
+          return;
+        }
+      }
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div className="pt-4 border-t border-gray-800 space-y-3">
+      <label className="block text-sm text-gray-400 flex items-center">
+        <Scale className="w-4 h-4 mr-2" />
+        Rebalance Plan
+      </label>
+
+      {errors.map(error => (
+        <p key={error} className="text-xs text-red-400">{error}</p>
+      ))}
+
+      {!account && <p className="text-xs text-gray-400">Connect your wallet to plan a rebalance.</p>}
+
+      {plan && (
+        <div className="space-y-3 text-sm">
+          <div className="space-y-1">
+            {plan.allocation.map(entry => (
+              <div key={entry.chainId} className="flex justify-between">
+                <span>{CHAIN_CONFIG[entry.chainId].icon} {CHAIN_CONFIG[entry.chainId].name}</span>
+                <span className="text-gray-400">
+                  {formatUnits(entry.balance)} / {formatUnits(entry.target)} USDC
+                  <span className={`ml-2 ${entry.drift < 0n ? 'text-yellow-400' : 'text-green-400'}`}>
+                    ({entry.drift < 0n ? '' : '+'}{formatUnits(entry.drift)})
+                  </span>
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {plan.needsRebalance ? (
+            <div className="p-3 bg-gray-800/50 rounded-lg space-y-2">
+              <p className="text-xs text-gray-400">
+                Max drift {formatUnits(plan.maxDrift)} USDC exceeds the {formatUnits(tolerance)} USDC threshold.
+                Transfers use Standard finality.
+              </p>
+              {treasury !== account && (
+                <p className="text-xs text-yellow-400">
+                  USDC is minted to the Safe {shortenHex(treasury)} on each destination chain. Make sure the Safe is
+                  deployed there with the same owners before executing.
+                </p>
+              )}
+              {(steps || plan.transfers).map((transfer, index) => (
+                <div key={index} className="flex items-center justify-between">
+                  <span>
+                    {CHAIN_CONFIG[transfer.sourceChain].name} → {CHAIN_CONFIG[transfer.destinationChain].name}
+                  </span>
+                  <span className="flex items-center space-x-2">
+                    <span>{formatUnits(transfer.amount)} USDC</span>
+                    {transfer.status && STEP_ICONS[transfer.status]}
+                  </span>
+                </div>
+              ))}
+              {steps && steps.map((step, index) => step.status !== 'queued' && (
+                <p key={index} className={`text-xs ${step.status === 'failed' ? 'text-red-400' : 'text-gray-400'}`}>
+                  Step {index + 1}: {step.message}
+                </p>
+              ))}
+              <button
+                onClick={executePlan}
+                disabled={isProcessing}
+                className="w-full py-2 rounded-lg bg-blue-500/20 border border-blue-500 hover:bg-blue-500/30 disabled:opacity-50"
+              >
+                Execute Plan ({plan.transfers.length} transfer{plan.transfers.length === 1 ? '' : 's'})
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-green-400">
+              Balances are within {formatUnits(tolerance)} USDC of their targets.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TreasuryRebalancer;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Link2, Wallet, X } from 'lucide-react';
+import { WALLETCONNECT_PROJECT_ID } from './wallets';
+
+// Lists the discovered injected wallets plus WalletConnect; `onSelect(null)` means WalletConnect
+const WalletPicker = ({ wallets, onSelect, onClose, error }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/60" onClick={onClose}>
+    <div
+      className="w-full max-w-sm bg-gray-900 border border-gray-800 rounded-2xl p-6 space-y-3"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-bold">Connect a Wallet</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-white">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      {wallets.map(wallet => (
+        <button
+          key={wallet.id}
+          onClick={() => onSelect(wallet)}
+          className="w-full p-3 rounded-lg border border-gray-700 bg-gray-800/50 hover:border-gray-600 flex items-center space-x-3"
+        >
+          {wallet.icon ? (
+            <img src={wallet.icon} alt="" className="w-6 h-6 rounded" />
+          ) : (
+            <Wallet className="w-6 h-6 text-gray-400" />
+          )}
+          <span className="font-medium">{wallet.name}</span>
+        </button>
+      ))}
+
+      {wallets.length === 0 && (
+        <p className="text-sm text-gray-400">No browser wallets detected.</p>
+      )}
+
+      <button
+        onClick={() => onSelect(null)}
+        disabled={!WALLETCONNECT_PROJECT_ID}
+        className="w-full p-3 rounded-lg border border-gray-700 bg-gray-800/50 hover:border-gray-600 flex items-center space-x-3 disabled:opacity-50 disabled:cursor-not-allowed"
+        title={WALLETCONNECT_PROJECT_ID ? undefined : 'Set VITE_WALLETCONNECT_PROJECT_ID to enable WalletConnect'}
+      >
+        <Link2 className="w-6 h-6 text-blue-400" />
+        <span className="font-medium">WalletConnect</span>
+      </button>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+    </div>
+  </div>
+);
+
+export default WalletPicker;
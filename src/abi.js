@@ -0,0 +1,281 @@
+import { keccak_256 } from '@noble/hashes/sha3';
+import { bytesToHex as toHexString, hexToBytes as fromHexString, utf8ToBytes } from '@noble/hashes/utils';
+
+// Solidity ABI encoding and decoding driven by ABI JSON fragments
+
+const WORD_SIZE = 64; // hex characters per 32-byte word
+const UINT256_MAX = (1n << 256n) - 1n;
+
+const strip0x = (hex) => (hex.startsWith('0x') ? hex.slice(2) : hex);
+const padLeft = (hex, length = WORD_SIZE) => hex.padStart(length, '0');
+const padRight = (hex) => hex.padEnd(Math.ceil(hex.length / WORD_SIZE) * WORD_SIZE, '0');
+
+export const hexToBytes = (hex) => fromHexString(strip0x(hex));
+export const bytesToHex = (bytes) => '0x' + toHexString(bytes);
+
+// keccak256 of hex-encoded data
+export const keccak256 = (hex) => bytesToHex(keccak_256(hexToBytes(hex)));
+
+// keccak256 of a UTF-8 string (e.g. a function or event signature)
+export const id = (text) => bytesToHex(keccak_256(utf8ToBytes(text)));
+
+// Split 'uint256[][3]' into its element type and array length ('' for dynamic arrays)
+const parseArrayType = (type) => {
+  const match = type.match(/^(.*)\[(\d*)\]$/);
+  return match ? { elementType: match[1], length: match[2] } : null;
+};
+
+const elementParam = (param, elementType) => ({ ...param, type: elementType });
+
+// Canonical type string used in signatures, expanding tuples to their components
+export const formatType = (param) => {
+  if (param.type.startsWith('tuple')) {
+    const suffix = param.type.slice('tuple'.length);
+    return `(${param.components.map(formatType).join(',')})${suffix}`;
+  }
+  return param.type;
+};
+
+export const formatSignature = (fragment) =>
+  `${fragment.name}(${fragment.inputs.map(formatType).join(',')})`;
+
+export const functionSelector = (fragment) => id(formatSignature(fragment)).slice(0, 10);
+export const eventTopic = (fragment) => id(formatSignature(fragment));
+
+const isDynamic = (param) => {
+  const array = parseArrayType(param.type);
+  if (array) {
+    return array.length === '' || isDynamic(elementParam(param, array.elementType));
+  }
+  if (param.type === 'bytes' || param.type === 'string') return true;
+  if (param.type === 'tuple') return param.components.some(isDynamic);
+  return false;
+};
+
+// Size in hex characters of a static parameter's head
+const staticSize = (param) => {
+  if (isDynamic(param)) return WORD_SIZE;
+  const array = parseArrayType(param.type);
+  if (array) return Number(array.length) * staticSize(elementParam(param, array.elementType));
+  if (param.type === 'tuple') return param.components.reduce((sum, component) => sum + staticSize(component), 0);
+  return WORD_SIZE;
+};
+
+// Accept tuple/argument values either positionally or keyed by parameter name
+const toValueList = (params, values) => {
+  if (Array.isArray(values)) return values;
+  return params.map((param, index) => {
+    const key = param.name || index;
+    if (!(key in values)) throw new Error(`Missing value for parameter "${key}"`);
+    return values[key];
+  });
+};
+
+const encodeInteger = (type, value) => {
+  const bits = BigInt(type.replace(/^u?int/, '') || 256);
+  const number = BigInt(value);
+
+  if (type.startsWith('uint')) {
+    if (number < 0n || number >= 1n << bits) throw new Error(`Value ${value} out of range for ${type}`);
+    return padLeft(number.toString(16));
+  }
+
+  const limit = 1n << (bits - 1n);
+  if (number < -limit || number >= limit) throw new Error(`Value ${value} out of range for ${type}`);
+  return padLeft((number < 0n ? UINT256_MAX + 1n + number : number).toString(16));
+};
+
+const encodeValue = (param, value) => {
+  const { type } = param;
+  const array = parseArrayType(type);
+
+  if (array) {
+    const element = elementParam(param, array.elementType);
+    if (array.length !== '' && value.length !== Number(array.length)) {
+      throw new Error(`Expected ${array.length} values for ${type}`);
+    }
+    const encoded = encodeParams(value.map(() => element), value);
+    return array.length === '' ? padLeft(value.length.toString(16)) + encoded : encoded;
+  }
+
+  if (type === 'tuple') return encodeParams(param.components, toValueList(param.components, value));
+
+  if (type.startsWith('uint') || type.startsWith('int')) return encodeInteger(type, value);
+
+  if (type === 'address') {
+    const hex = strip0x(value);
+    if (!/^[0-9a-fA-F]{40}$/.test(hex)) throw new Error(`Invalid address: ${value}`);
+    return padLeft(hex.toLowerCase());
+  }
+
+  if (type === 'bool') return padLeft(value ? '1' : '0');
+
+  if (type === 'bytes' || type === 'string') {
+    const hex = type === 'string' ? toHexString(utf8ToBytes(value)) : strip0x(value).toLowerCase();
+    return padLeft((hex.length / 2).toString(16)) + padRight(hex);
+  }
+
+  if (type.startsWith('bytes')) {
+    const hex = strip0x(value).toLowerCase();
+    if (hex.length !== Number(type.slice(5)) * 2) throw new Error(`Invalid ${type} value: ${value}`);
+    return padRight(hex);
+  }
+
+  throw new Error(`Unsupported ABI type: ${type}`);
+};
+
+// Head/tail encoding of a parameter list (without 0x prefix)
+const encodeParams = (params, values) => {
+  if (params.length !== values.length) {
+    throw new Error(`Expected ${params.length} values, got ${values.length}`);
+  }
+
+  const headSize = params.reduce((sum, param) => sum + staticSize(param), 0);
+  let head = '';
+  let tail = '';
+
+  params.forEach((param, index) => {
+    const encoded = encodeValue(param, values[index]);
+    if (isDynamic(param)) {
+      head += padLeft(((headSize + tail.length) / 2).toString(16));
+      tail += encoded;
+    } else {
+      head += encoded;
+    }
+  });
+
+  return head + tail;
+};
+
+const readWord = (data, position) => {
+  if (position + WORD_SIZE > data.length) throw new Error('ABI data too short');
+  return data.slice(position, position + WORD_SIZE);
+};
+
+const decodeValue = (param, data, position) => {
+  const { type } = param;
+  const array = parseArrayType(type);
+
+  if (array) {
+    const element = elementParam(param, array.elementType);
+    if (array.length === '') {
+      const length = Number(BigInt('0x' + readWord(data, position)));
+      return decodeParams(Array(length).fill(element), data, position + WORD_SIZE);
+    }
+    return decodeParams(Array(Number(array.length)).fill(element), data, position);
+  }
+
+  if (type === 'tuple') {
+    const values = decodeParams(param.components, data, position);
+    return param.components.every(component => component.name)
+      ? Object.fromEntries(param.components.map((component, index) => [component.name, values[index]]))
+      : values;
+  }
+
+  const word = readWord(data, position);
+
+  if (type.startsWith('uint')) return BigInt('0x' + word);
+
+  if (type.startsWith('int')) {
+    const bits = BigInt(type.slice(3) || 256);
+    const number = BigInt.asUintN(Number(bits), BigInt('0x' + word));
+    return BigInt.asIntN(Number(bits), number);
+  }
+
+  if (type === 'address') return '0x' + word.slice(24);
+
+  if (type === 'bool') return BigInt('0x' + word) !== 0n;
+
+  if (type === 'bytes' || type === 'string') {
+    const length = Number(BigInt('0x' + word)) * 2;
+    const start = position + WORD_SIZE;
+    if (start + length > data.length) throw new Error('ABI data too short');
+    const hex = data.slice(start, start + length);
+    return type === 'string' ? new TextDecoder().decode(fromHexString(hex)) : '0x' + hex;
+  }
+
+  if (type.startsWith('bytes')) return '0x' + word.slice(0, Number(type.slice(5)) * 2);
+
+  throw new Error(`Unsupported ABI type: ${type}`);
+};
+
+const decodeParams = (params, data, base) => {
+  let position = base;
+  return params.map((param) => {
+    let value;
+    if (isDynamic(param)) {
+      const offset = Number(BigInt('0x' + readWord(data, position))) * 2;
+      value = decodeValue(param, data, base + offset);
+    } else {
+      value = decodeValue(param, data, position);
+    }
+    position += staticSize(param);
+    return value;
+  });
+};
+
+export const encodeParameters = (params, values) => '0x' + encodeParams(params, toValueList(params, values));
+
+export const decodeParameters = (params, data) => decodeParams(params, strip0x(data), 0);
+
+export const encodeFunctionData = (fragment, args = []) =>
+  functionSelector(fragment) + encodeParams(fragment.inputs, toValueList(fragment.inputs, args));
+
+export const decodeFunctionResult = (fragment, data) => {
+  if (!data || data === '0x') throw new Error(`Empty result for ${fragment.name}`);
+  return decodeParameters(fragment.outputs, data);
+};
+
+// Decode an event log into an object keyed by parameter name
+export const decodeEventLog = (fragment, log) => {
+  if (!fragment.anonymous && log.topics[0] !== eventTopic(fragment)) {
+    throw new Error(`Log does not match event ${fragment.name}`);
+  }
+
+  const indexed = fragment.inputs.filter(input => input.indexed);
+  const nonIndexed = fragment.inputs.filter(input => !input.indexed);
+  const dataValues = decodeParameters(nonIndexed, log.data);
+  const topics = fragment.anonymous ? log.topics : log.topics.slice(1);
+
+  const result = {};
+  fragment.inputs.forEach((input, index) => {
+    const key = input.name || index;
+    if (input.indexed) {
+      const topic = topics[indexed.indexOf(input)];
+      // Dynamic indexed values are only available as their keccak256 hash
+      result[key] = isDynamic(input) ? topic : decodeValue(input, strip0x(topic), 0);
+    } else {
+      result[key] = dataValues[nonIndexed.indexOf(input)];
+    }
+  });
+  return result;
+};
+
+// Convenience wrapper around a contract ABI
+export const createInterface = (abi) => {
+  const getFragment = (name, kind) => {
+    const fragment = abi.find(item => item.type === kind && item.name === name);
+    if (!fragment) throw new Error(`Unknown ${kind} ${name}`);
+    return fragment;
+  };
+
+  const events = abi.filter(item => item.type === 'event' && !item.anonymous);
+
+  return {
+    abi,
+    getFunction: (name) => getFragment(name, 'function'),
+    getEvent: (name) => getFragment(name, 'event'),
+    getEventTopic: (name) => eventTopic(getFragment(name, 'event')),
+    encodeFunctionData: (name, args) => encodeFunctionData(getFragment(name, 'function'), args),
+    decodeFunctionResult: (name, data) => decodeFunctionResult(getFragment(name, 'function'), data),
+    decodeEventLog: (name, log) => decodeEventLog(getFragment(name, 'event'), log),
+
+    // Decode every log in a receipt that matches one of this ABI's events
+    parseLogs: (logs, address) => logs.flatMap((log) => {
+      if (address && log.address.toLowerCase() !== address.toLowerCase()) return [];
+      const fragment = events.find(event => eventTopic(event) === log.topics[0]);
+      if (!fragment) return [];
+      return [{ name: fragment.name, address: log.address, args: decodeEventLog(fragment, log), log }];
+    })
+  };
+};
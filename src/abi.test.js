@@ -0,0 +1,173 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createInterface,
+  decodeParameters,
+  encodeParameters,
+  eventTopic,
+  functionSelector,
+  id
+} from './abi';
+import { ERC20_ABI, messageTransmitterInterface, tokenMessengerInterface } from './contracts';
+
+const word = (hex) => hex.replace(/^0x/, '').padStart(64, '0');
+const topicFor = (address) => '0x' + word(address.toLowerCase());
+
+const BURN_TOKEN = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const DEPOSITOR = '0x742d35cc6634c0532925a3b844bc9e7595f8c2b2';
+const MINT_RECIPIENT = '0x' + word('0x1111111111111111111111111111111111111111');
+const DESTINATION_MESSENGER = '0x' + word('0x28b5a0e9c621a5badaa536219b3a228c8168cf5d');
+
+describe('selectors and topics', () => {
+  it('computes function selectors from fragments', () => {
+    const erc20 = createInterface(ERC20_ABI);
+    expect(functionSelector(erc20.getFunction('approve'))).toBe('0x095ea7b3');
+    expect(functionSelector(erc20.getFunction('balanceOf'))).toBe('0x70a08231');
+    expect(functionSelector(tokenMessengerInterface.getFunction('depositForBurn'))).toBe('0x8e0250ee');
+    expect(functionSelector(messageTransmitterInterface.getFunction('receiveMessage'))).toBe('0x57ecfd28');
+  });
+
+  it('computes event topics from fragments', () => {
+    expect(messageTransmitterInterface.getEventTopic('MessageSent'))
+      .toBe('0x8c5261668696ce22758910d05bab8f186d6eb247ceac2af2e82c7dc17669b036');
+    expect(eventTopic(tokenMessengerInterface.getEvent('DepositForBurn')))
+      .toBe('0x0c8c1cbdc5190613ebd485511d4e2812cfa45eecb79d845893331fedad5130a5');
+  });
+});
+
+describe('static encoding', () => {
+  it('encodes addresses, integers and booleans into single words', () => {
+    const erc20 = createInterface(ERC20_ABI);
+    expect(erc20.encodeFunctionData('approve', { spender: DEPOSITOR, amount: 1000000n })).toBe(
+      '0x095ea7b3' + word(DEPOSITOR) + word('f4240')
+    );
+    expect(encodeParameters([{ type: 'int8' }, { type: 'bool' }], [-2, true])).toBe(
+      '0x' + 'f'.repeat(63) + 'e' + word('1')
+    );
+  });
+
+  it('rejects values out of range and malformed addresses', () => {
+    expect(() => encodeParameters([{ type: 'uint8' }], [256])).toThrow('out of range');
+    expect(() => encodeParameters([{ type: 'uint256' }], [-1])).toThrow('out of range');
+    expect(() => encodeParameters([{ type: 'address' }], ['0x1234'])).toThrow('Invalid address');
+  });
+
+  it('requires every named argument', () => {
+    const erc20 = createInterface(ERC20_ABI);
+    expect(() => erc20.encodeFunctionData('approve', { spender: DEPOSITOR })).toThrow('Missing value for parameter "amount"');
+  });
+});
+
+describe('dynamic encoding', () => {
+  // Example from the Solidity ABI specification
+  const params = [{ type: 'uint256' }, { type: 'uint32[]' }, { type: 'bytes10' }, { type: 'bytes' }];
+  const values = [0x123n, [0x456n, 0x789n], '0x31323334353637383930', '0x48656c6c6f2c20776f726c6421'];
+  const encoded = '0x' +
+    word('123') +
+    word('80') +
+    '3132333435363738393000000000000000000000000000000000000000000000' +
+    word('e0') +
+    word('2') +
+    word('456') +
+    word('789') +
+    word('d') +
+    '48656c6c6f2c20776f726c642100000000000000000000000000000000000000';
+
+  it('encodes head offsets and tails', () => {
+    expect(encodeParameters(params, values)).toBe(encoded);
+  });
+
+  it('decodes what it encodes', () => {
+    expect(decodeParameters(params, encoded)).toEqual(values);
+  });
+
+  it('round-trips UTF-8 strings and nested arrays', () => {
+    const nested = [{ type: 'string' }, { type: 'uint256[][]' }];
+    const data = encodeParameters(nested, ['héllo', [[1n], [2n, 3n]]]);
+    expect(decodeParameters(nested, data)).toEqual(['héllo', [[1n], [2n, 3n]]]);
+  });
+
+  it('fails on truncated data', () => {
+    expect(() => decodeParameters(params, encoded.slice(0, -64))).toThrow('ABI data too short');
+  });
+});
+
+describe('decodeFunctionResult', () => {
+  it('decodes a single return value', () => {
+    const erc20 = createInterface(ERC20_ABI);
+    expect(erc20.decodeFunctionResult('balanceOf', '0x' + word('5f5e100'))).toEqual([100000000n]);
+  });
+
+  it('decodes named outputs', () => {
+    expect(messageTransmitterInterface.decodeFunctionResult('receiveMessage', '0x' + word('1'))).toEqual([true]);
+  });
+
+  it('rejects an empty result', () => {
+    expect(() => messageTransmitterInterface.decodeFunctionResult('receiveMessage', '0x')).toThrow('Empty result for receiveMessage');
+  });
+});
+
+describe('decodeEventLog', () => {
+  it('decodes MessageSent', () => {
+    const message = '0x00000001' + 'ab'.repeat(40);
+    const log = {
+      address: '0x81d40f21f12a8f0e3252bccb954d722d4c464b64',
+      topics: [messageTransmitterInterface.getEventTopic('MessageSent')],
+      data: '0x' + word('20') + word('2c') + message.slice(2).padEnd(128, '0')
+    };
+    expect(messageTransmitterInterface.decodeEventLog('MessageSent', log)).toEqual({ message });
+  });
+
+  it('decodes DepositForBurn with indexed and non-indexed arguments', () => {
+    const hookData = '0x0102';
+    const log = {
+      address: '0x28b5a0e9c621a5badaa536219b3a228c8168cf5d',
+      topics: [
+        tokenMessengerInterface.getEventTopic('DepositForBurn'),
+        topicFor(BURN_TOKEN),
+        topicFor(DEPOSITOR),
+        '0x' + word('3e8')
+      ],
+      data: '0x' +
+        word('f4240') +
+        MINT_RECIPIENT.slice(2) +
+        word('6') +
+        DESTINATION_MESSENGER.slice(2) +
+        word('0') +
+        word('c8') +
+        word('e0') +
+        word('2') +
+        '0102'.padEnd(64, '0')
+    };
+
+    expect(tokenMessengerInterface.decodeEventLog('DepositForBurn', log)).toEqual({
+      burnToken: BURN_TOKEN,
+      amount: 1000000n,
+      depositor: DEPOSITOR,
+      mintRecipient: MINT_RECIPIENT,
+      destinationDomain: 6n,
+      destinationTokenMessenger: DESTINATION_MESSENGER,
+      destinationCaller: '0x' + word('0'),
+      maxFee: 200n,
+      minFinalityThreshold: 1000n,
+      hookData
+    });
+  });
+
+  it('rejects logs of another event', () => {
+    const log = { topics: [id('Transfer(address,address,uint256)')], data: '0x' };
+    expect(() => messageTransmitterInterface.decodeEventLog('MessageSent', log)).toThrow('Log does not match event MessageSent');
+  });
+
+  it('parses only matching logs from the given address', () => {
+    const messageSent = {
+      address: '0x81D40F21F12A8F0E3252Bccb954D722d4c464B64',
+      topics: [messageTransmitterInterface.getEventTopic('MessageSent')],
+      data: '0x' + word('20') + word('1') + 'ff'.padEnd(64, '0')
+    };
+    const other = { address: '0x0000000000000000000000000000000000000001', topics: messageSent.topics, data: messageSent.data };
+
+    const parsed = messageTransmitterInterface.parseLogs([messageSent, other], '0x81d40f21f12a8f0e3252bccb954d722d4c464b64');
+    expect(parsed).toHaveLength(1);
+    expect(parsed[0]).toMatchObject({ name: 'MessageSent', args: { message: '0xff' } });
+  });
+});
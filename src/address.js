@@ -0,0 +1,14 @@
+import { id } from './abi';
+
+// Ethereum address helpers, including EIP-55 mixed-case checksums
+
+export const isAddress = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+
+export const toChecksumAddress = (address) => {
+  if (!isAddress(address)) throw new Error(`Invalid address: ${address}`);
+  const lower = address.slice(2).toLowerCase();
+  const hash = id(lower).slice(2);
+  return '0x' + [...lower].map((char, i) => (parseInt(hash[i], 16) >= 8 ? char.toUpperCase() : char)).join('');
+};
+
+export const isChecksumAddress = (address) => isAddress(address) && toChecksumAddress(address) === address;
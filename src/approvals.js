@@ -0,0 +1,97 @@
+import { erc20Interface } from './contracts';
+import { multicall } from './balances';
+
+// Allowance checks and EIP-2612 permit helpers for USDC approvals
+
+export const MAX_UINT256 = (1n << 256n) - 1n;
+
+export const PERMIT_RELAYER_URL = import.meta.env.VITE_PERMIT_RELAYER_URL || '';
+
+// Permit is only offered with a relayer: submitted by the payer it is a signature plus a
+// transaction, which saves nothing over approving
+export const APPROVAL_MODES = {
+  exact: 'Exact Amount',
+  unlimited: 'Unlimited',
+  ...(PERMIT_RELAYER_URL && { permit: 'Permit (EIP-2612)' })
+};
+
+export const fetchAllowance = async (provider, { token, owner, spender }) => {
+  const result = await provider.request({
+    method: 'eth_call',
+    params: [{ to: token, data: erc20Interface.encodeFunctionData('allowance', { owner, spender }) }, 'latest']
+  });
+  const [allowance] = erc20Interface.decodeFunctionResult('allowance', result);
+  return allowance;
+};
+
+// Token name, version and the owner's nonce, or null if the token does not implement EIP-2612
+export const fetchPermitInfo = async (provider, { token, owner }) => {
+  try {
+    const [nameResult, versionResult, nonceResult] = await multicall(provider, [
+      { target: token, callData: erc20Interface.encodeFunctionData('name') },
+      { target: token, callData: erc20Interface.encodeFunctionData('version') },
+      { target: token, callData: erc20Interface.encodeFunctionData('nonces', { owner }) }
+    ]);
+    if (!nameResult.success || !versionResult.success || !nonceResult.success) return null;
+
+    return {
+      name: erc20Interface.decodeFunctionResult('name', nameResult.returnData)[0],
+      version: erc20Interface.decodeFunctionResult('version', versionResult.returnData)[0],
+      nonce: erc20Interface.decodeFunctionResult('nonces', nonceResult.returnData)[0]
+    };
+  } catch (error) {
+    console.error('Error checking permit support:', error);
+    return null;
+  }
+};
+
+// EIP-712 typed data for eth_signTypedData_v4
+export const buildPermitTypedData = ({ chainId, token, name, version, owner, spender, value, nonce, deadline }) => ({
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' }
+    ],
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  primaryType: 'Permit',
+  domain: { name, version, chainId: Number(chainId), verifyingContract: token },
+  message: {
+    owner,
+    spender,
+    value: value.toString(),
+    nonce: nonce.toString(),
+    deadline: deadline.toString()
+  }
+});
+
+// Split a 65-byte signature into its v, r and s components
+export const splitSignature = (signature) => {
+  const hex = signature.slice(2);
+  let v = parseInt(hex.slice(128, 130), 16);
+  if (v < 27) v += 27;
+  return { r: '0x' + hex.slice(0, 64), s: '0x' + hex.slice(64, 128), v };
+};
+
+// Hand a signed permit to the relayer, which submits it and pays the gas.
+// Resolves to the relayer's permit transaction hash.
+export const relayPermit = async (payload, { relayerUrl = PERMIT_RELAYER_URL, fetchImpl = (...args) => fetch(...args) } = {}) => {
+  const response = await fetchImpl(relayerUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+  if (!response.ok) {
+    throw new Error(`Permit relayer request failed with status ${response.status}`);
+  }
+  const { txHash } = await response.json();
+  return txHash;
+};
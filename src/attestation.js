@@ -0,0 +1,55 @@
+import { IS_TESTNET } from './chains';
+
+// Client for Circle's attestation service (Iris API); testnet transfers are attested by the sandbox
+export const IRIS_API_URL = import.meta.env.VITE_IRIS_API_URL
+  || (IS_TESTNET ? 'https://iris-api-sandbox.circle.com' : 'https://iris-api.circle.com');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createAttestationClient = ({
+  apiUrl = IRIS_API_URL,
+  fetchImpl = (...args) => fetch(...args),
+  pollInterval = 2000,
+  timeout = 30 * 60 * 1000
+} = {}) => {
+  // Fetch the messages emitted by a source-chain transaction.
+  // Returns an empty list while the API has not indexed the transaction yet.
+  const getMessages = async (sourceDomain, transactionHash) => {
+    const response = await fetchImpl(
+      `${apiUrl}/v2/messages/${sourceDomain}?transactionHash=${transactionHash}`
+    );
+
+    if (response.status === 404 || response.status === 429) return [];
+    if (!response.ok) {
+      throw new Error(`Attestation API request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    return body.messages || [];
+  };
+
+  // Poll until the message for the given burn transaction has a complete attestation
+  const waitForAttestation = async ({ sourceDomain, transactionHash, onPoll, signal }) => {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      signal?.throwIfAborted();
+      const [message] = await getMessages(sourceDomain, transactionHash);
+
+      if (message && message.status === 'complete' && message.attestation && message.attestation !== 'PENDING') {
+        return {
+          message: message.message,
+          attestation: message.attestation,
+          eventNonce: message.eventNonce
+        };
+      }
+
+      if (onPoll) onPoll(message ? message.status : 'not_found');
+      await sleep(pollInterval);
+    }
+
+    throw new Error('Timed out waiting for attestation');
+  };
+
+  return { getMessages, waitForAttestation };
+};
@@ -0,0 +1,61 @@
+import { CHAIN_CONFIG } from './chains';
+import { erc20Interface, multicallInterface, MULTICALL3_ADDRESS } from './contracts';
+import { getReadProvider } from './rpc';
+
+// Batch several read calls into one eth_call through Multicall3
+export const multicall = async (provider, calls) => {
+  const result = await provider.request({
+    method: 'eth_call',
+    params: [{
+      to: MULTICALL3_ADDRESS,
+      data: multicallInterface.encodeFunctionData('aggregate3', {
+        calls: calls.map(call => ({ target: call.target, allowFailure: true, callData: call.callData }))
+      })
+    }, 'latest']
+  });
+
+  const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', result);
+  return returnData;
+};
+
+// USDC balance of an address on one chain, in smallest units and formatted with two decimals
+export const fetchUSDCBalance = async (address, chainId) => {
+  const config = CHAIN_CONFIG[chainId];
+  const [balanceResult, decimalsResult] = await multicall(getReadProvider(chainId), [
+    { target: config.usdc, callData: erc20Interface.encodeFunctionData('balanceOf', { account: address }) },
+    { target: config.usdc, callData: erc20Interface.encodeFunctionData('decimals') }
+  ]);
+
+  if (!balanceResult.success || !decimalsResult.success) {
+    throw new Error(`USDC call reverted on ${config.name}`);
+  }
+
+  const [balance] = erc20Interface.decodeFunctionResult('balanceOf', balanceResult.returnData);
+  const [decimals] = erc20Interface.decodeFunctionResult('decimals', decimalsResult.returnData);
+  return {
+    units: balance,
+    formatted: (Number(balance) / Math.pow(10, Number(decimals))).toFixed(2)
+  };
+};
+
+// Fetch USDC balances on every configured chain in parallel.
+// Failed chains are reported in `errors` instead of failing the whole refresh.
+export const fetchAllBalances = async (address, chainIds = Object.keys(CHAIN_CONFIG)) => {
+  const results = await Promise.allSettled(chainIds.map(chainId => fetchUSDCBalance(address, chainId)));
+
+  const balances = {};
+  const units = {};
+  const errors = {};
+  results.forEach((result, index) => {
+    const chainId = chainIds[index];
+    if (result.status === 'fulfilled') {
+      balances[chainId] = result.value.formatted;
+      units[chainId] = result.value.units;
+    } else {
+      console.error(`Error fetching balance for chain ${chainId}:`, result.reason);
+      errors[chainId] = result.reason.message || 'Unable to fetch balance';
+    }
+  });
+
+  return { balances, units, errors, updatedAt: Date.now() };
+};
@@ -0,0 +1,134 @@
+import { messageTransmitterInterface } from './contracts';
+import { CHAIN_CONFIG, findChainIdByDomain } from './chains';
+
+// Parsing of raw CCTP V2 messages (MessageTransmitter header + TokenMessenger burn body)
+
+// Byte ranges of the V2 message header
+const HEADER_LAYOUT = {
+  version: [0, 4],
+  sourceDomain: [4, 8],
+  destinationDomain: [8, 12],
+  nonce: [12, 44],
+  sender: [44, 76],
+  recipient: [76, 108],
+  destinationCaller: [108, 140],
+  minFinalityThreshold: [140, 144],
+  finalityThresholdExecuted: [144, 148]
+};
+const HEADER_LENGTH = 148;
+
+// Byte ranges of the V2 BurnMessage body
+const BURN_MESSAGE_LAYOUT = {
+  version: [0, 4],
+  burnToken: [4, 36],
+  mintRecipient: [36, 68],
+  amount: [68, 100],
+  messageSender: [100, 132],
+  maxFee: [132, 164],
+  feeExecuted: [164, 196],
+  expirationBlock: [196, 228]
+};
+const BURN_MESSAGE_LENGTH = 228;
+
+const UINT32_FIELDS = ['version', 'sourceDomain', 'destinationDomain', 'minFinalityThreshold', 'finalityThresholdExecuted'];
+const UINT256_FIELDS = ['amount', 'maxFee', 'feeExecuted', 'expirationBlock'];
+
+export const bytes32ToAddress = (bytes32) => '0x' + bytes32.slice(-40);
+
+const sliceBytes = (hex, [start, end]) => hex.slice(start * 2, end * 2);
+
+const decodeLayout = (hex, layout) => Object.fromEntries(
+  Object.entries(layout).map(([field, range]) => {
+    const value = sliceBytes(hex, range);
+    if (UINT32_FIELDS.includes(field)) return [field, parseInt(value, 16)];
+    if (UINT256_FIELDS.includes(field)) return [field, BigInt('0x' + value)];
+    return [field, '0x' + value];
+  })
+);
+
+// Decode a BurnMessage body; hookData is whatever follows the fixed fields
+export const decodeBurnMessage = (body) => {
+  const hex = body.startsWith('0x') ? body.slice(2) : body;
+  if (hex.length < BURN_MESSAGE_LENGTH * 2) {
+    throw new Error('Message body is too short to be a CCTP V2 burn message');
+  }
+  return {
+    ...decodeLayout(hex, BURN_MESSAGE_LAYOUT),
+    hookData: '0x' + hex.slice(BURN_MESSAGE_LENGTH * 2)
+  };
+};
+
+// Decode a full message into its header fields and the raw message body
+export const decodeMessage = (message) => {
+  const hex = message.startsWith('0x') ? message.slice(2) : message;
+  if (hex.length < HEADER_LENGTH * 2) {
+    throw new Error('Message is too short to be a CCTP V2 message');
+  }
+  return {
+    ...decodeLayout(hex, HEADER_LAYOUT),
+    messageBody: '0x' + hex.slice(HEADER_LENGTH * 2)
+  };
+};
+
+// Message and burn message format versions emitted by CCTP V2 contracts
+export const MESSAGE_VERSION = 1;
+export const BURN_MESSAGE_VERSION = 1;
+
+const describeDomain = (domain) => {
+  const chainId = findChainIdByDomain(domain);
+  return {
+    domain,
+    chainId: chainId ? Number(chainId) : null,
+    name: chainId ? CHAIN_CONFIG[chainId].name : `Unknown domain ${domain}`
+  };
+};
+
+// Fully parse a message for inspection: header, burn body (when present),
+// resolved chains and any inconsistencies worth flagging
+export const inspectMessage = (message) => {
+  const header = decodeMessage(message);
+  const warnings = [];
+
+  if (header.version !== MESSAGE_VERSION) {
+    warnings.push(`Unexpected message version ${header.version}`);
+  }
+
+  let body = null;
+  try {
+    body = decodeBurnMessage(header.messageBody);
+    if (body.version !== BURN_MESSAGE_VERSION) {
+      warnings.push(`Unexpected burn message version ${body.version}`);
+    }
+    if (body.feeExecuted > body.maxFee) {
+      warnings.push('Executed fee exceeds the max fee');
+    }
+  } catch (error) {
+    warnings.push(error.message);
+  }
+
+  const source = describeDomain(header.sourceDomain);
+  const destination = describeDomain(header.destinationDomain);
+  if (!source.chainId) warnings.push(`Source domain ${header.sourceDomain} is not configured`);
+  if (!destination.chainId) warnings.push(`Destination domain ${header.destinationDomain} is not configured`);
+
+  // Unset nonce and finality fields mean the message has not been attested yet
+  const attested = /[^0]/.test(header.nonce.slice(2)) && header.finalityThresholdExecuted > 0;
+
+  return {
+    header,
+    body,
+    source,
+    destination,
+    attested,
+    netAmount: body ? body.amount - body.feeExecuted : null,
+    warnings
+  };
+};
+
+// Extract the raw CCTP message from the MessageSent event of a burn receipt
+export const extractMessageSent = (receipt, messageTransmitterAddress) => {
+  const [event] = messageTransmitterInterface
+    .parseLogs(receipt.logs, messageTransmitterAddress)
+    .filter(log => log.name === 'MessageSent');
+  return event ? event.args.message : null;
+};
@@ -0,0 +1,60 @@
+import { CHAIN_CONFIG } from './chains';
+import { getReadProvider } from './rpc';
+import { shortenHex } from './format';
+
+// Startup check that every configured contract address actually holds bytecode. Chains that
+// fail are disabled for new payments until the next reload.
+
+export const CHAIN_HEALTH = {
+  ok: 'ok',
+  disabled: 'disabled',
+  // The RPC endpoint could not be reached, so the contracts were not checked
+  unverified: 'unverified'
+};
+
+const CONTRACT_LABELS = {
+  tokenMessenger: 'TokenMessenger',
+  messageTransmitter: 'MessageTransmitter',
+  usdc: 'USDC'
+};
+
+const disabledChains = {};
+
+// Reasons a chain's contracts are unusable; throws when the RPC endpoint fails
+export const checkChainContracts = async (chainId, provider = getReadProvider(chainId)) => {
+  const config = CHAIN_CONFIG[chainId];
+  const codes = await Promise.all(Object.keys(CONTRACT_LABELS).map(field => (
+    provider.request({ method: 'eth_getCode', params: [config[field], 'latest'] })
+  )));
+
+  return Object.entries(CONTRACT_LABELS)
+    .filter((entry, index) => !codes[index] || codes[index] === '0x')
+    .map(([field, label]) => `${label} ${shortenHex(config[field])} has no contract code`);
+};
+
+// Check every configured chain, disabling those with missing contracts. Resolves to
+// { [chainId]: { status, reasons } }.
+export const verifyChainContracts = async ({ getProvider = getReadProvider } = {}) => {
+  const entries = await Promise.all(Object.keys(CHAIN_CONFIG).map(async (chainId) => {
+    try {
+      const reasons = await checkChainContracts(chainId, getProvider(chainId));
+      if (reasons.length > 0) {
+        disabledChains[chainId] = reasons;
+        return [chainId, { status: CHAIN_HEALTH.disabled, reasons }];
+      }
+      delete disabledChains[chainId];
+      return [chainId, { status: CHAIN_HEALTH.ok, reasons: [] }];
+    } catch (error) {
+      return [chainId, { status: CHAIN_HEALTH.unverified, reasons: [`Could not reach RPC: ${error.message}`] }];
+    }
+  }));
+  return Object.fromEntries(entries);
+};
+
+// Reasons a chain was disabled by the last check, or null while it is usable
+export const chainDisabledReasons = (chainId) => disabledChains[chainId] || null;
+
+export const assertChainEnabled = (chainId) => {
+  const reasons = chainDisabledReasons(chainId);
+  if (reasons) throw new Error(`${CHAIN_CONFIG[chainId].name} is disabled: ${reasons.join('; ')}`);
+};
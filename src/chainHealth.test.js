@@ -0,0 +1,71 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { CHAIN_HEALTH, assertChainEnabled, chainDisabledReasons, verifyChainContracts } from './chainHealth';
+import { createMockProvider } from './mockProvider';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+import { shortenHex } from './format';
+
+const ETHEREUM = chainIdByKey('ethereum');
+const BASE = chainIdByKey('base');
+const ARBITRUM = chainIdByKey('arbitrum');
+
+const CODE = '0x6080604052';
+
+// Every contract has code unless `emptyAt` lists its address; `unreachable` fails every request
+const codeProvider = ({ emptyAt = [], unreachable = false } = {}) => createMockProvider({
+  handlers: {
+    eth_getCode: ([address]) => {
+      if (unreachable) throw new Error('fetch failed');
+      return emptyAt.includes(address) ? '0x' : CODE;
+    }
+  }
+});
+
+const healthy = () => codeProvider();
+
+afterEach(async () => {
+  // Clear the disabled chains remembered by the module
+  await verifyChainContracts({ getProvider: healthy });
+});
+
+describe('verifyChainContracts', () => {
+  it('marks chains whose contracts have code as ok', async () => {
+    const health = await verifyChainContracts({ getProvider: healthy });
+    Object.keys(CHAIN_CONFIG).forEach(chainId => expect(health[chainId]).toEqual({ status: CHAIN_HEALTH.ok, reasons: [] }));
+  });
+
+  it('disables chains with a contract address that returns empty code', async () => {
+    const { usdc, tokenMessenger } = CHAIN_CONFIG[BASE];
+    const health = await verifyChainContracts({
+      getProvider: chainId => (Number(chainId) === BASE ? codeProvider({ emptyAt: [usdc, tokenMessenger] }) : healthy())
+    });
+
+    const reasons = [
+      `TokenMessenger ${shortenHex(tokenMessenger)} has no contract code`,
+      `USDC ${shortenHex(usdc)} has no contract code`
+    ];
+    expect(health[BASE]).toEqual({ status: CHAIN_HEALTH.disabled, reasons });
+    expect(health[ETHEREUM].status).toBe(CHAIN_HEALTH.ok);
+    expect(chainDisabledReasons(BASE)).toEqual(reasons);
+    expect(() => assertChainEnabled(BASE)).toThrow(`${CHAIN_CONFIG[BASE].name} is disabled: ${reasons.join('; ')}`);
+    expect(() => assertChainEnabled(ETHEREUM)).not.toThrow();
+  });
+
+  it('leaves chains whose RPC cannot be reached unverified but enabled', async () => {
+    const health = await verifyChainContracts({
+      getProvider: chainId => (Number(chainId) === ARBITRUM ? codeProvider({ unreachable: true }) : healthy())
+    });
+
+    expect(health[ARBITRUM]).toEqual({ status: CHAIN_HEALTH.unverified, reasons: ['Could not reach RPC: fetch failed'] });
+    expect(chainDisabledReasons(ARBITRUM)).toBeNull();
+  });
+
+  it('enables a disabled chain again once its contracts have code', async () => {
+    await verifyChainContracts({
+      getProvider: chainId => (Number(chainId) === BASE ? codeProvider({ emptyAt: [CHAIN_CONFIG[BASE].usdc] }) : healthy())
+    });
+    expect(chainDisabledReasons(BASE)).not.toBeNull();
+
+    await verifyChainContracts({ getProvider: healthy });
+    expect(chainDisabledReasons(BASE)).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+import { isAddress, isChecksumAddress } from './address';
+
+// Schema validation for the JSON chain registries (src/chains.<network>.json). Each entry
+// describes one chain; entries that fail validation are left out of CHAIN_CONFIG and
+// reported with their reasons instead.
+
+const CONTRACT_FIELDS = ['messageTransmitter', 'tokenMessenger', 'usdc'];
+const STRING_FIELDS = ['name', 'key', 'chainName', 'icon', 'color'];
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const isHttpUrl = (value) => {
+  try {
+    return ['https:', 'http:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Problems with a single entry, ignoring the other entries
+export const validateChainEntry = (entry) => {
+  const errors = [];
+
+  if (!Number.isInteger(entry.chainId) || entry.chainId <= 0) errors.push('chainId must be a positive integer');
+  if (!isNonNegativeInteger(entry.domain)) errors.push('domain must be a non-negative integer');
+
+  STRING_FIELDS.forEach(field => {
+    if (typeof entry[field] !== 'string' || !entry[field]) errors.push(`${field} is required`);
+  });
+
+  CONTRACT_FIELDS.forEach(field => {
+    if (!isAddress(entry[field])) errors.push(`${field} is not an address`);
+    else if (!isChecksumAddress(entry[field])) errors.push(`${field} ${entry[field]} fails its EIP-55 checksum`);
+  });
+
+  const currency = entry.nativeCurrency;
+  if (!currency || typeof currency.name !== 'string' || typeof currency.symbol !== 'string' || !isNonNegativeInteger(currency.decimals)) {
+    errors.push('nativeCurrency needs a name, symbol and decimals');
+  }
+
+  if (!isHttpUrl(entry.explorer)) errors.push('explorer must be a URL');
+  if (!isHttpUrl(entry.rpcUrl)) errors.push('rpcUrl must be a URL');
+  if (!Array.isArray(entry.rpcUrls) || entry.rpcUrls.length === 0 || !entry.rpcUrls.every(isHttpUrl)) {
+    errors.push('rpcUrls must be a non-empty list of URLs');
+  }
+  if (entry.faucets && !Object.values(entry.faucets).every(isHttpUrl)) errors.push('faucets must be URLs');
+  if (entry.safeTxService !== undefined && !isHttpUrl(entry.safeTxService)) errors.push('safeTxService must be a URL');
+
+  return errors;
+};
+
+// Validate a registry and build the CHAIN_CONFIG object keyed by chain ID. Chain IDs, CCTP
+// domains and keys must be unique; later duplicates are rejected.
+export const validateChainRegistry = (entries) => {
+  const chains = {};
+  const rejected = [];
+  const claimed = { chainId: {}, domain: {}, key: {} };
+
+  entries.forEach((entry, index) => {
+    const errors = validateChainEntry(entry);
+
+    Object.keys(claimed).forEach(field => {
+      const owner = claimed[field][entry[field]];
+      if (owner) errors.push(`${field} ${entry[field]} is already used by ${owner}`);
+    });
+
+    if (errors.length > 0) {
+      rejected.push({ chainId: entry.chainId, name: entry.name || `Entry ${index + 1}`, errors });
+      return;
+    }
+
+    Object.keys(claimed).forEach(field => {
+      claimed[field][entry[field]] = entry.name;
+    });
+    const { chainId, ...config } = entry;
+    chains[chainId] = { ...config, chainIdHex: '0x' + chainId.toString(16) };
+  });
+
+  return { chains, rejected };
+};
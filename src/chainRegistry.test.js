@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { validateChainEntry, validateChainRegistry } from './chainRegistry';
+import mainnetChains from './chains.mainnet.json';
+import testnetChains from './chains.testnet.json';
+
+const [ethereum, arbitrum] = mainnetChains;
+
+describe('validateChainEntry', () => {
+  it('accepts every shipped registry entry', () => {
+    [...mainnetChains, ...testnetChains].forEach(entry => expect(validateChainEntry(entry)).toEqual([]));
+  });
+
+  it('rejects contract addresses that fail their EIP-55 checksum', () => {
+    // Only the case of the first letter differs from the checksummed address
+    const entry = { ...ethereum, usdc: ethereum.usdc.replace('0xA0', '0xa0') };
+    expect(validateChainEntry(entry)).toEqual([`usdc ${entry.usdc} fails its EIP-55 checksum`]);
+  });
+
+  it('rejects malformed fields', () => {
+    const entry = {
+      ...ethereum,
+      chainId: 0,
+      domain: -1,
+      name: '',
+      tokenMessenger: '0x1234',
+      nativeCurrency: { name: 'Ether', symbol: 'ETH' },
+      explorer: 'etherscan.io',
+      rpcUrls: [],
+      faucets: { native: 'ftp://faucet' },
+      safeTxService: 'not a url'
+    };
+    expect(validateChainEntry(entry)).toEqual([
+      'chainId must be a positive integer',
+      'domain must be a non-negative integer',
+      'name is required',
+      'tokenMessenger is not an address',
+      'nativeCurrency needs a name, symbol and decimals',
+      'explorer must be a URL',
+      'rpcUrls must be a non-empty list of URLs',
+      'faucets must be URLs',
+      'safeTxService must be a URL'
+    ]);
+  });
+});
+
+describe('validateChainRegistry', () => {
+  it('builds CHAIN_CONFIG keyed by chain ID with its hex form', () => {
+    const { chains, rejected } = validateChainRegistry([ethereum, arbitrum]);
+    expect(rejected).toEqual([]);
+    expect(Object.keys(chains)).toEqual(['1', '42161']);
+    expect(chains[42161]).toMatchObject({ name: arbitrum.name, chainIdHex: '0xa4b1' });
+    expect(chains[1].chainId).toBeUndefined();
+  });
+
+  it('rejects later entries that reuse a chain ID, domain or key', () => {
+    const { chains, rejected } = validateChainRegistry([
+      ethereum,
+      { ...arbitrum, chainId: 1, name: 'Same chain ID' },
+      { ...arbitrum, domain: ethereum.domain, name: 'Same domain' },
+      { ...arbitrum, key: ethereum.key, name: 'Same key' },
+      arbitrum
+    ]);
+
+    expect(Object.keys(chains)).toEqual(['1', '42161']);
+    expect(rejected).toEqual([
+      { chainId: 1, name: 'Same chain ID', errors: ['chainId 1 is already used by Ethereum'] },
+      { chainId: 42161, name: 'Same domain', errors: ['domain 0 is already used by Ethereum'] },
+      { chainId: 42161, name: 'Same key', errors: ['key ethereum is already used by Ethereum'] }
+    ]);
+  });
+
+  it('names rejected entries without a name by position', () => {
+    const { rejected } = validateChainRegistry([{ ...ethereum, name: undefined }]);
+    expect(rejected[0]).toMatchObject({ name: 'Entry 1', errors: ['name is required'] });
+  });
+});
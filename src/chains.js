@@ -0,0 +1,52 @@
+import mainnetChains from './chains.mainnet.json';
+import testnetChains from './chains.testnet.json';
+import { validateChainRegistry } from './chainRegistry';
+
+// Chain configurations for CCTP V2, one JSON registry per network. `key` names the same chain
+// across networks so defaults can be written once.
+
+const env = import.meta.env;
+
+export const NETWORKS = {
+  mainnet: 'mainnet',
+  testnet: 'testnet'
+};
+
+const NETWORK_KEY = 'cctp-gateway:network';
+
+export const CHAIN_REGISTRIES = {
+  [NETWORKS.mainnet]: mainnetChains,
+  [NETWORKS.testnet]: testnetChains
+};
+
+// The build picks the default network with VITE_NETWORK; the in-app toggle overrides it
+const readNetwork = () => {
+  const stored = typeof window === 'undefined' ? null : window.localStorage.getItem(NETWORK_KEY);
+  const network = stored || env.VITE_NETWORK || NETWORKS.mainnet;
+  return CHAIN_REGISTRIES[network] ? network : NETWORKS.mainnet;
+};
+
+export const NETWORK = readNetwork();
+
+export const IS_TESTNET = NETWORK === NETWORKS.testnet;
+
+const registry = validateChainRegistry(CHAIN_REGISTRIES[NETWORK]);
+
+export const CHAIN_CONFIG = registry.chains;
+
+// Registry entries left out of CHAIN_CONFIG because they failed validation
+export const REJECTED_CHAINS = registry.rejected;
+
+// Every module reads the registry once at load time, so changing network reloads the app
+export const setNetwork = (network) => {
+  window.localStorage.setItem(NETWORK_KEY, network);
+  window.location.reload();
+};
+
+// Chain ID of a chain by its `key` on the active network
+export const chainIdByKey = (key) =>
+  Number(Object.keys(CHAIN_CONFIG).find(chainId => CHAIN_CONFIG[chainId].key === key));
+
+// Chain ID for a CCTP domain, or undefined if the domain is not configured
+export const findChainIdByDomain = (domain) =>
+  Object.keys(CHAIN_CONFIG).find(chainId => CHAIN_CONFIG[chainId].domain === Number(domain));
@@ -0,0 +1,59 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import CheckoutWidget, { CHECKOUT_CALLBACKS, CHECKOUT_MESSAGE_SOURCE } from './CheckoutWidget';
+
+// Script-tag SDK: window.CCTPCheckout.mount() renders the widget into the host page,
+// window.CCTPCheckout.embed() loads it in an iframe and relays its lifecycle events
+
+// Options that are passed to the iframe as query parameters
+const FRAME_OPTIONS = ['merchant', 'amount', 'destinationChain', 'allowedChains', 'theme', 'fast', 'reference'];
+
+export const mountCheckout = (element, options) => {
+  const root = ReactDOM.createRoot(element);
+  const render = (next) => root.render(<CheckoutWidget {...next} />);
+  render(options);
+  return {
+    update: (changes) => {
+      options = { ...options, ...changes };
+      render(options);
+    },
+    unmount: () => root.unmount()
+  };
+};
+
+// `frameUrl` points at the deployed checkout.html. The frame only posts its events to
+// `parentOrigin`, this page's origin unless the SDK is told otherwise.
+export const embedCheckout = (element, { frameUrl, parentOrigin = window.location.origin, ...options }) => {
+  const url = new URL(frameUrl, window.location.href);
+  url.searchParams.set('parentOrigin', parentOrigin);
+  FRAME_OPTIONS.forEach((name) => {
+    if (options[name] === undefined || options[name] === null) return;
+    url.searchParams.set(name, Array.isArray(options[name]) ? options[name].join(',') : String(options[name]));
+  });
+
+  const iframe = document.createElement('iframe');
+  iframe.src = url.toString();
+  iframe.title = 'USDC Checkout';
+  iframe.style.border = '0';
+  iframe.style.width = options.width || '400px';
+  iframe.style.height = options.height || '420px';
+  element.appendChild(iframe);
+
+  const onMessage = (event) => {
+    if (event.source !== iframe.contentWindow || event.origin !== url.origin) return;
+    const { source, event: name, payload } = event.data || {};
+    if (source !== CHECKOUT_MESSAGE_SOURCE || !CHECKOUT_CALLBACKS[name]) return;
+    options[CHECKOUT_CALLBACKS[name]]?.(payload);
+  };
+  window.addEventListener('message', onMessage);
+
+  return {
+    iframe,
+    destroy: () => {
+      window.removeEventListener('message', onMessage);
+      iframe.remove();
+    }
+  };
+};
+
+window.CCTPCheckout = { mount: mountCheckout, embed: embedCheckout };
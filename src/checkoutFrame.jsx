@@ -0,0 +1,40 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import CheckoutWidget from './CheckoutWidget';
+
+import './style.css';
+
+// Entry point of checkout.html: widget options come from the query string and
+// lifecycle events are posted to the embedding page
+const params = new URLSearchParams(window.location.search);
+const allowedChains = params.get('allowedChains');
+
+// Events carry payment details, so they are only posted to the origin the embedding page
+// declared (`parentOrigin`, set by CCTPCheckout.embed) and never to any origin
+const readParentOrigin = () => {
+  const origin = params.get('parentOrigin');
+  try {
+    if (origin && new URL(origin).origin === origin) return origin;
+  } catch (error) {
+    // Reported below
+  }
+  console.error('Checkout frame: missing or invalid parentOrigin parameter, lifecycle events will not be posted');
+  return null;
+};
+const parentOrigin = window.parent !== window ? readParentOrigin() : null;
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <CheckoutWidget
+      merchant={params.get('merchant')}
+      amount={params.get('amount') || ''}
+      destinationChain={Number(params.get('destinationChain'))}
+      allowedChains={allowedChains ? allowedChains.split(',').map(Number) : undefined}
+      theme={params.get('theme') || 'dark'}
+      fast={params.get('fast') !== 'false'}
+      reference={params.get('reference')}
+      postMessageTarget={parentOrigin ? window.parent : null}
+      targetOrigin={parentOrigin}
+    />
+  </React.StrictMode>
+);
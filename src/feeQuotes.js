@@ -0,0 +1,94 @@
+import { IRIS_API_URL } from './attestation';
+import { parseUnits } from './format';
+
+// Minimum finality thresholds for CCTP V2 burns
+export const FINALITY_THRESHOLDS = {
+  fast: 1000,
+  standard: 2000
+};
+
+// Fee rates may be fractional basis points; they are scaled to integers with this many decimals
+const FEE_BPS_DECIMALS = 6;
+const FEE_BPS_SCALE = 10n ** BigInt(FEE_BPS_DECIMALS);
+
+// Fee in USDC smallest units (BigInt) for `amountInUnits` at `feeBps`, rounded up
+export const feeForAmount = (amountInUnits, feeBps) => {
+  const scaledBps = BigInt(Math.round(feeBps * Number(FEE_BPS_SCALE)));
+  const denominator = 10000n * FEE_BPS_SCALE;
+  return (BigInt(amountInUnits) * scaledBps + denominator - 1n) / denominator;
+};
+
+// Decimal USDC string to smallest units, dropping digits beyond the sixth decimal
+const toUnitsRoundedDown = (value) => {
+  const [whole, fraction = ''] = String(value).split('.');
+  return parseUnits(fraction ? `${whole}.${fraction.slice(0, 6)}` : whole);
+};
+
+// Fee and Fast Transfer allowance quotes from Circle's Iris API
+export const createFeeQuoteService = ({
+  apiUrl = IRIS_API_URL,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) => {
+  const getJson = async (path) => {
+    const response = await fetchImpl(`${apiUrl}${path}`);
+    if (!response.ok) {
+      throw new Error(`Fee API request failed with status ${response.status}`);
+    }
+    return response.json();
+  };
+
+  // Minimum fees (in basis points) per finality threshold for a route
+  const getFees = async (sourceDomain, destinationDomain) => {
+    const fees = await getJson(`/v2/burn/USDC/fees/${sourceDomain}/${destinationDomain}`);
+    return fees.map(fee => ({
+      finalityThreshold: Number(fee.finalityThreshold),
+      minimumFee: Number(fee.minimumFee)
+    }));
+  };
+
+  // Remaining Fast Transfer allowance, in USDC smallest units (BigInt)
+  const getFastAllowance = async () => {
+    const { allowance, lastUpdated } = await getJson('/v2/fastBurn/USDC/allowance');
+    return {
+      allowance: toUnitsRoundedDown(allowance),
+      lastUpdated
+    };
+  };
+
+  // Quote a transfer, falling back to Standard when Fast is unavailable for the amount.
+  // Amounts, fee and allowance are BigInt smallest units.
+  const getQuote = async ({ sourceDomain, destinationDomain, amountInUnits: amount, fast }) => {
+    const amountInUnits = BigInt(amount);
+    const [fees, { allowance }] = await Promise.all([
+      getFees(sourceDomain, destinationDomain),
+      fast ? getFastAllowance() : Promise.resolve({ allowance: null })
+    ]);
+
+    const fastFee = fees.find(fee => fee.finalityThreshold === FINALITY_THRESHOLDS.fast);
+    const standardFee = fees.find(fee => fee.finalityThreshold === FINALITY_THRESHOLDS.standard);
+
+    let fallbackReason = null;
+    if (fast && !fastFee) {
+      fallbackReason = 'Fast Transfer is not available for this route';
+    } else if (fast && allowance < amountInUnits) {
+      fallbackReason = 'Fast Transfer allowance does not cover this amount';
+    }
+
+    const useFast = fast && !fallbackReason;
+    const feeBps = (useFast ? fastFee : standardFee)?.minimumFee || 0;
+    const fee = feeForAmount(amountInUnits, feeBps);
+
+    return {
+      fast: useFast,
+      finalityThreshold: useFast ? FINALITY_THRESHOLDS.fast : FINALITY_THRESHOLDS.standard,
+      feeBps,
+      fee,
+      netAmount: amountInUnits > fee ? amountInUnits - fee : 0n,
+      allowance,
+      allowanceSufficient: allowance === null ? null : allowance >= amountInUnits,
+      fallbackReason
+    };
+  };
+
+  return { getFees, getFastAllowance, getQuote };
+};
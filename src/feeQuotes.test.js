@@ -0,0 +1,98 @@
+import { describe, expect, it } from 'vitest';
+import { FINALITY_THRESHOLDS, createFeeQuoteService, feeForAmount } from './feeQuotes';
+
+// Iris API stub: fee rates per finality threshold and the Fast Transfer allowance
+const createService = ({ fees = [{ finalityThreshold: 1000, minimumFee: 1 }, { finalityThreshold: 2000, minimumFee: 0 }], allowance = '1000.5' } = {}) => {
+  const requests = [];
+  const fetchImpl = async (url) => {
+    requests.push(url);
+    const body = url.includes('/fastBurn/') ? { allowance, lastUpdated: '2025-01-01T00:00:00Z' } : fees;
+    return { ok: true, status: 200, json: async () => body };
+  };
+  return { requests, service: createFeeQuoteService({ apiUrl: 'https://iris.test', fetchImpl }) };
+};
+
+const quote = (service, amountInUnits, fast = true) => service.getQuote({ sourceDomain: 0, destinationDomain: 6, amountInUnits, fast });
+
+describe('feeForAmount', () => {
+  it('rounds fees up to whole units', () => {
+    expect(feeForAmount(10000000n, 1)).toBe(1000n);
+    expect(feeForAmount(10001n, 1)).toBe(2n);
+    expect(feeForAmount(10000000n, 0)).toBe(0n);
+  });
+
+  it('supports fractional basis points', () => {
+    expect(feeForAmount(10000000n, 1.3)).toBe(1300n);
+    expect(feeForAmount(10000000n, 0.25)).toBe(250n);
+  });
+
+  it('stays exact for amounts beyond the float range', () => {
+    expect(feeForAmount(123456789012345678901n, 1)).toBe(12345678901234568n);
+  });
+});
+
+describe('getFastAllowance', () => {
+  it('converts the decimal allowance to units without floating point', async () => {
+    const { service } = createService({ allowance: '123456789.123456' });
+    expect((await service.getFastAllowance()).allowance).toBe(123456789123456n);
+  });
+
+  it('rounds allowances with more than six decimals down', async () => {
+    const { service } = createService({ allowance: '1.2345679' });
+    expect((await service.getFastAllowance()).allowance).toBe(1234567n);
+  });
+});
+
+describe('getQuote', () => {
+  it('quotes Fast Transfer when the allowance covers the amount', async () => {
+    const { service, requests } = createService();
+    expect(await quote(service, 1000000000n)).toEqual({
+      fast: true,
+      finalityThreshold: FINALITY_THRESHOLDS.fast,
+      feeBps: 1,
+      fee: 100000n,
+      netAmount: 999900000n,
+      allowance: 1000500000n,
+      allowanceSufficient: true,
+      fallbackReason: null
+    });
+    expect(requests).toEqual(['https://iris.test/v2/burn/USDC/fees/0/6', 'https://iris.test/v2/fastBurn/USDC/allowance']);
+  });
+
+  it('falls back to Standard when the allowance does not cover the amount', async () => {
+    const { service } = createService({ allowance: '10' });
+    expect(await quote(service, 10000001n)).toMatchObject({
+      fast: false,
+      finalityThreshold: FINALITY_THRESHOLDS.standard,
+      fee: 0n,
+      allowanceSufficient: false,
+      fallbackReason: 'Fast Transfer allowance does not cover this amount'
+    });
+  });
+
+  it('falls back to Standard when the route has no Fast fee', async () => {
+    const { service } = createService({ fees: [{ finalityThreshold: 2000, minimumFee: 0.5 }] });
+    expect(await quote(service, 10000000n)).toMatchObject({
+      fast: false,
+      feeBps: 0.5,
+      fee: 500n,
+      fallbackReason: 'Fast Transfer is not available for this route'
+    });
+  });
+
+  it('skips the allowance for Standard transfers', async () => {
+    const { service, requests } = createService();
+    expect(await quote(service, 5000000n, false)).toMatchObject({ fast: false, allowance: null, allowanceSufficient: null });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('accepts number amounts and never returns a negative net amount', async () => {
+    const { service } = createService({ fees: [{ finalityThreshold: 2000, minimumFee: 10000 }] });
+    expect(await quote(service, 100, false)).toMatchObject({ fee: 100n, netAmount: 0n });
+  });
+
+  it('fails on API errors', async () => {
+    const service = createFeeQuoteService({ apiUrl: 'https://iris.test', fetchImpl: async () => ({ ok: false, status: 503 }) });
+    await expect(quote(service, 1n)).rejects.toThrow('Fee API request failed with status 503');
+  });
+});
@@ -0,0 +1,22 @@
+// Format USDC smallest units (number or BigInt) for display
+export const formatUnits = (units) => (Number(units) / 1e6).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+// Convert a decimal string to integer units without floating point rounding
+export const parseUnits = (value, decimals = 6) => {
+  const trimmed = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(trimmed)) throw new Error(`Invalid amount: ${value}`);
+
+  const [whole, fraction = ''] = trimmed.split('.');
+  if (fraction.length > decimals) throw new Error(`At most ${decimals} decimal places are allowed`);
+  return BigInt(whole + fraction.padEnd(decimals, '0'));
+};
+
+// Inverse of parseUnits: integer units to a plain decimal string without trailing zeros
+export const toDecimalString = (units, decimals = 6) => {
+  const digits = units.toString().padStart(decimals + 1, '0');
+  const whole = digits.slice(0, -decimals);
+  const fraction = digits.slice(-decimals).replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+};
+
+export const shortenHex = (hex, start = 6, end = 4) => `${hex.slice(0, start)}...${hex.slice(-end)}`;
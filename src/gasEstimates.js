@@ -0,0 +1,106 @@
+import { CHAIN_CONFIG } from './chains';
+import { encodeParameters, keccak256 } from './abi';
+import { toDecimalString } from './format';
+import { decodeRevertReason, revertData } from './transactions';
+
+// Pre-flight checks for wallet transactions: eth_call simulation, gas limits and EIP-1559 fee
+// data, used to stop transactions that would revert and to preview what they cost
+
+// Storage slot of the `allowed` mapping in Circle's FiatToken (USDC on every supported chain)
+const USDC_ALLOWANCE_SLOT = 10n;
+
+// Gas limits used when a call cannot be estimated, like the mint before its attestation exists
+export const DEFAULT_GAS_LIMITS = {
+  approve: 60000n,
+  burn: 250000n,
+  mint: 300000n
+};
+
+// Headroom added to eth_estimateGas results, in percent
+const GAS_BUFFER_PERCENT = 20n;
+
+export const toQuantity = (value) => '0x' + BigInt(value).toString(16);
+
+// Storage slot of allowed[owner][spender]
+const allowanceSlot = (owner, spender) => {
+  const ownerSlot = keccak256(encodeParameters([{ type: 'address' }, { type: 'uint256' }], [owner, USDC_ALLOWANCE_SLOT]));
+  return keccak256(encodeParameters([{ type: 'address' }, { type: 'bytes32' }], [spender, ownerSlot]));
+};
+
+// eth_call state override that sets the USDC allowance an approval is about to grant
+export const allowanceOverride = ({ token, owner, spender, amount }) => ({
+  [token]: {
+    stateDiff: { [allowanceSlot(owner, spender)]: '0x' + BigInt(amount).toString(16).padStart(64, '0') }
+  }
+});
+
+const isRevert = (error) => Boolean(revertData(error)) || /revert/i.test(error?.message || '');
+
+// Run `tx` with eth_call against the latest block. Resolves to false when the node could not
+// simulate it (unsupported method or override); throws with the decoded `error.reason` when
+// the transaction would revert.
+export const simulateTransaction = async (provider, tx, { stateOverride = null } = {}) => {
+  try {
+    await provider.request({ method: 'eth_call', params: stateOverride ? [tx, 'latest', stateOverride] : [tx, 'latest'] });
+    return true;
+  } catch (error) {
+    if (!isRevert(error)) {
+      console.error('Error simulating transaction:', error);
+      return false;
+    }
+    const reason = decodeRevertReason(revertData(error)) || error.message;
+    throw Object.assign(new Error(`Transaction would revert: ${reason}`), { reverted: true, reason, cause: error });
+  }
+};
+
+// Gas limit for `tx` with headroom, or null when the node cannot estimate it
+export const estimateGas = async (provider, tx, { stateOverride = null } = {}) => {
+  try {
+    const gas = BigInt(await provider.request({
+      method: 'eth_estimateGas',
+      params: stateOverride ? [tx, 'latest', stateOverride] : [tx]
+    }));
+    return gas + gas * GAS_BUFFER_PERCENT / 100n;
+  } catch (error) {
+    console.error('Error estimating gas:', error);
+    return null;
+  }
+};
+
+// EIP-1559 fee data in wei. Chains without a base fee only report `gasPrice`.
+export const fetchFeeData = async (provider) => {
+  const [block, gasPrice, priorityFee] = await Promise.all([
+    provider.request({ method: 'eth_getBlockByNumber', params: ['latest', false] }),
+    provider.request({ method: 'eth_gasPrice', params: [] }).then(BigInt),
+    provider.request({ method: 'eth_maxPriorityFeePerGas', params: [] }).then(BigInt).catch(() => null)
+  ]);
+
+  if (!block?.baseFeePerGas) {
+    return { baseFeePerGas: null, maxPriorityFeePerGas: null, maxFeePerGas: gasPrice, gasPrice };
+  }
+
+  const baseFeePerGas = BigInt(block.baseFeePerGas);
+  const maxPriorityFeePerGas = priorityFee ?? (gasPrice > baseFeePerGas ? gasPrice - baseFeePerGas : 0n);
+  return {
+    baseFeePerGas,
+    maxPriorityFeePerGas,
+    // Room for the base fee to double before the transaction is included, as wallets do
+    maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas,
+    gasPrice
+  };
+};
+
+// Expected and worst-case cost of `gas` in wei
+export const estimateCost = (gas, fees) => ({
+  expected: gas * (fees.baseFeePerGas === null ? fees.gasPrice : fees.baseFeePerGas + fees.maxPriorityFeePerGas),
+  max: gas * fees.maxFeePerGas
+});
+
+// A chain's native token amount for display, rounded up to 6 decimals
+export const formatNativeAmount = (wei, chainId) => {
+  const { symbol, decimals } = CHAIN_CONFIG[chainId].nativeCurrency;
+  const step = 10n ** BigInt(decimals - 6);
+  const rounded = (BigInt(wei) + step - 1n) / step;
+  if (rounded === 0n) return `0 ${symbol}`;
+  return `${toDecimalString(rounded, 6)} ${symbol}`;
+};
@@ -0,0 +1,123 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  allowanceOverride,
+  estimateCost,
+  estimateGas,
+  fetchFeeData,
+  formatNativeAmount,
+  simulateTransaction
+} from './gasEstimates';
+import { createMockProvider } from './mockProvider';
+import { encodeParameters } from './abi';
+import { chainIdByKey } from './chains';
+
+const TOKEN = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const OWNER = '0x742d35cc6634c0532925a3b844bc9e7595f8c2b2';
+const SPENDER = '0x28b5a0e9c621a5badaa536219b3a228c8168cf5d';
+// keccak256(abi.encode(spender, keccak256(abi.encode(owner, 10)))), computed with ethers
+const ALLOWANCE_SLOT = '0x6108c86137febf06fb770d9bb52a59c45b4c210c2e265eb0af3f4099cca8d1a0';
+
+const tx = { from: OWNER, to: SPENDER, data: '0x8e0250ee' };
+const override = allowanceOverride({ token: TOKEN, owner: OWNER, spender: SPENDER, amount: 1000000n });
+
+const reverting = (data) => () => {
+  throw Object.assign(new Error('execution reverted'), { data });
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('allowanceOverride', () => {
+  it('sets allowed[owner][spender] in FiatToken storage slot 10', () => {
+    expect(override).toEqual({
+      [TOKEN]: { stateDiff: { [ALLOWANCE_SLOT]: '0x' + 'f4240'.padStart(64, '0') } }
+    });
+  });
+});
+
+describe('simulateTransaction', () => {
+  it('passes the state override to eth_call', async () => {
+    const provider = createMockProvider();
+    expect(await simulateTransaction(provider, tx, { stateOverride: override })).toBe(true);
+    expect(provider.requests('eth_call')[0].params).toEqual([tx, 'latest', override]);
+  });
+
+  it('throws the decoded reason when the call reverts', async () => {
+    const data = '0x08c379a0' + encodeParameters([{ type: 'string' }], ['ERC20: transfer amount exceeds allowance']).slice(2);
+    const provider = createMockProvider({ handlers: { eth_call: reverting(data) } });
+
+    await expect(simulateTransaction(provider, tx)).rejects.toMatchObject({
+      reverted: true,
+      reason: 'ERC20: transfer amount exceeds allowance',
+      message: 'Transaction would revert: ERC20: transfer amount exceeds allowance'
+    });
+  });
+
+  it('resolves to false when the node cannot simulate', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = createMockProvider({
+      handlers: {
+        eth_call: () => {
+          throw Object.assign(new Error('state override is not supported'), { code: -32602 });
+        }
+      }
+    });
+    expect(await simulateTransaction(provider, tx, { stateOverride: override })).toBe(false);
+  });
+});
+
+describe('estimateGas', () => {
+  it('adds 20% headroom and passes the state override', async () => {
+    const provider = createMockProvider({ handlers: { eth_estimateGas: () => '0x186a0' } });
+    expect(await estimateGas(provider, tx, { stateOverride: override })).toBe(120000n);
+    expect(provider.requests('eth_estimateGas')[0].params).toEqual([tx, 'latest', override]);
+  });
+
+  it('resolves to null when the estimate fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = createMockProvider({ handlers: { eth_estimateGas: reverting('0x') } });
+    expect(await estimateGas(provider, tx)).toBeNull();
+  });
+});
+
+describe('fee data and costs', () => {
+  it('uses the base fee and priority fee on EIP-1559 chains', async () => {
+    const provider = createMockProvider({
+      handlers: {
+        eth_getBlockByNumber: () => ({ baseFeePerGas: '0x64' }),
+        eth_gasPrice: () => '0x78',
+        eth_maxPriorityFeePerGas: () => '0x2'
+      }
+    });
+    const fees = await fetchFeeData(provider);
+
+    expect(fees).toEqual({ baseFeePerGas: 100n, maxPriorityFeePerGas: 2n, maxFeePerGas: 202n, gasPrice: 120n });
+    expect(estimateCost(1000n, fees)).toEqual({ expected: 102000n, max: 202000n });
+  });
+
+  it('derives the priority fee from the gas price when the node does not report it', async () => {
+    const provider = createMockProvider({
+      handlers: {
+        eth_getBlockByNumber: () => ({ baseFeePerGas: '0x64' }),
+        eth_gasPrice: () => '0x78'
+      }
+    });
+    expect((await fetchFeeData(provider)).maxPriorityFeePerGas).toBe(20n);
+  });
+
+  it('falls back to the gas price on chains without a base fee', async () => {
+    const provider = createMockProvider({ handlers: { eth_getBlockByNumber: () => ({}), eth_gasPrice: () => '0x5' } });
+    const fees = await fetchFeeData(provider);
+
+    expect(fees).toEqual({ baseFeePerGas: null, maxPriorityFeePerGas: null, maxFeePerGas: 5n, gasPrice: 5n });
+    expect(estimateCost(10n, fees)).toEqual({ expected: 50n, max: 50n });
+  });
+
+  it('rounds native amounts up to six decimals', () => {
+    const ethereum = chainIdByKey('ethereum');
+    expect(formatNativeAmount(1n, ethereum)).toBe('0.000001 ETH');
+    expect(formatNativeAmount(1500000000000000n, ethereum)).toBe('0.0015 ETH');
+    expect(formatNativeAmount(0n, ethereum)).toBe('0 ETH');
+  });
+});
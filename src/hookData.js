@@ -0,0 +1,148 @@
+import { decodeParameters, encodeParameters } from './abi';
+import { CHAIN_CONFIG, chainIdByKey, findChainIdByDomain } from './chains';
+import { parseUnits, toDecimalString } from './format';
+
+// Typed hook data for post-transfer automation.
+// Layout: uint8 version | uint8 hook id | abi.encode(hook parameters)
+
+export const HOOK_DATA_VERSION = 1;
+
+// Parameter kinds control both the form input and the ABI encoding
+const PARAM_KINDS = {
+  address: { type: 'address' },
+  amount: { type: 'uint256' },
+  bps: { type: 'uint16' },
+  days: { type: 'uint32' },
+  chain: { type: 'uint32' }
+};
+
+export const HOOK_TEMPLATES = {
+  autoSwap: {
+    id: 1,
+    name: 'Auto Swap to Native Token',
+    description: 'Automatically swap received USDC to native token',
+    icon: '🔄',
+    params: [
+      { name: 'target', label: 'Swap Router', kind: 'address' },
+      { name: 'minOutput', label: 'Minimum Output (native token)', kind: 'amount', decimals: 18, default: '0' },
+      { name: 'slippageBps', label: 'Max Slippage (bps)', kind: 'bps', default: '50' }
+    ]
+  },
+  autoDeposit: {
+    id: 2,
+    name: 'Auto Deposit to DeFi',
+    description: 'Deposit received USDC into lending protocol',
+    icon: '🏦',
+    params: [
+      { name: 'protocol', label: 'Lending Pool', kind: 'address' },
+      { name: 'minShares', label: 'Minimum Shares', kind: 'amount', decimals: 6, default: '0' }
+    ]
+  },
+  autoStake: {
+    id: 3,
+    name: 'Auto Stake for Rewards',
+    description: 'Stake USDC for yield generation',
+    icon: '📈',
+    params: [
+      { name: 'protocol', label: 'Staking Contract', kind: 'address' },
+      { name: 'lockPeriod', label: 'Lock Period (days)', kind: 'days', default: '0' }
+    ]
+  },
+  treasuryRebalance: {
+    id: 4,
+    name: 'Treasury Auto-Rebalance',
+    description: 'Automatically rebalance to preferred chain',
+    icon: '⚖️',
+    params: [
+      { name: 'preferredChain', label: 'Preferred Chain', kind: 'chain', default: String(chainIdByKey('base')) },
+      { name: 'threshold', label: 'Rebalance Threshold (USDC)', kind: 'amount', decimals: 6, default: '1000' }
+    ]
+  }
+};
+
+const abiParams = (template) => template.params.map(param => ({ name: param.name, type: PARAM_KINDS[param.kind].type }));
+
+export const defaultHookParams = (key) => Object.fromEntries(
+  HOOK_TEMPLATES[key].params.map(param => [param.name, param.default || ''])
+);
+
+// Convert a form value to the value that gets ABI encoded
+const toAbiValue = (param, value) => {
+  switch (param.kind) {
+    case 'address':
+      if (!/^0x[0-9a-fA-F]{40}$/.test(value)) throw new Error('Enter a valid address');
+      return value;
+    case 'amount':
+      return parseUnits(value, param.decimals);
+    case 'bps': {
+      const bps = Number(value);
+      if (!Number.isInteger(bps) || bps < 0 || bps > 10000) throw new Error('Enter 0 to 10000 bps');
+      return bps;
+    }
+    case 'days': {
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < 0) throw new Error('Enter a whole number of days');
+      return days;
+    }
+    case 'chain':
+      if (!CHAIN_CONFIG[value]) throw new Error('Select a supported chain');
+      return CHAIN_CONFIG[value].domain;
+    default:
+      throw new Error(`Unknown parameter kind ${param.kind}`);
+  }
+};
+
+// Per-parameter validation errors, empty when the values can be encoded
+export const validateHookParams = (key, values) => {
+  const errors = {};
+  HOOK_TEMPLATES[key].params.forEach((param) => {
+    try {
+      toAbiValue(param, values[param.name]);
+    } catch (error) {
+      errors[param.name] = error.message;
+    }
+  });
+  return errors;
+};
+
+export const encodeHookData = (key, values) => {
+  const template = HOOK_TEMPLATES[key];
+  const encoded = encodeParameters(
+    abiParams(template),
+    template.params.map(param => toAbiValue(param, values[param.name]))
+  );
+  const prefix = HOOK_DATA_VERSION.toString(16).padStart(2, '0') + template.id.toString(16).padStart(2, '0');
+  return '0x' + prefix + encoded.slice(2);
+};
+
+// Decode hook data back into the template and its display values
+export const decodeHookData = (hookData) => {
+  const hex = hookData.startsWith('0x') ? hookData.slice(2) : hookData;
+  if (hex.length < 4) throw new Error('Hook data is too short');
+
+  const version = parseInt(hex.slice(0, 2), 16);
+  if (version !== HOOK_DATA_VERSION) throw new Error(`Unsupported hook data version ${version}`);
+
+  const id = parseInt(hex.slice(2, 4), 16);
+  const key = Object.keys(HOOK_TEMPLATES).find(name => HOOK_TEMPLATES[name].id === id);
+  if (!key) throw new Error(`Unknown hook id ${id}`);
+
+  const template = HOOK_TEMPLATES[key];
+  const decoded = decodeParameters(abiParams(template), '0x' + hex.slice(4));
+
+  const values = {};
+  template.params.forEach((param, index) => {
+    const value = decoded[index];
+    if (param.kind === 'amount') {
+      values[param.name] = toDecimalString(value, param.decimals);
+    } else if (param.kind === 'chain') {
+      values[param.name] = findChainIdByDomain(Number(value)) || `domain:${value}`;
+    } else if (param.kind === 'address') {
+      values[param.name] = value;
+    } else {
+      values[param.name] = value.toString();
+    }
+  });
+
+  return { version, key, template, values };
+};
@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+import {
+  HOOK_DATA_VERSION,
+  HOOK_TEMPLATES,
+  decodeHookData,
+  defaultHookParams,
+  encodeHookData,
+  validateHookParams
+} from './hookData';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+
+const ADDRESS = '0x742d35cc6634c0532925a3b844bc9e7595f8c2b2';
+const word = (hex) => hex.padStart(64, '0');
+
+const sampleValues = {
+  autoSwap: { target: ADDRESS, minOutput: '0.5', slippageBps: '50' },
+  autoDeposit: { protocol: ADDRESS, minShares: '12.345678' },
+  autoStake: { protocol: ADDRESS, lockPeriod: '30' },
+  treasuryRebalance: { preferredChain: String(chainIdByKey('base')), threshold: '1000' }
+};
+
+describe('encodeHookData', () => {
+  it('prefixes the version and hook id to the ABI encoded parameters', () => {
+    expect(encodeHookData('autoStake', sampleValues.autoStake)).toBe(
+      '0x0103' + word(ADDRESS.slice(2)) + word('1e')
+    );
+  });
+
+  it('encodes chains as their CCTP domain', () => {
+    const hookData = encodeHookData('treasuryRebalance', sampleValues.treasuryRebalance);
+    expect(hookData.slice(6, 70)).toBe(word(CHAIN_CONFIG[chainIdByKey('base')].domain.toString(16)));
+  });
+});
+
+describe('decodeHookData', () => {
+  it.each(Object.keys(HOOK_TEMPLATES))('round-trips %s', (key) => {
+    const hookData = encodeHookData(key, sampleValues[key]);
+    const decoded = decodeHookData(hookData);
+
+    expect(decoded).toMatchObject({ version: HOOK_DATA_VERSION, key, values: sampleValues[key] });
+    expect(encodeHookData(decoded.key, decoded.values)).toBe(hookData);
+  });
+
+  it('round-trips the default parameters once an address is filled in', () => {
+    const values = { ...defaultHookParams('autoSwap'), target: ADDRESS };
+    expect(decodeHookData(encodeHookData('autoSwap', values)).values).toEqual({ ...values, minOutput: '0' });
+  });
+
+  it('rejects unknown versions, hook ids and short data', () => {
+    expect(() => decodeHookData('0x01')).toThrow('Hook data is too short');
+    expect(() => decodeHookData('0x0203')).toThrow('Unsupported hook data version 2');
+    expect(() => decodeHookData('0x0109')).toThrow('Unknown hook id 9');
+  });
+});
+
+describe('validateHookParams', () => {
+  it('reports each parameter that cannot be encoded', () => {
+    expect(validateHookParams('autoSwap', { target: '0x1234', minOutput: '1', slippageBps: '10001' })).toEqual({
+      target: 'Enter a valid address',
+      slippageBps: 'Enter 0 to 10000 bps'
+    });
+    expect(validateHookParams('autoStake', sampleValues.autoStake)).toEqual({});
+  });
+});
@@ -0,0 +1,119 @@
+import { CHAIN_CONFIG } from './chains';
+import { decodeHookData } from './hookData';
+import { recoverTypedDataSigner } from './typedData';
+import { toChecksumAddress } from './address';
+
+// Merchant payment requests: an EIP-712 signed invoice carried in a shareable URL
+
+export const INVOICE_URL_PARAM = 'invoice';
+
+const INVOICE_TYPES = {
+  EIP712Domain: [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' }
+  ],
+  PaymentRequest: [
+    { name: 'merchant', type: 'address' },
+    { name: 'recipient', type: 'address' },
+    { name: 'destinationChain', type: 'uint256' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'hookData', type: 'bytes' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'reference', type: 'string' }
+  ]
+};
+
+// The domain carries no chainId so the merchant can sign from any network
+const INVOICE_DOMAIN = { name: 'CCTP V2 Payment Gateway', version: '1' };
+
+// Amounts are USDC smallest units and expiry is a unix timestamp, both as decimal strings
+export const buildInvoiceTypedData = (invoice) => ({
+  types: INVOICE_TYPES,
+  primaryType: 'PaymentRequest',
+  domain: INVOICE_DOMAIN,
+  message: {
+    merchant: invoice.merchant,
+    recipient: invoice.recipient,
+    destinationChain: invoice.destinationChain.toString(),
+    amount: invoice.amount.toString(),
+    hookData: invoice.hookData || '0x',
+    expiry: invoice.expiry.toString(),
+    reference: invoice.reference || ''
+  }
+});
+
+// Ask the merchant's wallet to sign the request; resolves to { invoice, signature }
+export const signInvoice = async (invoice, provider = window.ethereum) => {
+  const typedData = buildInvoiceTypedData(invoice);
+  const signature = await provider.request({
+    method: 'eth_signTypedData_v4',
+    params: [invoice.merchant, JSON.stringify(typedData)]
+  });
+  return { invoice: typedData.message, signature };
+};
+
+const toBase64Url = (text) => btoa(String.fromCharCode(...new TextEncoder().encode(text)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeInvoiceUrl = ({ invoice, signature }, baseUrl = window.location.origin + window.location.pathname) => {
+  const url = new URL(baseUrl);
+  url.searchParams.set(INVOICE_URL_PARAM, toBase64Url(JSON.stringify({ ...invoice, signature })));
+  return url.toString();
+};
+
+// Read a signed invoice from a URL search string, or null when none is present
+export const decodeInvoiceParam = (search = window.location.search) => {
+  const param = new URLSearchParams(search).get(INVOICE_URL_PARAM);
+  if (!param) return null;
+
+  const { signature, ...fields } = JSON.parse(fromBase64Url(param));
+  return { invoice: buildInvoiceTypedData(fields).message, signature };
+};
+
+// Check an invoice for tampering (signer must be the merchant), expiry and supported values.
+// A valid signature only proves the link was signed by `invoice.merchant`, an address taken
+// from the link itself, so the payer still has to recognise that address. `warnings` flag
+// links that pay someone other than the signer.
+export const verifyInvoice = ({ invoice, signature }, now = Date.now()) => {
+  const errors = [];
+  const warnings = [];
+
+  let signer = null;
+  try {
+    signer = recoverTypedDataSigner(buildInvoiceTypedData(invoice), signature);
+    if (signer.toLowerCase() !== invoice.merchant.toLowerCase()) {
+      errors.push('Signature does not match the merchant address');
+    }
+  } catch (error) {
+    errors.push(`Invalid signature: ${error.message}`);
+  }
+
+  if (!CHAIN_CONFIG[invoice.destinationChain]) {
+    errors.push(`Settlement chain ${invoice.destinationChain} is not supported`);
+  }
+
+  let hook = null;
+  if (invoice.hookData !== '0x') {
+    try {
+      hook = decodeHookData(invoice.hookData);
+    } catch (error) {
+      errors.push(`Unreadable hook data: ${error.message}`);
+    }
+  }
+
+  const thirdPartyRecipient = invoice.recipient.toLowerCase() !== invoice.merchant.toLowerCase();
+  if (thirdPartyRecipient) {
+    warnings.push(`Funds go to ${toChecksumAddress(invoice.recipient)}, not to the merchant address that signed this request`);
+  }
+
+  const expired = Number(invoice.expiry) * 1000 <= now;
+
+  return { valid: errors.length === 0, signer, expired, hook, errors, warnings, thirdPartyRecipient };
+};
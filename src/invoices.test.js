@@ -0,0 +1,87 @@
+import { describe, expect, it } from 'vitest';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { bytesToHex, keccak256 } from './abi';
+import { hashTypedData } from './typedData';
+import { createMockProvider } from './mockProvider';
+import { decodeInvoiceParam, encodeInvoiceUrl, signInvoice, verifyInvoice } from './invoices';
+
+const PRIVATE_KEY = '4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const MERCHANT = '0x' + keccak256(bytesToHex(secp256k1.getPublicKey(PRIVATE_KEY, false).slice(1))).slice(-40);
+const OTHER = '0x742d35cc6634c0532925a3b844bc9e7595f8c2b2';
+const NOW = Date.UTC(2026, 0, 1);
+
+// Wallet that signs typed data with PRIVATE_KEY, like eth_signTypedData_v4
+const signer = createMockProvider({
+  accounts: [MERCHANT],
+  handlers: {
+    eth_signTypedData_v4: ([, typedData]) => {
+      const signature = secp256k1.sign(hashTypedData(JSON.parse(typedData)).slice(2), PRIVATE_KEY);
+      return '0x' + signature.toCompactHex() + (27 + signature.recovery).toString(16);
+    }
+  }
+});
+
+const invoiceFor = (fields = {}) => ({
+  merchant: MERCHANT,
+  recipient: MERCHANT,
+  destinationChain: 8453,
+  amount: 25000000n,
+  hookData: '0x',
+  expiry: NOW / 1000 + 3600,
+  reference: 'INV-42',
+  ...fields
+});
+
+describe('invoice links', () => {
+  it('round-trips a signed invoice through its URL', async () => {
+    const signed = await signInvoice(invoiceFor(), signer);
+    const url = encodeInvoiceUrl(signed, 'https://pay.example.com/');
+
+    expect(url.startsWith('https://pay.example.com/?invoice=')).toBe(true);
+    expect(decodeInvoiceParam(new URL(url).search)).toEqual(signed);
+  });
+
+  it('returns null when the URL has no invoice', () => {
+    expect(decodeInvoiceParam('?foo=bar')).toBeNull();
+  });
+});
+
+describe('verifyInvoice', () => {
+  it('accepts an invoice signed by its merchant', async () => {
+    const verification = verifyInvoice(await signInvoice(invoiceFor(), signer), NOW);
+    expect(verification).toMatchObject({ valid: true, signer: MERCHANT, expired: false, errors: [], warnings: [] });
+  });
+
+  it('rejects an invoice whose fields were changed after signing', async () => {
+    const { invoice, signature } = await signInvoice(invoiceFor(), signer);
+    const verification = verifyInvoice({ invoice: { ...invoice, recipient: OTHER }, signature }, NOW);
+    expect(verification.valid).toBe(false);
+    expect(verification.errors).toContain('Signature does not match the merchant address');
+  });
+
+  it('rejects an invoice claiming another merchant', async () => {
+    const { invoice, signature } = await signInvoice(invoiceFor(), signer);
+    expect(verifyInvoice({ invoice: { ...invoice, merchant: OTHER }, signature }, NOW).valid).toBe(false);
+  });
+
+  it('flags an invoice that pays someone other than the merchant', async () => {
+    const verification = verifyInvoice(await signInvoice(invoiceFor({ recipient: OTHER }), signer), NOW);
+    expect(verification.valid).toBe(true);
+    expect(verification.thirdPartyRecipient).toBe(true);
+    expect(verification.warnings).toEqual([
+      'Funds go to 0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2, not to the merchant address that signed this request'
+    ]);
+  });
+
+  it('reports expiry and unsupported settlement chains', async () => {
+    const signed = await signInvoice(invoiceFor({ destinationChain: 999 }), signer);
+    const verification = verifyInvoice(signed, NOW + 2 * 3600 * 1000);
+    expect(verification.expired).toBe(true);
+    expect(verification.errors).toContain('Settlement chain 999 is not supported');
+  });
+
+  it('reports malformed signatures', () => {
+    const verification = verifyInvoice({ invoice: invoiceFor(), signature: '0x00' }, NOW);
+    expect(verification.errors).toEqual(['Invalid signature: Signature must be 65 bytes']);
+  });
+});
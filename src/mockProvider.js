@@ -0,0 +1,61 @@
+// In-memory EIP-1193 provider for tests and local development without a wallet.
+// Records every request; `handlers` override or extend the built-in methods.
+
+export const createMockProvider = ({
+  accounts = ['0x0000000000000000000000000000000000000001'],
+  chainId = 1,
+  handlers = {}
+} = {}) => {
+  const listeners = {};
+  const requests = [];
+  let currentChainId = chainId;
+  let transactionCount = 0;
+
+  const emit = (event, ...args) => (listeners[event] || []).forEach(listener => listener(...args));
+
+  // Deterministic fake transaction hashes: 0x000...01, 0x000...02, ...
+  const nextTxHash = () => '0x' + (++transactionCount).toString(16).padStart(64, '0');
+
+  const defaults = {
+    eth_accounts: () => accounts,
+    eth_requestAccounts: () => accounts,
+    eth_chainId: () => '0x' + currentChainId.toString(16),
+    wallet_switchEthereumChain: ([{ chainId: hexChainId }]) => {
+      currentChainId = parseInt(hexChainId, 16);
+      emit('chainChanged', hexChainId);
+      return null;
+    },
+    wallet_addEthereumChain: () => null,
+    eth_sendTransaction: () => nextTxHash(),
+    eth_signTypedData_v4: () => '0x' + '11'.repeat(64) + '1b',
+    eth_getTransactionReceipt: ([hash]) => ({ transactionHash: hash, blockNumber: '0x1', status: '0x1', logs: [] }),
+    eth_getTransactionByHash: () => null,
+    eth_blockNumber: () => '0x1',
+    eth_call: () => '0x',
+    eth_estimateGas: () => '0x30d40'
+  };
+
+  const request = async ({ method, params = [] }) => {
+    requests.push({ method, params });
+    const handler = handlers[method] || defaults[method];
+    if (!handler) {
+      const error = new Error(`Mock provider does not support ${method}`);
+      error.code = 4200;
+      throw error;
+    }
+    return handler(params, { chainId: currentChainId, accounts });
+  };
+
+  return {
+    request,
+    on: (event, listener) => {
+      listeners[event] = [...(listeners[event] || []), listener];
+    },
+    removeListener: (event, listener) => {
+      listeners[event] = (listeners[event] || []).filter(existing => existing !== listener);
+    },
+    emit,
+    // Requests received so far, optionally filtered by method
+    requests: (method) => (method ? requests.filter(entry => entry.method === method) : [...requests])
+  };
+};
@@ -0,0 +1,109 @@
+// In-memory Safe Transaction Service for local development, selected with
+// VITE_SAFE_TX_SERVICE_URL=mock. Serves the endpoints the Safe client uses through `fetchImpl`.
+// Every Safe is owned by `owners` (the mock wallet account first); each poll of a proposed
+// transaction adds the next owner's confirmation, and the poll after the threshold is met executes it.
+
+const json = (status, body) => ({
+  ok: status < 400,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+export const createMockSafeService = ({
+  owners = ['0x0000000000000000000000000000000000000001', '0x0000000000000000000000000000000000000002'],
+  threshold = 2
+} = {}) => {
+  const safes = {};
+  const transactions = {};
+  let executionCount = 0;
+
+  // Deterministic fake execution hashes: 0x5afe...01, 0x5afe...02, ...
+  const nextTxHash = () => '0x5afe' + (++executionCount).toString(16).padStart(60, '0');
+
+  const getSafe = (address) => {
+    const key = address.toLowerCase();
+    safes[key] ||= { address, nonce: 0, threshold, owners, version: '1.4.1' };
+    return safes[key];
+  };
+
+  // Confirm a proposed transaction as the next owner who has not signed yet
+  const confirm = (safeTxHash) => {
+    const transaction = transactions[safeTxHash];
+    if (!transaction || transaction.isExecuted) return;
+    const signed = transaction.confirmations.map(confirmation => confirmation.owner.toLowerCase());
+    const owner = getSafe(transaction.safe).owners.find(candidate => !signed.includes(candidate.toLowerCase()));
+    if (owner) transaction.confirmations.push({ owner, signature: '0x' });
+  };
+
+  // Execute a transaction that has enough confirmations, consuming its nonce
+  const execute = (safeTxHash, { successful = true } = {}) => {
+    const transaction = transactions[safeTxHash];
+    const safe = getSafe(transaction.safe);
+    Object.assign(transaction, { isExecuted: true, isSuccessful: successful, transactionHash: nextTxHash() });
+    safe.nonce = Math.max(safe.nonce, Number(transaction.nonce) + 1);
+  };
+
+  const routes = [
+    {
+      method: 'GET',
+      pattern: /^\/safes\/(0x[0-9a-fA-F]{40})\/$/,
+      handle: ([address]) => json(200, getSafe(address))
+    },
+    {
+      method: 'GET',
+      pattern: /^\/safes\/(0x[0-9a-fA-F]{40})\/multisig-transactions\/$/,
+      handle: ([address]) => {
+        const pending = Object.values(transactions)
+          .filter(transaction => transaction.safe.toLowerCase() === address.toLowerCase() && !transaction.isExecuted)
+          .sort((a, b) => Number(b.nonce) - Number(a.nonce));
+        return json(200, { count: pending.length, results: pending.slice(0, 1) });
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/safes\/(0x[0-9a-fA-F]{40})\/multisig-transactions\/$/,
+      handle: ([address], body) => {
+        const safe = getSafe(address);
+        if (!safe.owners.some(owner => owner.toLowerCase() === body.sender.toLowerCase())) {
+          return json(422, { nonFieldErrors: [`Sender ${body.sender} is not an owner of the Safe`] });
+        }
+        transactions[body.contractTransactionHash] = {
+          ...body,
+          safe: address,
+          safeTxHash: body.contractTransactionHash,
+          confirmationsRequired: safe.threshold,
+          confirmations: [{ owner: body.sender, signature: body.signature }],
+          isExecuted: false,
+          isSuccessful: null,
+          transactionHash: null
+        };
+        return json(201, null);
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/multisig-transactions\/(0x[0-9a-fA-F]{64})\/$/,
+      handle: ([safeTxHash]) => {
+        const transaction = transactions[safeTxHash];
+        if (!transaction) return json(404, { detail: 'Not found.' });
+        if (transaction.isExecuted) return json(200, transaction);
+        if (transaction.confirmations.length >= transaction.confirmationsRequired) {
+          execute(safeTxHash);
+        } else {
+          confirm(safeTxHash);
+        }
+        return json(200, transaction);
+      }
+    }
+  ];
+
+  const fetchImpl = async (url, { method = 'GET', body } = {}) => {
+    const path = new URL(url, 'http://mock').pathname.replace(/^.*\/api\/v1/, '');
+    const route = routes.find(candidate => candidate.method === method && candidate.pattern.test(path));
+    if (!route) return json(404, { detail: `Mock Safe service does not support ${method} ${path}` });
+    return route.handle(path.match(route.pattern).slice(1), body ? JSON.parse(body) : null);
+  };
+
+  return { fetchImpl, confirm, execute };
+};
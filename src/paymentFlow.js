@@ -0,0 +1,720 @@
+import { CHAIN_CONFIG } from './chains';
+import { FINALITY_THRESHOLDS } from './feeQuotes';
+import { erc20Interface, tokenMessengerInterface, messageTransmitterInterface } from './contracts';
+import { keccak256 } from './abi';
+import { formatUnits, parseUnits } from './format';
+import { extractMessageSent } from './cctpMessage';
+import { DEFAULT_WATCH_OPTIONS, TX_STATES, VOID_TX_STATES, watchTransaction } from './transactions';
+import { HOOK_TEMPLATES } from './hookData';
+import { TRANSFER_STATUS } from './transferStore';
+import { getReadProvider } from './rpc';
+import { assertChainEnabled } from './chainHealth';
+import {
+  DEFAULT_GAS_LIMITS,
+  allowanceOverride,
+  estimateCost,
+  estimateGas,
+  fetchFeeData,
+  simulateTransaction,
+  toQuantity
+} from './gasEstimates';
+import { assertRoute, splitTransfer } from './preflightChecks';
+import { PAYMASTER_URL, fetchCallCapabilities, sendCalls, watchCalls } from './walletCalls';
+import { createSafeClient, proposeSafeTransaction } from './safe';
+import {
+  MAX_UINT256,
+  PERMIT_RELAYER_URL,
+  buildPermitTypedData,
+  fetchAllowance,
+  fetchPermitInfo,
+  relayPermit,
+  splitSignature
+} from './approvals';
+
+// The CCTP V2 payment flow (approve, burn, attest, mint) shared by the gateway, batch payouts,
+// the rebalancer and the embeddable checkout widget
+
+export const addressToBytes32 = (address) => '0x000000000000000000000000' + address.slice(2);
+
+// Status card details for a stored transfer
+export const transferDetails = (transfer) => ({
+  sourceChain: transfer.sourceChain,
+  destinationChain: transfer.destinationChain,
+  from: CHAIN_CONFIG[transfer.sourceChain].name,
+  to: CHAIN_CONFIG[transfer.destinationChain].name,
+  amount: transfer.amount + ' USDC',
+  recipient: transfer.recipient,
+  txHash: transfer.burnTxHash,
+  mintTxHash: transfer.mintTxHash,
+  estimatedTime: transfer.fast ? '~10 seconds' : '~15 minutes',
+  hook: transfer.hook ? HOOK_TEMPLATES[transfer.hook].name : 'None'
+});
+
+// Why a network switch failed, set as `error.reason` on errors thrown by switchChain
+export const SWITCH_ERRORS = {
+  rejected: 'rejected',
+  unsupported: 'unsupported',
+  addedNotSwitched: 'added-not-switched'
+};
+
+// EIP-1193 / EIP-3085 error codes
+const USER_REJECTED = 4001;
+const UNSUPPORTED_METHOD = 4200;
+const UNRECOGNIZED_CHAIN = 4902;
+const METHOD_NOT_FOUND = -32601;
+
+// Some mobile wallets wrap the original error code in `data.originalError`
+const errorCode = (error) => error?.data?.originalError?.code ?? error?.code;
+
+const switchError = (reason, message, cause) => Object.assign(new Error(message), { reason, cause });
+
+// wallet_addEthereumChain parameters for a configured chain
+export const addChainParams = (chainId) => {
+  const config = CHAIN_CONFIG[chainId];
+  return {
+    chainId: config.chainIdHex,
+    chainName: config.chainName,
+    nativeCurrency: config.nativeCurrency,
+    rpcUrls: config.rpcUrls,
+    blockExplorerUrls: [config.explorer]
+  };
+};
+
+const requestSwitch = (chainId, provider) => provider.request({
+  method: 'wallet_switchEthereumChain',
+  params: [{ chainId: CHAIN_CONFIG[chainId].chainIdHex }]
+});
+
+// Ask the wallet to switch to a configured chain, adding the chain first when the wallet
+// does not know it yet
+export const switchChain = async (chainId, provider = window.ethereum) => {
+  const { name } = CHAIN_CONFIG[chainId];
+  try {
+    await requestSwitch(chainId, provider);
+    return;
+  } catch (error) {
+    const code = errorCode(error);
+    if (code === USER_REJECTED) {
+      throw switchError(SWITCH_ERRORS.rejected, `Switch to ${name} was rejected in the wallet`, error);
+    }
+    if (code === UNSUPPORTED_METHOD || code === METHOD_NOT_FOUND) {
+      throw switchError(SWITCH_ERRORS.unsupported, `This wallet cannot switch networks. Switch to ${name} manually.`, error);
+    }
+    if (code !== UNRECOGNIZED_CHAIN) throw error;
+  }
+
+  try {
+    await provider.request({ method: 'wallet_addEthereumChain', params: [addChainParams(chainId)] });
+  } catch (error) {
+    const code = errorCode(error);
+    if (code === USER_REJECTED) {
+      throw switchError(SWITCH_ERRORS.rejected, `Adding ${name} was rejected in the wallet`, error);
+    }
+    if (code === UNSUPPORTED_METHOD || code === METHOD_NOT_FOUND) {
+      throw switchError(SWITCH_ERRORS.unsupported, `This wallet cannot add ${name} automatically. Add it manually.`, error);
+    }
+    throw error;
+  }
+
+  // Some wallets switch as part of adding the chain; only retry when they did not
+  const current = await provider.request({ method: 'eth_chainId' }).catch(() => null);
+  if (current && parseInt(current, 16) === Number(chainId)) return;
+
+  try {
+    await requestSwitch(chainId, provider);
+  } catch (error) {
+    throw switchError(SWITCH_ERRORS.addedNotSwitched, `${name} was added to the wallet but switching to it failed`, error);
+  }
+};
+
+const ignoreReport = () => {};
+
+// `report` callbacks receive status card updates. `onEvent(name, payload)` receives the
+// lifecycle events approved, burned, attested and minted, or error when a step fails.
+// `watchOptions` override the transaction watcher defaults (confirmations, timeout, ...).
+// Wallets that support EIP-5792 atomic batching get the approval and burn as one bundle, with
+// gas sponsored when they also support the paymaster service and VITE_PAYMASTER_URL is set.
+// With a `safeAddress` the USDC is paid from that Safe: `account`, one of its owners, proposes
+// the approval and burn as one Safe transaction and sends the mint once it has been executed.
+export const createPaymentFlow = ({
+  account,
+  approvalMode = 'exact',
+  attestationClient,
+  transferStore,
+  provider = window.ethereum,
+  switchNetwork = (chainId) => switchChain(chainId, provider),
+  onEvent = () => {},
+  watchOptions = {},
+  safeAddress = null,
+  getSafeClient = (chainId) => createSafeClient({ chainId })
+}) => {
+  const requiredConfirmations = { ...DEFAULT_WATCH_OPTIONS, ...watchOptions }.confirmations;
+  // Holder of the USDC that is burned
+  const payer = safeAddress || account;
+
+  const capabilitiesByChain = {};
+
+  // EIP-5792 capabilities of the connected wallet on a chain: `atomic` batches the approval
+  // with the burn, `paymaster` sends even a lone burn as calls so its gas is sponsored
+  const callCapabilities = async (chainId) => {
+    if (!capabilitiesByChain[chainId]) {
+      const { atomic, paymaster } = await fetchCallCapabilities(provider, account, chainId);
+      capabilitiesByChain[chainId] = { atomic, paymaster: paymaster && Boolean(PAYMASTER_URL) };
+    }
+    return capabilitiesByChain[chainId];
+  };
+
+  // Allowance the selected approval mode grants for a transfer of `amountInUnits`
+  const approvalAmount = (amountInUnits) => (approvalMode === 'unlimited' ? MAX_UINT256 : BigInt(amountInUnits));
+
+  // State override for simulating a burn before the approval sent with it is mined
+  const pendingApprovalOverride = (sourceChain, amountInUnits) => allowanceOverride({
+    token: CHAIN_CONFIG[sourceChain].usdc,
+    owner: payer,
+    spender: CHAIN_CONFIG[sourceChain].tokenMessenger,
+    amount: approvalAmount(amountInUnits)
+  });
+
+  const approveCall = (sourceChain, amountInUnits) => {
+    const sourceConfig = CHAIN_CONFIG[sourceChain];
+    return {
+      from: payer,
+      to: sourceConfig.usdc,
+      data: erc20Interface.encodeFunctionData('approve', {
+        spender: sourceConfig.tokenMessenger,
+        amount: approvalAmount(amountInUnits)
+      })
+    };
+  };
+
+  const burnCall = ({ sourceChain, destinationChain, amountInUnits, maxFeeInUnits, recipient, fast, hookData = null }) => {
+    const sourceConfig = CHAIN_CONFIG[sourceChain];
+    const burnParams = {
+      amount: amountInUnits,
+      destinationDomain: CHAIN_CONFIG[destinationChain].domain,
+      mintRecipient: addressToBytes32(recipient),
+      burnToken: sourceConfig.usdc,
+      destinationCaller: addressToBytes32('0x0000000000000000000000000000000000000000'),
+      maxFee: maxFeeInUnits,
+      minFinalityThreshold: fast ? FINALITY_THRESHOLDS.fast : FINALITY_THRESHOLDS.standard
+    };
+
+    return {
+      from: payer,
+      to: sourceConfig.tokenMessenger,
+      data: hookData
+        ? tokenMessengerInterface.encodeFunctionData('depositForBurnWithHook', { ...burnParams, hookData })
+        : tokenMessengerInterface.encodeFunctionData('depositForBurn', burnParams)
+    };
+  };
+
+  // Check the route, simulate the burn and estimate the gas and native token cost of every
+  // transaction the payer sends. Payments above the burn limit are split into `parts`, the
+  // largest of which is simulated. Before the approval is mined the burn is simulated with
+  // the allowance it will grant; `simulated` is false when the node could not run that
+  // simulation. Throws with `error.routeErrors` when the route is paused or unsupported, and
+  // with `error.reverted` and the decoded `error.reason` when the burn would revert.
+  const preflight = async (params) => {
+    const { sourceChain, destinationChain, amountInUnits } = params;
+    const sourceConfig = CHAIN_CONFIG[sourceChain];
+    const sourceProvider = getReadProvider(sourceChain);
+
+    const burnLimit = await assertRoute({ sourceChain, destinationChain });
+    const parts = splitTransfer(params, burnLimit);
+
+    const allowance = await fetchAllowance(sourceProvider, {
+      token: sourceConfig.usdc,
+      owner: payer,
+      spender: sourceConfig.tokenMessenger
+    });
+    const needsApproval = allowance < BigInt(amountInUnits);
+    // A relayed permit costs the payer nothing on the source chain; a Safe always approves itself
+    const paysForApproval = needsApproval && (Boolean(safeAddress) || !(approvalMode === 'permit' && PERMIT_RELAYER_URL));
+    const stateOverride = needsApproval ? pendingApprovalOverride(sourceChain, amountInUnits) : null;
+
+    const burnRequest = burnCall({ ...params, ...parts[0] });
+    const simulated = await simulateTransaction(sourceProvider, burnRequest, { stateOverride });
+
+    const [approveGas, burnGas, sourceFees, destinationFees] = await Promise.all([
+      paysForApproval ? estimateGas(sourceProvider, approveCall(sourceChain, amountInUnits)) : null,
+      estimateGas(sourceProvider, burnRequest, { stateOverride }),
+      fetchFeeData(sourceProvider),
+      fetchFeeData(getReadProvider(destinationChain))
+    ]);
+
+    const { atomic, paymaster } = safeAddress ? { atomic: false, paymaster: false } : await callCapabilities(sourceChain);
+    const burns = BigInt(parts.length);
+    const gas = {
+      approve: paysForApproval ? approveGas ?? DEFAULT_GAS_LIMITS.approve : 0n,
+      burn: (burnGas ?? DEFAULT_GAS_LIMITS.burn) * burns,
+      // The mint cannot be estimated before the attestation exists
+      mint: DEFAULT_GAS_LIMITS.mint * burns
+    };
+
+    return {
+      parts,
+      burnLimit,
+      needsApproval,
+      // The approval is sent in one bundle (or Safe transaction) with the burn
+      batched: (atomic || Boolean(safeAddress)) && needsApproval,
+      // Source chain gas is paid by the paymaster
+      sponsored: paymaster,
+      // Source chain gas is paid by whoever executes the Safe transaction
+      safe: Boolean(safeAddress),
+      simulated,
+      gas,
+      estimated: { approve: !paysForApproval || approveGas !== null, burn: burnGas !== null, mint: false },
+      sourceFees,
+      destinationFees,
+      sourceCost: estimateCost(gas.approve + gas.burn, sourceFees),
+      destinationCost: estimateCost(gas.mint, destinationFees)
+    };
+  };
+
+  // Status card row for a transaction, or a bundle of calls while its hash is still unknown
+  const txStatus = ({ label, chainId }, state, hash, confirmations = 0) => ({
+    label,
+    chainId,
+    hash,
+    state,
+    confirmations,
+    required: requiredConfirmations
+  });
+
+  // Wait for a transaction, showing its watcher state on the status card. Failures carry
+  // `error.tx` so the card can show which transaction failed and how.
+  const confirmTransaction = async (txHash, { chainId, label, ...status }, report, { signal } = {}) => {
+    try {
+      return await watchTransaction(txHash, {
+        ...watchOptions,
+        provider,
+        signal,
+        onUpdate: ({ state, hash, confirmations }) => report({
+          status: 'pending',
+          ...status,
+          message: state === TX_STATES.repriced ? `${label} transaction was sped up. Waiting for the replacement...` : status.message,
+          tx: txStatus({ label, chainId }, state, hash, confirmations)
+        })
+      });
+    } catch (error) {
+      error.tx = txStatus({ label, chainId }, error.state, error.hash || txHash);
+      throw error;
+    }
+  };
+
+  // Wait for the owners to sign and execute a transfer's Safe transaction, showing the
+  // signatures collected so far on the status card. Resolves to the execution transaction hash.
+  const confirmSafeTransaction = async (transfer, report, { signal } = {}) => {
+    const { sourceChain, safeAddress: safe, safeTxHash } = transfer;
+    const label = transfer.batchedApproval ? 'Approve + Burn' : 'Burn';
+    try {
+      return await getSafeClient(sourceChain).waitForExecution(safe, safeTxHash, {
+        signal,
+        onUpdate: ({ confirmations, threshold }) => report({
+          status: 'pending',
+          message: confirmations.length < threshold
+            ? `Waiting for Safe owners to sign (${confirmations.length} of ${threshold})...`
+            : 'Waiting for the Safe transaction to be executed...',
+          safe: { address: safe, safeTxHash, confirmations, threshold },
+          tx: txStatus({ label, chainId: sourceChain }, TX_STATES.pending, null)
+        })
+      });
+    } catch (error) {
+      error.tx = txStatus({ label, chainId: sourceChain }, error.state, error.hash || null);
+      throw error;
+    }
+  };
+
+  // confirmTransaction for an EIP-5792 bundle; resolves to its receipts
+  const confirmCalls = async (callsId, { chainId, label, ...status }, report, { signal } = {}) => {
+    try {
+      return await watchCalls(callsId, {
+        ...watchOptions,
+        provider,
+        signal,
+        onUpdate: ({ state, hash }) => report({ status: 'pending', ...status, tx: txStatus({ label, chainId }, state, hash) })
+      });
+    } catch (error) {
+      error.tx = txStatus({ label, chainId }, error.state, error.hash);
+      throw error;
+    }
+  };
+
+  // Make sure the source chain TokenMessenger may pull `amountInUnits` of USDC,
+  // using the selected approval mode when the current allowance is too low. A Safe approves
+  // in the same Safe transaction as each burn instead.
+  const ensureAllowance = async ({ sourceChain, amountInUnits }, report = ignoreReport, { signal } = {}) => {
+    if (safeAddress) return;
+    const sourceConfig = CHAIN_CONFIG[sourceChain];
+    report({ status: 'pending', message: 'Checking USDC allowance...' });
+
+    const sourceProvider = getReadProvider(sourceChain);
+    const allowance = await fetchAllowance(sourceProvider, {
+      token: sourceConfig.usdc,
+      owner: account,
+      spender: sourceConfig.tokenMessenger
+    });
+
+    if (allowance >= BigInt(amountInUnits)) {
+      onEvent('approved', { sourceChain, amountInUnits, method: 'allowance', txHash: null });
+      return;
+    }
+
+    const permitInfo = approvalMode === 'permit' && PERMIT_RELAYER_URL
+      ? await fetchPermitInfo(sourceProvider, { token: sourceConfig.usdc, owner: account })
+      : null;
+
+    if (permitInfo) {
+      report({ status: 'pending', message: 'Sign the USDC permit in your wallet...' });
+
+      const deadline = BigInt(Math.floor(Date.now() / 1000) + 30 * 60);
+      const typedData = buildPermitTypedData({
+        chainId: sourceChain,
+        token: sourceConfig.usdc,
+        ...permitInfo,
+        owner: account,
+        spender: sourceConfig.tokenMessenger,
+        value: amountInUnits,
+        deadline
+      });
+
+      const signature = await provider.request({
+        method: 'eth_signTypedData_v4',
+        params: [account, JSON.stringify(typedData)]
+      });
+      const { v, r, s } = splitSignature(signature);
+
+      // The relayer submits the permit, so the payer only sends the burn transaction
+      const permitTx = await relayPermit({
+        chainId: sourceChain,
+        token: sourceConfig.usdc,
+        owner: account,
+        spender: sourceConfig.tokenMessenger,
+        value: amountInUnits.toString(),
+        deadline: deadline.toString(),
+        v,
+        r,
+        s
+      });
+
+      const permitReceipt = await confirmTransaction(permitTx, {
+        chainId: sourceChain,
+        label: 'Permit',
+        message: 'Waiting for permit confirmation...'
+      }, report, { signal });
+      onEvent('approved', { sourceChain, amountInUnits, method: 'permit', txHash: permitReceipt.transactionHash });
+    } else {
+      let message = 'Approving USDC...';
+      if (approvalMode === 'permit') {
+        message = PERMIT_RELAYER_URL
+          ? `USDC on ${sourceConfig.name} does not support permit, approving instead...`
+          : 'No permit relayer is configured, approving USDC instead...';
+      }
+      report({ status: 'pending', message });
+
+      const approveRequest = approveCall(sourceChain, amountInUnits);
+      const gas = await estimateGas(sourceProvider, approveRequest);
+
+      const approveTx = await provider.request({
+        method: 'eth_sendTransaction',
+        params: [gas ? { ...approveRequest, gas: toQuantity(gas) } : approveRequest]
+      });
+
+      const approveReceipt = await confirmTransaction(approveTx, {
+        chainId: sourceChain,
+        label: 'Approval',
+        message: 'Waiting for approval confirmation...'
+      }, report, { signal });
+      onEvent('approved', { sourceChain, amountInUnits, method: 'approve', txHash: approveReceipt.transactionHash });
+    }
+  };
+
+  // Step 1: check both chains and the route are usable and make sure the TokenMessenger may
+  // pull the USDC. Resolves to the route's per-message burn limit (null when unknown); unless
+  // `allowSplit` is set, amounts above it fail here instead of when the burn reverts.
+  const approve = async (
+    { sourceChain, destinationChain, amountInUnits },
+    report = ignoreReport,
+    { signal, allowSplit = false } = {}
+  ) => {
+    assertChainEnabled(sourceChain);
+    assertChainEnabled(destinationChain);
+
+    report({ status: 'pending', message: 'Checking CCTP limits...' });
+    const burnLimit = await assertRoute({ sourceChain, destinationChain });
+    if (!allowSplit && burnLimit && BigInt(amountInUnits) > burnLimit) {
+      throw new Error(
+        `Amount exceeds the per-message burn limit of ${formatUnits(burnLimit)} USDC on ${CHAIN_CONFIG[sourceChain].name}`
+      );
+    }
+
+    await switchNetwork(sourceChain);
+    // Safes and wallets that batch calls approve in the same transaction as the burn
+    if (safeAddress || (await callCapabilities(sourceChain)).atomic) return { burnLimit };
+    await ensureAllowance({ sourceChain, amountInUnits }, report, { signal });
+    return { burnLimit };
+  };
+
+  // Step 2: burn on the source chain and wait for the MessageSent event. Wallets that batch
+  // calls send any approval still needed together with the burn; a Safe proposes both as one
+  // MultiSend transaction. Passing the stored `transfer` of an earlier attempt watches its burn
+  // transaction (bundle or Safe transaction) again instead of sending a new one. Errors carry
+  // the stored transfer as `error.transfer`.
+  const burn = async (params, report = ignoreReport, { transfer = null, signal } = {}) => {
+    const {
+      sourceChain,
+      destinationChain,
+      amount,
+      amountInUnits,
+      recipient,
+      fast,
+      hook = null,
+      hookData = null,
+      reference = null
+    } = params;
+    const sourceConfig = CHAIN_CONFIG[sourceChain];
+
+    try {
+      if (transfer) {
+        transfer = transferStore.update(transfer.id, { status: TRANSFER_STATUS.burning, error: null });
+      } else {
+        await switchNetwork(sourceChain);
+
+        report({
+          status: 'pending',
+          message: fast ? 'Initiating Fast Transfer...' : 'Initiating Standard Transfer...'
+        });
+
+        const record = {
+          status: TRANSFER_STATUS.burning,
+          sourceChain,
+          destinationChain,
+          amount,
+          recipient,
+          hook: hookData ? hook : null,
+          hookData,
+          reference,
+          fast
+        };
+        const burnRequest = burnCall(params);
+        const { atomic, paymaster } = safeAddress ? { atomic: false, paymaster: false } : await callCapabilities(sourceChain);
+        // Checked through the wallet, whose node has already seen earlier burns
+        const allowance = atomic || safeAddress
+          ? await fetchAllowance(provider, { token: sourceConfig.usdc, owner: payer, spender: sourceConfig.tokenMessenger })
+          : null;
+        const batchedApproval = Boolean(atomic || safeAddress) && allowance < BigInt(amountInUnits);
+        const calls = batchedApproval ? [approveCall(sourceChain, amountInUnits), burnRequest] : [burnRequest];
+
+        if (safeAddress || batchedApproval || paymaster) {
+          // The read RPC simulates the burn with the allowance the bundled approval grants
+          await simulateTransaction(getReadProvider(sourceChain), burnRequest, {
+            stateOverride: batchedApproval ? pendingApprovalOverride(sourceChain, amountInUnits) : null
+          });
+        }
+
+        if (safeAddress) {
+          report({ status: 'pending', message: 'Sign the Safe transaction in your wallet...' });
+          const safeTxHash = await proposeSafeTransaction({
+            client: getSafeClient(sourceChain),
+            provider,
+            chainId: sourceChain,
+            safe: safeAddress,
+            sender: account,
+            calls
+          });
+          transfer = transferStore.create({ ...record, burnTxHash: null, safeAddress, safeTxHash, batchedApproval });
+        } else if (batchedApproval || paymaster) {
+          report({
+            status: 'pending',
+            message: batchedApproval ? 'Confirm the approval and burn in your wallet...' : 'Confirm the burn in your wallet...'
+          });
+          const callsId = await sendCalls(provider, {
+            account,
+            chainId: sourceChain,
+            calls,
+            paymasterUrl: paymaster ? PAYMASTER_URL : null
+          });
+          transfer = transferStore.create({ ...record, burnTxHash: null, callsId, batchedApproval });
+        } else {
+          // Simulated through the wallet, whose node has already seen the approval
+          await simulateTransaction(provider, burnRequest);
+          const gas = await estimateGas(provider, burnRequest);
+
+          const burnTx = await provider.request({
+            method: 'eth_sendTransaction',
+            params: [gas ? { ...burnRequest, gas: toQuantity(gas) } : burnRequest]
+          });
+          transfer = transferStore.create({ ...record, burnTxHash: burnTx });
+        }
+      }
+
+      // A Safe transaction has no burn transaction hash until its owners have executed it
+      if (transfer.safeTxHash && !transfer.burnTxHash) {
+        const executionTxHash = await confirmSafeTransaction(transfer, report, { signal });
+        transfer = transferStore.update(transfer.id, { burnTxHash: executionTxHash });
+      }
+
+      let burnReceipt;
+      if (transfer.burnTxHash) {
+        burnReceipt = await confirmTransaction(transfer.burnTxHash, {
+          chainId: sourceChain,
+          label: 'Burn',
+          message: 'Waiting for burn confirmation...'
+        }, report, { signal });
+        if (transfer.safeTxHash && transfer.batchedApproval) {
+          onEvent('approved', { sourceChain, amountInUnits, method: 'safe', txHash: burnReceipt.transactionHash });
+        }
+      } else {
+        const receipts = await confirmCalls(transfer.callsId, {
+          chainId: sourceChain,
+          label: transfer.batchedApproval ? 'Approve + Burn' : 'Burn',
+          message: 'Waiting for the batched calls to be confirmed...'
+        }, report, { signal });
+        burnReceipt = receipts.find(receipt => extractMessageSent(receipt, sourceConfig.messageTransmitter)) ||
+          receipts[receipts.length - 1];
+        if (!burnReceipt) throw new Error('The wallet returned no receipt for the batched calls');
+        if (transfer.batchedApproval) {
+          onEvent('approved', { sourceChain, amountInUnits, method: 'batch', txHash: burnReceipt.transactionHash });
+        }
+      }
+      // A sped-up burn, or one sent as calls, is attested under the hash that was mined
+      if (burnReceipt.transactionHash !== transfer.burnTxHash) {
+        transfer = transferStore.update(transfer.id, { burnTxHash: burnReceipt.transactionHash });
+      }
+
+      const sentMessage = extractMessageSent(burnReceipt, sourceConfig.messageTransmitter);
+      if (!sentMessage) {
+        throw new Error('Burn transaction did not emit a MessageSent event');
+      }
+
+      transfer = transferStore.update(transfer.id, {
+        status: TRANSFER_STATUS.awaitingAttestation,
+        messageHash: keccak256(sentMessage)
+      });
+      onEvent('burned', { transfer });
+      return transfer;
+    } catch (error) {
+      if (transfer) {
+        // A burn that reverted, was replaced or was dropped will never be attested
+        error.transfer = transferStore.update(transfer.id, {
+          status: TRANSFER_STATUS.failed,
+          error: error.message,
+          ...(VOID_TX_STATES.includes(error.state) && { burnVoided: true })
+        });
+      }
+      throw error;
+    }
+  };
+
+  // Step 3: wait for Circle's attestation of a burned transfer
+  const attest = async (transfer, report = ignoreReport, { signal } = {}) => {
+    if (transfer.message && transfer.attestation) return transfer;
+
+    const sourceConfig = CHAIN_CONFIG[transfer.sourceChain];
+    report({
+      status: 'pending',
+      message: 'Burn confirmed. Waiting for attestation...',
+      details: transferDetails(transfer)
+    });
+
+    const { message, attestation } = await attestationClient.waitForAttestation({
+      sourceDomain: sourceConfig.domain,
+      transactionHash: transfer.burnTxHash,
+      signal
+    });
+
+    transfer = transferStore.update(transfer.id, { status: TRANSFER_STATUS.minting, message, attestation, error: null });
+    onEvent('attested', { transfer });
+    return transfer;
+  };
+
+  // Step 4: mint on the destination chain. A mint transaction that is still pending is
+  // watched again; one that reverted or was replaced is sent anew.
+  const mint = async (transfer, report = ignoreReport, { signal } = {}) => {
+    const destinationConfig = CHAIN_CONFIG[transfer.destinationChain];
+    const details = transferDetails(transfer);
+    let { mintTxHash } = transfer;
+
+    report({
+      status: 'pending',
+      message: `Attestation received. Minting USDC on ${destinationConfig.name}...`,
+      details,
+      attestationReceived: true
+    });
+
+    await switchNetwork(transfer.destinationChain);
+
+    if (!mintTxHash) {
+      mintTxHash = await provider.request({
+        method: 'eth_sendTransaction',
+        params: [{
+          from: account,
+          to: destinationConfig.messageTransmitter,
+          data: messageTransmitterInterface.encodeFunctionData('receiveMessage', {
+            message: transfer.message,
+            attestation: transfer.attestation
+          })
+        }]
+      });
+      transferStore.update(transfer.id, { status: TRANSFER_STATUS.minting, mintTxHash });
+    }
+
+    let mintReceipt;
+    try {
+      mintReceipt = await confirmTransaction(mintTxHash, {
+        chainId: transfer.destinationChain,
+        label: 'Mint',
+        message: `Minting USDC on ${destinationConfig.name}...`,
+        details,
+        attestationReceived: true
+      }, report, { signal });
+    } catch (error) {
+      if (VOID_TX_STATES.includes(error.state)) transferStore.update(transfer.id, { mintTxHash: null });
+      throw error;
+    }
+
+    mintTxHash = mintReceipt.transactionHash;
+    const completed = transferStore.update(transfer.id, { status: TRANSFER_STATUS.completed, mintTxHash, error: null });
+
+    report({
+      status: 'success',
+      message: 'Transfer completed! Funds received on destination chain.',
+      details: { ...details, mintTxHash },
+      attestationReceived: true
+    });
+
+    onEvent('minted', { transfer: completed });
+    return completed;
+  };
+
+  // Wait for the attestation and mint on the destination chain (steps 3 and 4)
+  const completeTransfer = async (transfer, report = ignoreReport, options = {}) => {
+    // A Safe transaction or call bundle stored before it was executed has no burn hash yet:
+    // wait for it first
+    const burned = transfer.burnTxHash || !(transfer.safeTxHash || transfer.callsId)
+      ? transfer
+      : await burn({ ...transfer, amountInUnits: parseUnits(transfer.amount) }, report, { ...options, transfer });
+    const attested = await attest(burned, report, options);
+    return mint(attested, report, options);
+  };
+
+  // Approve, burn and mint a single transfer, reporting progress through `report`.
+  // Errors carry the stored transfer (if the burn was submitted) as `error.transfer`.
+  const executeTransfer = async (params, report = ignoreReport) => {
+    let transfer = null;
+    try {
+      await approve(params, report);
+      transfer = await burn(params, report);
+      return await completeTransfer(transfer, report);
+    } catch (error) {
+      transfer = error.transfer || transfer;
+      if (transfer) {
+        error.transfer = transferStore.update(transfer.id, { status: TRANSFER_STATUS.failed, error: error.message });
+      }
+      onEvent('error', { message: error.message || 'Unknown error', transfer: error.transfer || null });
+      throw error;
+    }
+  };
+
+  return { preflight, ensureAllowance, approve, burn, attest, mint, completeTransfer, executeTransfer };
+};
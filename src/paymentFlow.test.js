@@ -0,0 +1,284 @@
+import { describe, expect, it } from 'vitest';
+import { SWITCH_ERRORS, createPaymentFlow, switchChain } from './paymentFlow';
+import { createMockProvider } from './mockProvider';
+import { TRANSFER_STATUS, createTransferStore, isResumable } from './transferStore';
+import { TX_STATES } from './transactions';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+import { encodeParameters } from './abi';
+import { messageTransmitterInterface } from './contracts';
+
+const ACCOUNT = '0x0000000000000000000000000000000000000001';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+};
+
+const burnParams = {
+  sourceChain: chainIdByKey('ethereum'),
+  destinationChain: chainIdByKey('base'),
+  amount: '10',
+  amountInUnits: 10000000n,
+  maxFeeInUnits: 0n,
+  recipient: '0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2',
+  fast: false
+};
+
+const BASE = chainIdByKey('base');
+
+const walletError = (code) => Object.assign(new Error(`Wallet error ${code}`), { code });
+
+const failWith = (code) => () => {
+  throw walletError(code);
+};
+
+const createFlow = (provider, transferStore, options = {}) => createPaymentFlow({
+  account: ACCOUNT,
+  attestationClient: null,
+  transferStore,
+  provider,
+  switchNetwork: async () => {},
+  watchOptions: { pollInterval: 1, maxPollInterval: 1 },
+  ...options
+});
+
+// Receipt whose logs hold a MessageSent event from the source chain's MessageTransmitter
+const burnReceipt = ([hash]) => ({
+  transactionHash: hash,
+  blockNumber: '0x1',
+  status: '0x1',
+  logs: [{
+    address: CHAIN_CONFIG[burnParams.sourceChain].messageTransmitter,
+    topics: [messageTransmitterInterface.getEventTopic('MessageSent')],
+    data: encodeParameters([{ type: 'bytes' }], ['0x0001'])
+  }]
+});
+
+describe('burn', () => {
+  it('marks a reverted burn as voided so it cannot be resumed', async () => {
+    const provider = createMockProvider({
+      accounts: [ACCOUNT],
+      handlers: {
+        eth_getTransactionReceipt: ([hash]) => ({ transactionHash: hash, blockNumber: '0x1', status: '0x0', logs: [] })
+      }
+    });
+    const transferStore = createTransferStore({ storage: memoryStorage(), key: 'test' });
+
+    const error = await createFlow(provider, transferStore).burn(burnParams).catch(failure => failure);
+
+    expect(error.state).toBe(TX_STATES.reverted);
+    expect(error.transfer).toMatchObject({ status: TRANSFER_STATUS.failed, burnVoided: true });
+    expect(error.transfer.burnTxHash).toBeTruthy();
+    expect(isResumable(transferStore.get(error.transfer.id))).toBe(false);
+  });
+
+  it('keeps a burn that failed for another reason resumable', async () => {
+    const provider = createMockProvider({ accounts: [ACCOUNT] });
+    const transferStore = createTransferStore({ storage: memoryStorage(), key: 'test' });
+
+    // The mock receipt has no logs, so no MessageSent event is found
+    const error = await createFlow(provider, transferStore).burn(burnParams).catch(failure => failure);
+
+    expect(error.message).toBe('Burn transaction did not emit a MessageSent event');
+    expect(error.transfer.burnVoided).toBeUndefined();
+    expect(isResumable(transferStore.get(error.transfer.id))).toBe(true);
+  });
+});
+
+describe('completeTransfer', () => {
+  it('waits for the Safe transaction of a stored transfer before asking for its attestation', async () => {
+    const executionTxHash = '0x' + 'ab'.repeat(32);
+    const safeTxHash = '0x' + 'cd'.repeat(32);
+    const provider = createMockProvider({ accounts: [ACCOUNT], handlers: { eth_getTransactionReceipt: burnReceipt } });
+    const transferStore = createTransferStore({ storage: memoryStorage(), key: 'test' });
+    const { sourceChain, destinationChain, amount, recipient, fast } = burnParams;
+    const stored = transferStore.create({
+      sourceChain,
+      destinationChain,
+      amount,
+      recipient,
+      fast,
+      status: TRANSFER_STATUS.burning,
+      burnTxHash: null,
+      safeAddress: '0x0000000000000000000000000000000000005afe',
+      safeTxHash
+    });
+    expect(isResumable(stored)).toBe(true);
+
+    const waited = [];
+    const requested = [];
+    const flow = createFlow(provider, transferStore, {
+      getSafeClient: () => ({
+        waitForExecution: async (safe, hash) => {
+          waited.push([safe, hash]);
+          return executionTxHash;
+        }
+      }),
+      attestationClient: {
+        waitForAttestation: async ({ transactionHash }) => {
+          requested.push(transactionHash);
+          throw new Error('Stop before minting');
+        }
+      }
+    });
+
+    await expect(flow.completeTransfer(transferStore.get(stored.id))).rejects.toThrow('Stop before minting');
+    expect(waited).toEqual([[stored.safeAddress, safeTxHash]]);
+    expect(requested).toEqual([executionTxHash]);
+    expect(transferStore.get(stored.id)).toMatchObject({
+      status: TRANSFER_STATUS.awaitingAttestation,
+      burnTxHash: executionTxHash
+    });
+  });
+});
+
+describe('completeTransfer with a call bundle', () => {
+  it('waits for a stored bundle before asking for its attestation', async () => {
+    const bundleTxHash = '0x' + 'ef'.repeat(32);
+    const provider = createMockProvider({
+      accounts: [ACCOUNT],
+      handlers: { wallet_getCallsStatus: () => ({ status: 200, receipts: [burnReceipt([bundleTxHash])] }) }
+    });
+    const transferStore = createTransferStore({ storage: memoryStorage(), key: 'test' });
+    const { sourceChain, destinationChain, amount, recipient, fast } = burnParams;
+    const stored = transferStore.create({
+      sourceChain,
+      destinationChain,
+      amount,
+      recipient,
+      fast,
+      status: TRANSFER_STATUS.failed,
+      burnTxHash: null,
+      callsId: '0xbundle',
+      batchedApproval: true
+    });
+    expect(isResumable(stored)).toBe(true);
+
+    const requested = [];
+    const flow = createFlow(provider, transferStore, {
+      attestationClient: {
+        waitForAttestation: async ({ transactionHash }) => {
+          requested.push(transactionHash);
+          throw new Error('Stop before minting');
+        }
+      }
+    });
+
+    await expect(flow.completeTransfer(stored)).rejects.toThrow('Stop before minting');
+    expect(provider.requests('wallet_getCallsStatus')[0].params).toEqual(['0xbundle']);
+    expect(requested).toEqual([bundleTxHash]);
+    expect(transferStore.get(stored.id).burnTxHash).toBe(bundleTxHash);
+  });
+});
+
+describe('switchChain', () => {
+  it('switches to a chain the wallet knows', async () => {
+    const provider = createMockProvider();
+    await switchChain(BASE, provider);
+
+    expect(provider.requests().map(entry => entry.method)).toEqual(['wallet_switchEthereumChain']);
+    expect(await provider.request({ method: 'eth_chainId' })).toBe(CHAIN_CONFIG[BASE].chainIdHex);
+  });
+
+  it('reports a rejected switch (4001)', async () => {
+    const provider = createMockProvider({ handlers: { wallet_switchEthereumChain: failWith(4001) } });
+    const error = await switchChain(BASE, provider).catch(failure => failure);
+
+    expect(error.reason).toBe(SWITCH_ERRORS.rejected);
+    expect(error.cause.code).toBe(4001);
+    expect(provider.requests('wallet_addEthereumChain')).toHaveLength(0);
+  });
+
+  it('reads codes wrapped in data.originalError', async () => {
+    const wrapped = Object.assign(new Error('Wrapped'), { code: -32603, data: { originalError: { code: 4001 } } });
+    const provider = createMockProvider({
+      handlers: {
+        wallet_switchEthereumChain: () => {
+          throw wrapped;
+        }
+      }
+    });
+
+    await expect(switchChain(BASE, provider)).rejects.toMatchObject({ reason: SWITCH_ERRORS.rejected });
+  });
+
+  it('reports wallets that cannot switch (4200)', async () => {
+    const provider = createMockProvider({ handlers: { wallet_switchEthereumChain: failWith(4200) } });
+    await expect(switchChain(BASE, provider)).rejects.toMatchObject({ reason: SWITCH_ERRORS.unsupported });
+  });
+
+  it('passes other errors through unchanged', async () => {
+    const provider = createMockProvider({ handlers: { wallet_switchEthereumChain: failWith(-32000) } });
+    const error = await switchChain(BASE, provider).catch(failure => failure);
+
+    expect(error.code).toBe(-32000);
+    expect(error.reason).toBeUndefined();
+  });
+
+  describe('unknown chain (4902)', () => {
+    // Fails the first switch with 4902; later switches and adding the chain use the given handlers
+    const unknownChain = ({ add = () => null, switchAfterAdd = () => null } = {}) => {
+      let known = false;
+      return createMockProvider({
+        handlers: {
+          wallet_switchEthereumChain: (params) => {
+            if (known) return switchAfterAdd(params);
+            known = true;
+            throw walletError(4902);
+          },
+          wallet_addEthereumChain: add
+        }
+      });
+    };
+
+    it('adds the chain and switches again', async () => {
+      const provider = unknownChain();
+      await switchChain(BASE, provider);
+
+      expect(provider.requests().map(entry => entry.method)).toEqual([
+        'wallet_switchEthereumChain',
+        'wallet_addEthereumChain',
+        'eth_chainId',
+        'wallet_switchEthereumChain'
+      ]);
+      expect(provider.requests('wallet_addEthereumChain')[0].params[0]).toMatchObject({
+        chainId: CHAIN_CONFIG[BASE].chainIdHex,
+        chainName: CHAIN_CONFIG[BASE].chainName
+      });
+    });
+
+    it('does not switch again when adding the chain already switched to it', async () => {
+      const provider = createMockProvider({
+        handlers: {
+          wallet_switchEthereumChain: failWith(4902),
+          eth_chainId: () => CHAIN_CONFIG[BASE].chainIdHex
+        }
+      });
+      await switchChain(BASE, provider);
+
+      expect(provider.requests('wallet_switchEthereumChain')).toHaveLength(1);
+      expect(provider.requests('wallet_addEthereumChain')).toHaveLength(1);
+    });
+
+    it('reports a rejected add (4001)', async () => {
+      const provider = unknownChain({ add: failWith(4001) });
+      const error = await switchChain(BASE, provider).catch(failure => failure);
+
+      expect(error.reason).toBe(SWITCH_ERRORS.rejected);
+      expect(error.message).toBe(`Adding ${CHAIN_CONFIG[BASE].name} was rejected in the wallet`);
+    });
+
+    it('reports wallets that cannot add chains (4200)', async () => {
+      const provider = unknownChain({ add: failWith(4200) });
+      await expect(switchChain(BASE, provider)).rejects.toMatchObject({ reason: SWITCH_ERRORS.unsupported });
+    });
+
+    it('reports a chain that was added but not switched to', async () => {
+      const provider = unknownChain({ switchAfterAdd: failWith(4001) });
+      const error = await switchChain(BASE, provider).catch(failure => failure);
+
+      expect(error.reason).toBe(SWITCH_ERRORS.addedNotSwitched);
+      expect(error.cause.code).toBe(4001);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { VOID_TX_STATES } from './transactions';
+import { TRANSFER_STATUS } from './transferStore';
+import { splitTransfer } from './preflightChecks';
+
+// The payment lifecycle as an explicit state machine:
+//
+//   idle → approving → approved → burning → burned → awaiting_attestation → minting → completed
+//
+// Any in-progress step can move to `failed`, and a failed payment retries the step that failed.
+// Payments above the route's per-message burn limit are split into `parts` after approval;
+// each part is burned, attested and minted as its own transfer (`transferIds[i]`) while the
+// payment moves through the steps once. The state is plain JSON (amounts are decimal
+// strings), so it can be stored and later handed back to createPaymentMachine to continue
+// where it stopped.
+
+export const PAYMENT_STEPS = {
+  idle: 'idle',
+  approving: 'approving',
+  approved: 'approved',
+  burning: 'burning',
+  burned: 'burned',
+  awaitingAttestation: 'awaiting_attestation',
+  minting: 'minting',
+  completed: 'completed',
+  failed: 'failed'
+};
+
+const NEXT_STEPS = {
+  [PAYMENT_STEPS.idle]: [PAYMENT_STEPS.approving],
+  [PAYMENT_STEPS.approving]: [PAYMENT_STEPS.approved],
+  [PAYMENT_STEPS.approved]: [PAYMENT_STEPS.burning],
+  [PAYMENT_STEPS.burning]: [PAYMENT_STEPS.burned],
+  [PAYMENT_STEPS.burned]: [PAYMENT_STEPS.awaitingAttestation],
+  [PAYMENT_STEPS.awaitingAttestation]: [PAYMENT_STEPS.minting],
+  [PAYMENT_STEPS.minting]: [PAYMENT_STEPS.completed],
+  [PAYMENT_STEPS.completed]: [],
+  [PAYMENT_STEPS.failed]: []
+};
+
+// In-progress steps, each running one payment flow step and ending in `done` (or directly
+// in the next step when `done` is null)
+const ACTIONS = [
+  { step: PAYMENT_STEPS.approving, done: PAYMENT_STEPS.approved },
+  { step: PAYMENT_STEPS.burning, done: PAYMENT_STEPS.burned },
+  { step: PAYMENT_STEPS.awaitingAttestation, done: null },
+  { step: PAYMENT_STEPS.minting, done: PAYMENT_STEPS.completed }
+];
+
+export const isRunningStep = (step) => ACTIONS.some(action => action.step === step);
+
+// Move to `step`, rejecting transitions the lifecycle does not allow. Running steps may always
+// fail, and a failed payment may only restart the step that failed.
+export const transition = (state, step, patch = {}) => {
+  const allowed = step === PAYMENT_STEPS.failed
+    ? isRunningStep(state.step)
+    : state.step === PAYMENT_STEPS.failed
+      ? step === state.failedStep
+      : NEXT_STEPS[state.step].includes(step);
+  if (!allowed) throw new Error(`Invalid payment transition ${state.step} → ${step}`);
+
+  return {
+    ...state,
+    ...patch,
+    step,
+    history: [...state.history, { step, at: Date.now() }]
+  };
+};
+
+const serializeAmounts = (values) => ({
+  ...values,
+  amountInUnits: values.amountInUnits.toString(),
+  maxFeeInUnits: values.maxFeeInUnits.toString()
+});
+
+// Initial state for the transfer parameters accepted by paymentFlow.executeTransfer
+export const createPaymentState = (params) => ({
+  step: PAYMENT_STEPS.idle,
+  params: serializeAmounts(params),
+  parts: null,
+  // Part being worked on by the current step
+  part: null,
+  transferIds: [],
+  failedStep: null,
+  failedPart: null,
+  error: null,
+  tx: null,
+  cancelled: false,
+  history: [{ step: PAYMENT_STEPS.idle, at: Date.now() }]
+});
+
+const flowParams = (values) => ({
+  ...values,
+  amountInUnits: BigInt(values.amountInUnits),
+  maxFeeInUnits: BigInt(values.maxFeeInUnits)
+});
+
+// Drives `flow` (from createPaymentFlow) through the lifecycle. Every transition is passed to
+// `onChange`; status card messages go to `report`. start() and retry() resolve to the final
+// state instead of throwing.
+export const createPaymentMachine = ({
+  flow,
+  transferStore,
+  state: initialState = null,
+  onChange = () => {},
+  report = () => {}
+}) => {
+  let state = initialState;
+  let controller = null;
+
+  const commit = (step, patch) => {
+    state = transition(state, step, patch);
+    onChange(state);
+  };
+
+  // Progress within a step is saved without a transition
+  const update = (patch) => {
+    state = { ...state, ...patch };
+    onChange(state);
+  };
+
+  const withTransferId = (index, transferId) => Object.assign([...state.transferIds], { [index]: transferId });
+
+  const storedTransfer = (index) => (state.transferIds[index] ? transferStore.get(state.transferIds[index]) : null);
+
+  // Run `step` for every part that still needs it
+  const eachPart = async (step) => {
+    for (const index of state.parts.keys()) {
+      update({ part: index });
+      await step(index, storedTransfer(index));
+    }
+    update({ part: null });
+  };
+
+  const runAction = async (action, signal) => {
+    const params = flowParams(state.params);
+    switch (action.step) {
+      case PAYMENT_STEPS.approving: {
+        const { burnLimit } = await flow.approve(params, report, { signal, allowSplit: true });
+        return { parts: splitTransfer(params, burnLimit).map(serializeAmounts) };
+      }
+      case PAYMENT_STEPS.burning:
+        return eachPart(async (index, transfer) => {
+          // Parts burned by an earlier attempt already have their message hash
+          if (transfer?.messageHash) return;
+          const burned = await flow.burn({ ...params, ...flowParams(state.parts[index]) }, report, { transfer, signal });
+          update({ transferIds: withTransferId(index, burned.id) });
+        });
+      case PAYMENT_STEPS.awaitingAttestation:
+        return eachPart((index, transfer) => flow.attest(transfer, report, { signal }));
+      default:
+        return eachPart(async (index, transfer) => {
+          if (transfer.status !== TRANSFER_STATUS.completed) await flow.mint(transfer, report, { signal });
+        });
+    }
+  };
+
+  const run = async (fromIndex) => {
+    controller = new AbortController();
+    const { signal } = controller;
+
+    try {
+      for (const action of ACTIONS.slice(fromIndex)) {
+        signal.throwIfAborted();
+        commit(action.step, { failedStep: null, failedPart: null, error: null, tx: null, cancelled: false });
+        const patch = await runAction(action, signal);
+        if (action.done) commit(action.done, patch);
+      }
+    } catch (error) {
+      console.error('Payment step failed:', error);
+      const message = error.message || 'Unknown error';
+      const { part } = state;
+      let { transferIds } = state;
+      if (part !== null) {
+        // A burn that reverted or was replaced never happened, so retrying sends a new one
+        const voidBurn = state.step === PAYMENT_STEPS.burning && VOID_TX_STATES.includes(error.state);
+        const transferId = voidBurn ? null : error.transfer?.id ?? transferIds[part] ?? null;
+        if (transferId) transferStore.update(transferId, { status: TRANSFER_STATUS.failed, error: message });
+        transferIds = withTransferId(part, transferId);
+      }
+
+      commit(PAYMENT_STEPS.failed, {
+        failedStep: state.step,
+        failedPart: part,
+        part: null,
+        error: message,
+        tx: error.tx || null,
+        cancelled: signal.aborted,
+        transferIds
+      });
+    } finally {
+      controller = null;
+    }
+    return state;
+  };
+
+  return {
+    getState: () => state,
+    isRunning: () => controller !== null,
+
+    start: (params) => {
+      state = createPaymentState(params);
+      onChange(state);
+      return run(0);
+    },
+
+    retry: () => {
+      if (state?.step !== PAYMENT_STEPS.failed) throw new Error('Only a failed payment can be retried');
+      return run(ACTIONS.findIndex(action => action.step === state.failedStep));
+    },
+
+    // Stops waiting at the next poll; a transaction already sent to the wallet still goes through
+    cancel: () => controller?.abort(new Error('Payment cancelled'))
+  };
+};
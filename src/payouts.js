@@ -0,0 +1,208 @@
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+import { parseUnits } from './format';
+import { HOOK_TEMPLATES, decodeHookData, defaultHookParams, encodeHookData, validateHookParams } from './hookData';
+import { validateRecipient } from './validation';
+import { feeForAmount } from './feeQuotes';
+
+// Batch payouts from CSV: one row per recipient, executed through the single transfer flow.
+// Columns: recipient, destination chain, amount, optional hook, optional source chain
+
+export const BATCH_COLUMNS = ['recipient', 'destination_chain', 'amount', 'hook', 'source_chain'];
+
+export const BATCH_CSV_TEMPLATE = [
+  BATCH_COLUMNS.join(','),
+  '0x0000000000000000000000000000000000000001,Base,125.50,,',
+  `0x0000000000000000000000000000000000000002,${chainIdByKey('arbitrum')},80,treasuryRebalance,`
+].join('\n');
+
+// Split CSV text into rows of trimmed cells, honouring double-quoted cells. Each row is
+// { line, cells } with the 1-based line it starts on, counting blank lines and line breaks
+// inside quoted cells.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push({ line: rowLine, cells: row });
+
+  // Drop blank lines
+  return rows.filter(({ cells }) => cells.some(value => value !== ''));
+};
+
+const escapeCsvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(cells => cells.map(escapeCsvCell).join(',')).join('\n');
+
+// Accept a chain ID, a configured chain name or a chain key such as `base` (case-insensitive).
+// Keys resolve on both mainnet and testnet.
+export const resolveChain = (value) => {
+  if (CHAIN_CONFIG[value]) return Number(value);
+  const name = value.toLowerCase();
+  const chainId = Object.keys(CHAIN_CONFIG).find(id => CHAIN_CONFIG[id].name.toLowerCase() === name || CHAIN_CONFIG[id].key === name);
+  return chainId ? Number(chainId) : null;
+};
+
+// A hook cell is either encoded hook data or a hook key whose default parameters are complete
+const resolveHook = (value) => {
+  if (value.startsWith('0x')) {
+    return { hook: decodeHookData(value).key, hookData: value.toLowerCase() };
+  }
+  if (!HOOK_TEMPLATES[value]) throw new Error(`Unknown hook ${value}`);
+
+  const params = defaultHookParams(value);
+  if (Object.keys(validateHookParams(value, params)).length > 0) {
+    throw new Error(`Hook ${value} needs parameters, paste its encoded hook data instead`);
+  }
+  return { hook: value, hookData: encodeHookData(value, params) };
+};
+
+// Parse and validate every row. Rows keep their CSV line number and a list of errors;
+// only rows without errors are executed.
+export const parseBatchCsv = (text, { defaultSourceChain }) => {
+  const lines = parseCsv(text);
+  const hasHeader = lines.length > 0 && lines[0].cells[0].toLowerCase() === BATCH_COLUMNS[0];
+
+  return lines.slice(hasHeader ? 1 : 0).map(({ line, cells }) => {
+    const [recipient = '', destination = '', amount = '', hookCell = '', source = ''] = cells;
+    const errors = [];
+
+    const recipientError = validateRecipient(recipient);
+    if (recipientError) errors.push(recipientError);
+
+    const sourceChain = source ? resolveChain(source) : Number(defaultSourceChain);
+    if (!sourceChain) errors.push(`Unknown source chain ${source}`);
+
+    const destinationChain = resolveChain(destination);
+    if (!destinationChain) errors.push(`Unknown destination chain ${destination || '(empty)'}`);
+    else if (destinationChain === sourceChain) errors.push('Destination chain must differ from the source chain');
+
+    let amountInUnits = null;
+    try {
+      amountInUnits = parseUnits(amount);
+      if (amountInUnits <= 0n) {
+        errors.push('Amount must be greater than zero');
+        amountInUnits = null;
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    let hook = null;
+    let hookData = null;
+    if (hookCell) {
+      try {
+        ({ hook, hookData } = resolveHook(hookCell));
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+
+    return {
+      line,
+      cells,
+      recipient,
+      sourceChain,
+      destinationChain,
+      amount,
+      amountInUnits,
+      hook,
+      hookData,
+      errors
+    };
+  });
+};
+
+// Group valid rows by source chain so each chain needs a single approval for its total
+export const groupBySourceChain = (rows) => {
+  const groups = {};
+  rows.filter(row => row.errors.length === 0).forEach((row) => {
+    if (!groups[row.sourceChain]) {
+      groups[row.sourceChain] = { sourceChain: row.sourceChain, rows: [], total: 0n };
+    }
+    groups[row.sourceChain].rows.push(row);
+    groups[row.sourceChain].total += row.amountInUnits;
+  });
+  return Object.values(groups);
+};
+
+// Quote each route once for its combined amount and derive per-row fees from the route's rate
+export const quoteBatch = async (rows, { feeQuoteService, fast }) => {
+  const routes = {};
+  rows.filter(row => row.errors.length === 0).forEach((row) => {
+    const key = `${row.sourceChain}-${row.destinationChain}`;
+    routes[key] = (routes[key] || 0n) + row.amountInUnits;
+  });
+
+  const quotes = {};
+  await Promise.all(Object.entries(routes).map(async ([key, total]) => {
+    const [sourceChain, destinationChain] = key.split('-');
+    quotes[key] = await feeQuoteService.getQuote({
+      sourceDomain: CHAIN_CONFIG[sourceChain].domain,
+      destinationDomain: CHAIN_CONFIG[destinationChain].domain,
+      amountInUnits: total,
+      fast
+    });
+  }));
+
+  const fees = {};
+  let totalFee = 0n;
+  rows.filter(row => row.errors.length === 0).forEach((row) => {
+    const quote = quotes[`${row.sourceChain}-${row.destinationChain}`];
+    const fee = feeForAmount(row.amountInUnits, quote.feeBps);
+    fees[row.line] = { fee, fast: quote.fast, fallbackReason: quote.fallbackReason };
+    totalFee += fee;
+  });
+
+  return { fees, totalFee };
+};
+
+// Results CSV: the input cells plus the outcome and transaction hashes of each row
+export const buildResultsCsv = (rows, results) => toCsv([
+  [...BATCH_COLUMNS, 'status', 'burn_tx_hash', 'mint_tx_hash', 'error'],
+  ...rows.map((row) => {
+    const result = results[row.line] || {};
+    return [
+      ...BATCH_COLUMNS.map((column, index) => row.cells[index] || ''),
+      result.status || (row.errors.length > 0 ? 'invalid' : 'skipped'),
+      result.burnTxHash || '',
+      result.mintTxHash || '',
+      result.error || row.errors.join('; ')
+    ];
+  })
+]);
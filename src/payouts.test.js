@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { buildResultsCsv, parseBatchCsv, parseCsv, quoteBatch } from './payouts';
+import { chainIdByKey } from './chains';
+
+const RECIPIENT = '0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2';
+const ETHEREUM = chainIdByKey('ethereum');
+const BASE = chainIdByKey('base');
+
+describe('parseCsv', () => {
+  it('splits quoted cells and escaped quotes', () => {
+    expect(parseCsv('a, "b,c" ,"say ""hi"""')).toEqual([{ line: 1, cells: ['a', 'b,c', 'say "hi"'] }]);
+  });
+
+  it('keeps source line numbers across blank lines', () => {
+    expect(parseCsv('a,b\n\n\r\nc,d\r\n,\ne,f\n')).toEqual([
+      { line: 1, cells: ['a', 'b'] },
+      { line: 4, cells: ['c', 'd'] },
+      { line: 6, cells: ['e', 'f'] }
+    ]);
+  });
+
+  it('counts line breaks inside quoted cells', () => {
+    expect(parseCsv('"multi\nline",x\r\ny,z').map(row => row.line)).toEqual([1, 3]);
+  });
+});
+
+describe('parseBatchCsv', () => {
+  const csv = [
+    'recipient,destination_chain,amount,hook,source_chain',
+    `${RECIPIENT},base,10,,`,
+    '',
+    `${RECIPIENT},ethereum,2.5,,base`,
+    '',
+    `${RECIPIENT},nowhere,1,,`
+  ].join('\n');
+
+  it('reports the CSV line of each row after a header and blank lines', () => {
+    const rows = parseBatchCsv(csv, { defaultSourceChain: ETHEREUM });
+    expect(rows.map(row => row.line)).toEqual([2, 4, 6]);
+    expect(rows[0]).toMatchObject({ sourceChain: ETHEREUM, destinationChain: BASE, amountInUnits: 10000000n, errors: [] });
+    expect(rows[1]).toMatchObject({ sourceChain: BASE, destinationChain: ETHEREUM, amountInUnits: 2500000n, errors: [] });
+    expect(rows[2].errors).toEqual(['Unknown destination chain nowhere']);
+  });
+
+  it('starts at line 1 without a header', () => {
+    const rows = parseBatchCsv(`\n${RECIPIENT},base,1`, { defaultSourceChain: ETHEREUM });
+    expect(rows.map(row => row.line)).toEqual([2]);
+  });
+
+  it('keys fees and results by the reported line', async () => {
+    const rows = parseBatchCsv(csv, { defaultSourceChain: ETHEREUM });
+    const feeQuoteService = { getQuote: async () => ({ feeBps: 10, fast: true }) };
+    const { fees, totalFee } = await quoteBatch(rows, { feeQuoteService, fast: true });
+    expect(Object.keys(fees)).toEqual(['2', '4']);
+    expect(totalFee).toBe(12500n);
+
+    const results = buildResultsCsv(rows, { 4: { status: 'completed', burnTxHash: '0xburn' } }).split('\n');
+    expect(results[1]).toBe(`${RECIPIENT},base,10,,,skipped,,,`);
+    expect(results[2]).toBe(`${RECIPIENT},ethereum,2.5,,base,completed,0xburn,,`);
+    expect(results[3]).toBe(`${RECIPIENT},nowhere,1,,,invalid,,,Unknown destination chain nowhere`);
+  });
+});
@@ -0,0 +1,120 @@
+import { CHAIN_CONFIG } from './chains';
+import { messageTransmitterInterface, tokenMessengerInterface, tokenMinterInterface } from './contracts';
+import { multicall } from './balances';
+import { formatUnits, toDecimalString } from './format';
+import { getReadProvider } from './rpc';
+
+// Pre-flight checks against the CCTP contracts for conditions that otherwise only show up as
+// a reverted transaction: paused contracts, routes without a registered remote TokenMessenger
+// and TokenMinter's per-message burn limit
+
+const ZERO_BYTES32 = '0x' + '0'.repeat(64);
+
+// Payments above this many times the burn limit are rejected instead of split
+export const MAX_SPLIT_PARTS = 10;
+
+// Result of a multicall read, or null when the call failed (e.g. a contract without `paused`)
+const decodeResult = (contractInterface, name, result) => {
+  if (!result?.success || result.returnData === '0x') return null;
+  return contractInterface.decodeFunctionResult(name, result.returnData)[0];
+};
+
+// Pause flags, the remote TokenMessenger registered for `remoteDomain` and the USDC burn limit
+// on one chain. Values that could not be read are null.
+export const readChainLimits = async (chainId, remoteDomain, provider = getReadProvider(chainId)) => {
+  const config = CHAIN_CONFIG[chainId];
+  const [messengerPaused, transmitterPaused, minter, remoteMessenger] = await multicall(provider, [
+    { target: config.tokenMessenger, callData: tokenMessengerInterface.encodeFunctionData('paused') },
+    { target: config.messageTransmitter, callData: messageTransmitterInterface.encodeFunctionData('paused') },
+    { target: config.tokenMessenger, callData: tokenMessengerInterface.encodeFunctionData('localMinter') },
+    {
+      target: config.tokenMessenger,
+      callData: tokenMessengerInterface.encodeFunctionData('remoteTokenMessengers', { domain: remoteDomain })
+    }
+  ]);
+
+  const tokenMinter = decodeResult(tokenMessengerInterface, 'localMinter', minter);
+  const [minterPaused, burnLimit] = tokenMinter
+    ? await multicall(provider, [
+      { target: tokenMinter, callData: tokenMinterInterface.encodeFunctionData('paused') },
+      { target: tokenMinter, callData: tokenMinterInterface.encodeFunctionData('burnLimitsPerMessage', { token: config.usdc }) }
+    ])
+    : [null, null];
+
+  return {
+    tokenMessengerPaused: decodeResult(tokenMessengerInterface, 'paused', messengerPaused),
+    messageTransmitterPaused: decodeResult(messageTransmitterInterface, 'paused', transmitterPaused),
+    tokenMinter,
+    tokenMinterPaused: decodeResult(tokenMinterInterface, 'paused', minterPaused),
+    remoteTokenMessenger: decodeResult(tokenMessengerInterface, 'remoteTokenMessengers', remoteMessenger),
+    burnLimit: decodeResult(tokenMinterInterface, 'burnLimitsPerMessage', burnLimit)
+  };
+};
+
+const pausedErrors = (name, limits, action) => [
+  limits.tokenMessengerPaused && `TokenMessenger on ${name} is paused, so ${action}`,
+  limits.messageTransmitterPaused && `MessageTransmitter on ${name} is paused, so ${action}`,
+  limits.tokenMinterPaused && `TokenMinter on ${name} is paused, so ${action}`
+].filter(Boolean);
+
+// Check both ends of a route. Resolves to { errors, burnLimit, source, destination }; any
+// error means a transfer on this route would revert. `burnLimit` (units) is null when unknown.
+export const checkRoute = async ({ sourceChain, destinationChain, getProvider = getReadProvider }) => {
+  const sourceConfig = CHAIN_CONFIG[sourceChain];
+  const destinationConfig = CHAIN_CONFIG[destinationChain];
+  const [source, destination] = await Promise.all([
+    readChainLimits(sourceChain, destinationConfig.domain, getProvider(sourceChain)),
+    readChainLimits(destinationChain, sourceConfig.domain, getProvider(destinationChain))
+  ]);
+
+  const errors = [
+    ...pausedErrors(sourceConfig.name, source, 'USDC cannot be burned there right now'),
+    ...pausedErrors(destinationConfig.name, destination, 'USDC cannot be minted there right now')
+  ];
+  if (source.remoteTokenMessenger === ZERO_BYTES32) {
+    errors.push(`${sourceConfig.name} does not support transfers to ${destinationConfig.name} (domain ${destinationConfig.domain})`);
+  }
+  if (destination.remoteTokenMessenger === ZERO_BYTES32) {
+    errors.push(`${destinationConfig.name} does not accept transfers from ${sourceConfig.name} (domain ${sourceConfig.domain})`);
+  }
+  // TokenMinter reports a limit of zero for tokens it does not burn
+  if (source.burnLimit === 0n) errors.push(`USDC burns are not enabled on ${sourceConfig.name}`);
+
+  return { errors, burnLimit: source.burnLimit || null, source, destination };
+};
+
+// checkRoute that throws with `error.routeErrors` when the route is blocked; resolves to the
+// burn limit
+export const assertRoute = async (route) => {
+  const { errors, burnLimit } = await checkRoute(route);
+  if (errors.length > 0) throw Object.assign(new Error(errors.join('. ')), { routeErrors: errors });
+  return burnLimit;
+};
+
+// Split a transfer into burns of at most `burnLimit` units, sharing the max fee pro rata.
+// Throws with `error.routeErrors` when the transfer would need more than MAX_SPLIT_PARTS burns.
+export const splitTransfer = ({ amountInUnits, maxFeeInUnits }, burnLimit) => {
+  const amount = BigInt(amountInUnits);
+  const maxFee = BigInt(maxFeeInUnits);
+  if (!burnLimit || amount <= burnLimit) {
+    return [{ amount: toDecimalString(amount), amountInUnits: amount, maxFeeInUnits: maxFee }];
+  }
+
+  const count = (amount + burnLimit - 1n) / burnLimit;
+  if (count > BigInt(MAX_SPLIT_PARTS)) {
+    const message = `Amount exceeds ${MAX_SPLIT_PARTS} times the per-message burn limit of ${formatUnits(burnLimit)} USDC`;
+    throw Object.assign(new Error(message), { routeErrors: [message] });
+  }
+
+  // Spread the units evenly; the first parts take the remainder
+  const base = amount / count;
+  const remainder = amount % count;
+  return Array.from({ length: Number(count) }, (_, index) => {
+    const partAmount = base + (BigInt(index) < remainder ? 1n : 0n);
+    return {
+      amount: toDecimalString(partAmount),
+      amountInUnits: partAmount,
+      maxFeeInUnits: maxFee * partAmount / amount
+    };
+  });
+};
@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_SPLIT_PARTS, assertRoute, checkRoute, splitTransfer } from './preflightChecks';
+import { createMockProvider } from './mockProvider';
+import { decodeParameters, encodeParameters } from './abi';
+import { MULTICALL3_ABI, messageTransmitterInterface, tokenMessengerInterface, tokenMinterInterface } from './contracts';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+
+const ETHEREUM = chainIdByKey('ethereum');
+const BASE = chainIdByKey('base');
+const TOKEN_MINTER = '0x00000000000000000000000000000000000000aa';
+const REMOTE_MESSENGER = '0x' + '28b5a0e9c621a5badaa536219b3a228c8168cf5d'.padStart(64, '0');
+const ZERO_BYTES32 = '0x' + '0'.repeat(64);
+
+const AGGREGATE3 = MULTICALL3_ABI.find(fragment => fragment.name === 'aggregate3');
+const word = (type, value) => encodeParameters([{ type }], [value]);
+
+// Makes a call fail, like `paused` on a contract that is not pausable
+const FAILS = Symbol('fails');
+
+// Read RPC for one chain's CCTP contracts, answering Multicall3 batches
+const chainProvider = (chainId, {
+  messengerPaused = false,
+  transmitterPaused = false,
+  minterPaused = false,
+  burnLimit = 1000000000n,
+  remoteMessenger = REMOTE_MESSENGER
+} = {}) => {
+  const config = CHAIN_CONFIG[chainId];
+  const key = (target, selector) => `${target.toLowerCase()}:${selector}`;
+  const selector = (contractInterface, name, args) => contractInterface.encodeFunctionData(name, args).slice(0, 10);
+  const results = {
+    [key(config.tokenMessenger, selector(tokenMessengerInterface, 'paused'))]: messengerPaused,
+    [key(config.messageTransmitter, selector(messageTransmitterInterface, 'paused'))]: transmitterPaused,
+    [key(config.tokenMessenger, selector(tokenMessengerInterface, 'localMinter'))]: TOKEN_MINTER,
+    [key(config.tokenMessenger, selector(tokenMessengerInterface, 'remoteTokenMessengers', { domain: 0 }))]: remoteMessenger,
+    [key(TOKEN_MINTER, selector(tokenMinterInterface, 'paused'))]: minterPaused,
+    [key(TOKEN_MINTER, selector(tokenMinterInterface, 'burnLimitsPerMessage', { token: config.usdc }))]: burnLimit
+  };
+  const encode = (value) => {
+    if (typeof value === 'boolean') return word('bool', value);
+    if (typeof value === 'bigint') return word('uint256', value);
+    return value.length === 66 ? value : word('address', value);
+  };
+
+  return createMockProvider({
+    handlers: {
+      eth_call: ([{ data }]) => {
+        const [calls] = decodeParameters(AGGREGATE3.inputs, '0x' + data.slice(10));
+        const returnData = calls.map(({ target, callData }) => {
+          const value = results[key(target, callData.slice(0, 10))];
+          return value === FAILS ? { success: false, returnData: '0x' } : { success: true, returnData: encode(value) };
+        });
+        return encodeParameters(AGGREGATE3.outputs, [returnData]);
+      }
+    }
+  });
+};
+
+const route = (source = {}, destination = {}) => ({
+  sourceChain: ETHEREUM,
+  destinationChain: BASE,
+  getProvider: chainId => chainProvider(chainId, chainId === ETHEREUM ? source : destination)
+});
+
+describe('checkRoute', () => {
+  it('passes an open route and reports the source burn limit', async () => {
+    const result = await checkRoute(route());
+    expect(result.errors).toEqual([]);
+    expect(result.burnLimit).toBe(1000000000n);
+    expect(result.source).toMatchObject({ tokenMinter: TOKEN_MINTER, remoteTokenMessenger: REMOTE_MESSENGER });
+  });
+
+  it('blocks a route whose destination MessageTransmitter is paused', async () => {
+    const { errors } = await checkRoute(route({}, { transmitterPaused: true }));
+    expect(errors).toEqual([
+      `MessageTransmitter on ${CHAIN_CONFIG[BASE].name} is paused, so USDC cannot be minted there right now`
+    ]);
+  });
+
+  it('blocks a route to a domain without a registered remote TokenMessenger', async () => {
+    const { errors } = await checkRoute(route({ remoteMessenger: ZERO_BYTES32 }));
+    expect(errors).toEqual([
+      `${CHAIN_CONFIG[ETHEREUM].name} does not support transfers to ${CHAIN_CONFIG[BASE].name} (domain ${CHAIN_CONFIG[BASE].domain})`
+    ]);
+  });
+
+  it('treats values that cannot be read as unknown rather than blocking', async () => {
+    const result = await checkRoute(route({ messengerPaused: FAILS, burnLimit: FAILS }));
+    expect(result.errors).toEqual([]);
+    expect(result.burnLimit).toBeNull();
+    expect(result.source.tokenMessengerPaused).toBeNull();
+  });
+
+  it('blocks chains where USDC burns are disabled', async () => {
+    await expect(assertRoute(route({ burnLimit: 0n }))).rejects.toMatchObject({
+      routeErrors: [`USDC burns are not enabled on ${CHAIN_CONFIG[ETHEREUM].name}`]
+    });
+  });
+});
+
+describe('splitTransfer', () => {
+  const sum = (parts, field) => parts.reduce((total, part) => total + part[field], 0n);
+
+  it('keeps an amount exactly at the burn limit in one part', () => {
+    expect(splitTransfer({ amountInUnits: 1000000n, maxFeeInUnits: 100n }, 1000000n)).toEqual([
+      { amount: '1', amountInUnits: 1000000n, maxFeeInUnits: 100n }
+    ]);
+  });
+
+  it('keeps the amount in one part when the limit is unknown', () => {
+    expect(splitTransfer({ amountInUnits: 5n, maxFeeInUnits: 0n }, null)).toHaveLength(1);
+  });
+
+  it('splits evenly with the remainder on the first parts, summing to the original amount', () => {
+    const parts = splitTransfer({ amountInUnits: 2500001n, maxFeeInUnits: 1000n }, 1000000n);
+
+    expect(parts.map(part => part.amountInUnits)).toEqual([833334n, 833334n, 833333n]);
+    expect(parts.map(part => part.amount)).toEqual(['0.833334', '0.833334', '0.833333']);
+    expect(sum(parts, 'amountInUnits')).toBe(2500001n);
+    expect(parts.every(part => part.amountInUnits <= 1000000n)).toBe(true);
+    expect(sum(parts, 'maxFeeInUnits') <= 1000n).toBe(true);
+  });
+
+  it('splits an amount one unit over the limit into two parts', () => {
+    const parts = splitTransfer({ amountInUnits: 1000001n, maxFeeInUnits: 0n }, 1000000n);
+    expect(parts.map(part => part.amountInUnits)).toEqual([500001n, 500000n]);
+  });
+
+  it(`rejects amounts that need more than ${MAX_SPLIT_PARTS} parts`, () => {
+    expect(() => splitTransfer({ amountInUnits: 10000001n, maxFeeInUnits: 0n }, 1000000n)).toThrow(
+      `Amount exceeds ${MAX_SPLIT_PARTS} times the per-message burn limit`
+    );
+    expect(splitTransfer({ amountInUnits: 10000000n, maxFeeInUnits: 0n }, 1000000n)).toHaveLength(MAX_SPLIT_PARTS);
+  });
+});
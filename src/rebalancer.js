@@ -0,0 +1,84 @@
+import { CHAIN_CONFIG } from './chains';
+import { toDecimalString } from './format';
+
+// Treasury rebalancing: compare per-chain balances with the target distribution
+// and plan the CCTP transfers that bring every chain back within tolerance
+
+// Errors in the distribution rules; rules must be whole percentages summing to 100
+export const validateDistributionRules = (rules) => {
+  const errors = [];
+  let total = 0;
+
+  Object.entries(rules).forEach(([chainId, percentage]) => {
+    if (!CHAIN_CONFIG[chainId]) {
+      errors.push(`Chain ${chainId} is not supported`);
+    } else if (!Number.isInteger(percentage) || percentage < 0 || percentage > 100) {
+      errors.push(`${CHAIN_CONFIG[chainId].name} must be a whole percentage between 0 and 100`);
+    } else {
+      total += percentage;
+    }
+  });
+
+  if (errors.length === 0 && total !== 100) {
+    errors.push(`Distribution rules add up to ${total}%, they must add up to 100%`);
+  }
+  return errors;
+};
+
+// Per-chain balance, target and drift (balance - target), all in USDC smallest units.
+// Chains without a rule have a target of zero.
+export const computeAllocation = (balances, rules) => {
+  const chainIds = [...new Set([...Object.keys(balances), ...Object.keys(rules)])];
+  const total = chainIds.reduce((sum, chainId) => sum + (balances[chainId] || 0n), 0n);
+
+  return chainIds.map((chainId) => {
+    const balance = balances[chainId] || 0n;
+    const target = (total * BigInt(rules[chainId] || 0)) / 100n;
+    return { chainId: Number(chainId), balance, target, drift: balance - target };
+  });
+};
+
+// Greedy plan: repeatedly move funds from the largest surplus to the largest deficit
+// until no chain drifts from its target by more than the tolerance.
+export const computeRebalancePlan = (balances, rules, tolerance) => {
+  const allocation = computeAllocation(balances, rules);
+  const drift = Object.fromEntries(allocation.map(entry => [entry.chainId, entry.drift]));
+  const maxDrift = allocation.reduce((max, entry) => {
+    const abs = entry.drift < 0n ? -entry.drift : entry.drift;
+    return abs > max ? abs : max;
+  }, 0n);
+
+  const transfers = [];
+  if (maxDrift <= tolerance) {
+    return { allocation, maxDrift, needsRebalance: false, transfers };
+  }
+
+  for (;;) {
+    const chainIds = Object.keys(drift);
+    const source = chainIds.reduce((best, chainId) => (drift[chainId] > drift[best] ? chainId : best));
+    const destination = chainIds.reduce((best, chainId) => (drift[chainId] < drift[best] ? chainId : best));
+    const surplus = drift[source];
+    const deficit = -drift[destination];
+
+    if ((surplus <= tolerance && deficit <= tolerance) || surplus <= 0n || deficit <= 0n) break;
+
+    const amount = surplus < deficit ? surplus : deficit;
+    transfers.push({ sourceChain: Number(source), destinationChain: Number(destination), amount });
+    drift[source] -= amount;
+    drift[destination] += amount;
+  }
+
+  return { allocation, maxDrift, needsRebalance: transfers.length > 0, transfers };
+};
+
+// executeTransfer parameters for a planned transfer. `treasury` holds the balances the plan was
+// computed from and receives every mint, so a Safe treasury stays in the Safe.
+export const rebalanceTransferParams = ({ sourceChain, destinationChain, amount }, treasury) => ({
+  sourceChain,
+  destinationChain,
+  amount: toDecimalString(amount),
+  amountInUnits: amount,
+  maxFeeInUnits: 0n,
+  recipient: treasury,
+  fast: false
+});
@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { computeRebalancePlan, rebalanceTransferParams, validateDistributionRules } from './rebalancer';
+import { CHAIN_CONFIG, chainIdByKey } from './chains';
+
+const ETHEREUM = chainIdByKey('ethereum');
+const ARBITRUM = chainIdByKey('arbitrum');
+const BASE = chainIdByKey('base');
+const AVALANCHE = chainIdByKey('avalanche');
+
+const usdc = (amount) => BigInt(amount) * 1000000n;
+
+// Balances after executing a plan's transfers
+const applyPlan = (balances, plan) => {
+  const result = { ...balances };
+  plan.transfers.forEach(({ sourceChain, destinationChain, amount }) => {
+    result[sourceChain] = (result[sourceChain] || 0n) - amount;
+    result[destinationChain] = (result[destinationChain] || 0n) + amount;
+  });
+  return result;
+};
+
+const OWNER = '0x0000000000000000000000000000000000000001';
+const SAFE = '0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2';
+
+describe('validateDistributionRules', () => {
+  it('accepts whole percentages summing to 100', () => {
+    expect(validateDistributionRules({ [ETHEREUM]: 60, [BASE]: 40 })).toEqual([]);
+  });
+
+  it('rejects sums other than 100', () => {
+    expect(validateDistributionRules({ [ETHEREUM]: 60, [BASE]: 30 })).toEqual([
+      'Distribution rules add up to 90%, they must add up to 100%'
+    ]);
+    expect(validateDistributionRules({ [ETHEREUM]: 60, [BASE]: 50 })).toEqual([
+      'Distribution rules add up to 110%, they must add up to 100%'
+    ]);
+  });
+
+  it('rejects unsupported chains and fractional percentages', () => {
+    expect(validateDistributionRules({ 999999: 50, [BASE]: 50.5 })).toEqual([
+      `${CHAIN_CONFIG[BASE].name} must be a whole percentage between 0 and 100`,
+      'Chain 999999 is not supported'
+    ]);
+  });
+});
+
+describe('computeRebalancePlan', () => {
+  const rules = { [ETHEREUM]: 50, [BASE]: 50 };
+
+  it('plans nothing while the drift does not exceed the threshold', () => {
+    const plan = computeRebalancePlan({ [ETHEREUM]: usdc(55), [BASE]: usdc(45) }, rules, usdc(5));
+    expect(plan).toMatchObject({ maxDrift: usdc(5), needsRebalance: false, transfers: [] });
+  });
+
+  it('moves the surplus to the deficit once the threshold is exceeded', () => {
+    const plan = computeRebalancePlan({ [ETHEREUM]: usdc(70), [BASE]: usdc(30) }, rules, usdc(5));
+    expect(plan.needsRebalance).toBe(true);
+    expect(plan.transfers).toEqual([{ sourceChain: ETHEREUM, destinationChain: BASE, amount: usdc(20) }]);
+  });
+
+  it('pairs several donors with several receivers using one transfer per pair', () => {
+    const balances = { [ETHEREUM]: usdc(400), [ARBITRUM]: usdc(300), [BASE]: usdc(200), [AVALANCHE]: usdc(100) };
+    const even = { [ETHEREUM]: 25, [ARBITRUM]: 25, [BASE]: 25, [AVALANCHE]: 25 };
+
+    const plan = computeRebalancePlan(balances, even, 0n);
+
+    expect(plan.transfers).toEqual([
+      { sourceChain: ETHEREUM, destinationChain: AVALANCHE, amount: usdc(150) },
+      { sourceChain: ARBITRUM, destinationChain: BASE, amount: usdc(50) }
+    ]);
+    expect(Object.values(applyPlan(balances, plan))).toEqual(Array(4).fill(usdc(250)));
+  });
+
+  it('brings every chain within the threshold with uneven surpluses', () => {
+    const balances = { [ETHEREUM]: usdc(500), [ARBITRUM]: usdc(100), [BASE]: usdc(230), [AVALANCHE]: usdc(170) };
+    const even = { [ETHEREUM]: 25, [ARBITRUM]: 25, [BASE]: 25, [AVALANCHE]: 25 };
+    const tolerance = usdc(10);
+
+    const plan = computeRebalancePlan(balances, even, tolerance);
+    const after = applyPlan(balances, plan);
+
+    plan.transfers.forEach(transfer => expect(transfer.amount > 0n).toBe(true));
+    Object.values(after).forEach((balance) => {
+      const drift = balance - usdc(250);
+      expect(drift <= tolerance && drift >= -tolerance).toBe(true);
+    });
+    expect(Object.values(after).reduce((sum, balance) => sum + balance, 0n)).toBe(usdc(1000));
+  });
+
+  it('drains chains without a rule and counts them in the total', () => {
+    const plan = computeRebalancePlan({ [ETHEREUM]: usdc(100), [AVALANCHE]: usdc(40) }, { [ETHEREUM]: 100 }, 0n);
+
+    expect(plan.allocation.find(entry => entry.chainId === AVALANCHE)).toMatchObject({ target: 0n, drift: usdc(40) });
+    expect(plan.transfers).toEqual([{ sourceChain: AVALANCHE, destinationChain: ETHEREUM, amount: usdc(40) }]);
+  });
+
+  it('targets chains with a rule but no balance', () => {
+    const plan = computeRebalancePlan({ [ETHEREUM]: usdc(100) }, rules, 0n);
+    expect(plan.transfers).toEqual([{ sourceChain: ETHEREUM, destinationChain: BASE, amount: usdc(50) }]);
+  });
+});
+
+describe('rebalanceTransferParams', () => {
+  const transfer = { sourceChain: chainIdByKey('ethereum'), destinationChain: chainIdByKey('base'), amount: 2500000n };
+
+  it('mints to the Safe whose balances were planned in Safe mode', () => {
+    expect(rebalanceTransferParams(transfer, SAFE)).toMatchObject({
+      sourceChain: transfer.sourceChain,
+      destinationChain: transfer.destinationChain,
+      amount: '2.5',
+      amountInUnits: 2500000n,
+      recipient: SAFE,
+      fast: false
+    });
+  });
+
+  it('mints to the connected account without a Safe', () => {
+    expect(rebalanceTransferParams(transfer, OWNER).recipient).toBe(OWNER);
+  });
+
+  it('keeps every digit of large amounts', () => {
+    expect(rebalanceTransferParams({ ...transfer, amount: 123456789012345678n }, OWNER).amount).toBe('123456789012.345678');
+  });
+});
@@ -0,0 +1,45 @@
+import { CHAIN_CONFIG } from './chains';
+
+// Read-only JSON-RPC providers exposing the same `request` interface as window.ethereum
+
+let nextRequestId = 1;
+
+export const createRpcProvider = (rpcUrl, { fetchImpl = (...args) => fetch(...args) } = {}) => {
+  const request = async ({ method, params = [] }) => {
+    const response = await fetchImpl(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: nextRequestId++, method, params })
+    });
+
+    if (!response.ok) {
+      throw new Error(`RPC request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      const error = new Error(body.error.message);
+      error.code = body.error.code;
+      error.data = body.error.data;
+      throw error;
+    }
+    return body.result;
+  };
+
+  return { request };
+};
+
+// RPC URL for a chain, overridable per chain with VITE_RPC_URL_<chainId>
+export const getRpcUrl = (chainId) => {
+  const env = import.meta.env;
+  return env[`VITE_RPC_URL_${chainId}`] || CHAIN_CONFIG[chainId].rpcUrl;
+};
+
+const providers = {};
+
+export const getReadProvider = (chainId) => {
+  if (!providers[chainId]) {
+    providers[chainId] = createRpcProvider(getRpcUrl(chainId));
+  }
+  return providers[chainId];
+};
@@ -0,0 +1,200 @@
+import { CHAIN_CONFIG } from './chains';
+import { multiSendInterface } from './contracts';
+import { hashTypedData } from './typedData';
+import { toChecksumAddress } from './address';
+import { ZERO_ADDRESS } from './validation';
+import { TX_STATES } from './transactions';
+import { shortenHex } from './format';
+import { createMockSafeService } from './mockSafeService';
+
+// Safe multisig treasury support: approvals and burns are proposed to the Safe Transaction
+// Service as one Safe transaction, owners sign it in the Safe app, and the gateway continues
+// once it has been executed
+
+const env = import.meta.env;
+
+// Overrides every chain's `safeTxService` from the chain registry; `mock` selects the in-memory
+// service from mockSafeService.js
+export const SAFE_TX_SERVICE_URL = env.VITE_SAFE_TX_SERVICE_URL || '';
+
+// MultiSendCallOnly v1.4.1, deployed at the same address on every supported chain
+export const SAFE_MULTISEND_ADDRESS = env.VITE_SAFE_MULTISEND_ADDRESS || '0x9641d764fc13c8B624c04430C7356C1C7C8102e2';
+
+export const SAFE_OPERATIONS = {
+  call: 0,
+  delegateCall: 1
+};
+
+const SAFE_TX_TYPES = {
+  EIP712Domain: [
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' }
+  ],
+  SafeTx: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+    { name: 'operation', type: 'uint8' },
+    { name: 'safeTxGas', type: 'uint256' },
+    { name: 'baseGas', type: 'uint256' },
+    { name: 'gasPrice', type: 'uint256' },
+    { name: 'gasToken', type: 'address' },
+    { name: 'refundReceiver', type: 'address' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const safeError = (state, message, extra) => Object.assign(new Error(message), { state, ...extra });
+
+export const safeServiceUrl = (chainId) => SAFE_TX_SERVICE_URL || CHAIN_CONFIG[chainId].safeTxService || null;
+
+// One mock service per chain, shared by every client so proposals survive between them
+const mockServices = {};
+
+const defaultFetch = (chainId, serviceUrl) => {
+  if (serviceUrl !== 'mock') return (...args) => fetch(...args);
+  mockServices[chainId] ||= createMockSafeService();
+  return mockServices[chainId].fetchImpl;
+};
+
+// MultiSend payload: operation (1 byte), to (20), value (32), data length (32) and data per call
+export const encodeMultiSend = (calls) => '0x' + calls.map(({ to, data, value = 0n }) => {
+  const bytes = data.slice(2);
+  return SAFE_OPERATIONS.call.toString(16).padStart(2, '0') +
+    to.slice(2).toLowerCase() +
+    BigInt(value).toString(16).padStart(64, '0') +
+    (bytes.length / 2).toString(16).padStart(64, '0') +
+    bytes;
+}).join('');
+
+// Safe transaction running `calls` ({ to, data }) in order: a plain call for one, a MultiSend
+// delegatecall for several. Gas is paid by whoever executes it, without refunds.
+export const buildSafeTransaction = (calls, nonce, multiSendAddress = SAFE_MULTISEND_ADDRESS) => {
+  const batch = calls.length > 1;
+  return {
+    to: batch ? multiSendAddress : calls[0].to,
+    value: '0',
+    data: batch ? multiSendInterface.encodeFunctionData('multiSend', { transactions: encodeMultiSend(calls) }) : calls[0].data,
+    operation: batch ? SAFE_OPERATIONS.delegateCall : SAFE_OPERATIONS.call,
+    safeTxGas: '0',
+    baseGas: '0',
+    gasPrice: '0',
+    gasToken: ZERO_ADDRESS,
+    refundReceiver: ZERO_ADDRESS,
+    nonce: nonce.toString()
+  };
+};
+
+// EIP-712 typed data owners sign for a Safe transaction (Safe 1.3.0 and later)
+export const buildSafeTxTypedData = ({ chainId, safe, transaction }) => ({
+  types: SAFE_TX_TYPES,
+  primaryType: 'SafeTx',
+  domain: { chainId: Number(chainId), verifyingContract: safe },
+  message: transaction
+});
+
+// Client for a chain's Safe Transaction Service
+export const createSafeClient = ({
+  chainId,
+  serviceUrl = safeServiceUrl(chainId),
+  fetchImpl = defaultFetch(chainId, serviceUrl),
+  pollInterval = 5000,
+  // Owners may take a while to sign; a payment that times out can be retried to keep waiting
+  timeout = 24 * 60 * 60 * 1000
+}) => {
+  const request = async (path, options = {}) => {
+    if (!serviceUrl) throw new Error(`No Safe Transaction Service is configured for ${CHAIN_CONFIG[chainId].name}`);
+    const response = await fetchImpl(`${serviceUrl}/api/v1${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`Safe Transaction Service request failed with status ${response.status}${detail ? `: ${detail}` : ''}`);
+    }
+    return response.status === 204 || response.status === 201 ? null : response.json();
+  };
+
+  // { address, nonce, threshold, owners, version }
+  const getSafe = async (safe) => {
+    const info = await request(`/safes/${toChecksumAddress(safe)}/`);
+    return { ...info, nonce: Number(info.nonce), threshold: Number(info.threshold) };
+  };
+
+  // Next unused nonce, counting transactions still waiting for signatures
+  const getNextNonce = async (safe) => {
+    const { nonce } = await getSafe(safe);
+    const { results = [] } = await request(
+      `/safes/${toChecksumAddress(safe)}/multisig-transactions/?executed=false&nonce__gte=${nonce}&ordering=-nonce&limit=1`
+    );
+    return results.length > 0 ? Math.max(nonce, Number(results[0].nonce) + 1) : nonce;
+  };
+
+  const getTransaction = (safeTxHash) => request(`/multisig-transactions/${safeTxHash}/`);
+
+  const proposeTransaction = (safe, proposal) => request(`/safes/${toChecksumAddress(safe)}/multisig-transactions/`, {
+    method: 'POST',
+    body: JSON.stringify({ safe: toChecksumAddress(safe), ...proposal })
+  });
+
+  // Poll until the Safe transaction is executed; resolves to the execution transaction hash.
+  // `onUpdate({ confirmations, threshold })` reports the owners who signed so far. Fails with a
+  // TX_STATES `error.state` like the transaction watcher: reverted when execution failed,
+  // replaced when another transaction used its nonce.
+  const waitForExecution = async (safe, safeTxHash, { onUpdate = () => {}, signal } = {}) => {
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      signal?.throwIfAborted();
+      const transaction = await getTransaction(safeTxHash);
+      const confirmations = (transaction.confirmations || []).map(confirmation => confirmation.owner);
+      onUpdate({ confirmations, threshold: Number(transaction.confirmationsRequired) });
+
+      if (transaction.isExecuted) {
+        if (transaction.isSuccessful === false) {
+          throw safeError(TX_STATES.reverted, `Safe transaction ${shortenHex(safeTxHash)} failed when executed`, {
+            hash: transaction.transactionHash
+          });
+        }
+        return transaction.transactionHash;
+      }
+
+      const { nonce } = await getSafe(safe);
+      if (nonce > Number(transaction.nonce)) {
+        throw safeError(TX_STATES.replaced, `Safe transaction ${shortenHex(safeTxHash)} was replaced by another transaction with nonce ${transaction.nonce}`, {
+          hash: null
+        });
+      }
+
+      await sleep(pollInterval);
+    }
+
+    throw safeError(TX_STATES.timeout, `Safe transaction ${shortenHex(safeTxHash)} was not executed in time`, { hash: null });
+  };
+
+  return { getSafe, getNextNonce, getTransaction, proposeTransaction, waitForExecution };
+};
+
+// Build a Safe transaction for `calls`, sign it with `sender` (an owner) through the wallet and
+// propose it to the service. Resolves to its safeTxHash.
+export const proposeSafeTransaction = async ({ client, provider, chainId, safe, sender, calls }) => {
+  const transaction = buildSafeTransaction(calls, await client.getNextNonce(safe));
+  const typedData = buildSafeTxTypedData({ chainId, safe, transaction });
+  const safeTxHash = hashTypedData(typedData);
+
+  const signature = await provider.request({
+    method: 'eth_signTypedData_v4',
+    params: [sender, JSON.stringify(typedData)]
+  });
+
+  await client.proposeTransaction(safe, {
+    ...transaction,
+    contractTransactionHash: safeTxHash,
+    sender: toChecksumAddress(sender),
+    signature,
+    origin: 'CCTP V2 Payment Gateway'
+  });
+  return safeTxHash;
+};
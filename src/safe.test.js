@@ -0,0 +1,138 @@
+import { describe, expect, it } from 'vitest';
+import {
+  SAFE_MULTISEND_ADDRESS,
+  SAFE_OPERATIONS,
+  buildSafeTransaction,
+  buildSafeTxTypedData,
+  createSafeClient,
+  encodeMultiSend,
+  proposeSafeTransaction
+} from './safe';
+import { createMockSafeService } from './mockSafeService';
+import { createMockProvider } from './mockProvider';
+import { hashTypedData } from './typedData';
+import { multiSendInterface } from './contracts';
+import { TX_STATES } from './transactions';
+import { chainIdByKey } from './chains';
+
+const OWNER = '0x0000000000000000000000000000000000000001';
+const SAFE = '0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2';
+const CHAIN_ID = chainIdByKey('ethereum');
+const TOKEN = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const MESSENGER = '0x28b5a0e9c621a5badaa536219b3a228c8168cf5d';
+
+const calls = [
+  { to: TOKEN, data: '0x095ea7b3' + '00'.repeat(64) },
+  { to: MESSENGER, data: '0x8e0250ee' }
+];
+
+const createClient = (service = createMockSafeService(), options = {}) => ({
+  service,
+  client: createSafeClient({ chainId: CHAIN_ID, serviceUrl: 'https://safe.test', fetchImpl: service.fetchImpl, pollInterval: 1, ...options })
+});
+
+const propose = (client) => proposeSafeTransaction({
+  client,
+  provider: createMockProvider({ accounts: [OWNER] }),
+  chainId: CHAIN_ID,
+  safe: SAFE,
+  sender: OWNER,
+  calls
+});
+
+describe('encodeMultiSend', () => {
+  it('packs operation, target, value, data length and data for each call', () => {
+    expect(encodeMultiSend(calls)).toBe('0x' +
+      '00' + TOKEN.slice(2) + '0'.repeat(64) + (68).toString(16).padStart(64, '0') + calls[0].data.slice(2) +
+      '00' + MESSENGER.slice(2) + '0'.repeat(64) + (4).toString(16).padStart(64, '0') + '8e0250ee');
+  });
+
+  it('lowercases targets and encodes values', () => {
+    const call = encodeMultiSend([{ to: SAFE, data: '0x', value: 5n }]).slice(2);
+    expect(call.slice(2, 42)).toBe(SAFE.slice(2).toLowerCase());
+    expect(call.slice(42, 106)).toBe('5'.padStart(64, '0'));
+    expect(call.slice(106)).toBe('0'.repeat(64));
+  });
+});
+
+describe('buildSafeTransaction', () => {
+  it('delegatecalls MultiSend for several calls', () => {
+    const transaction = buildSafeTransaction(calls, 7);
+    expect(transaction).toMatchObject({ to: SAFE_MULTISEND_ADDRESS, operation: SAFE_OPERATIONS.delegateCall, nonce: '7' });
+    expect(transaction.data).toBe(multiSendInterface.encodeFunctionData('multiSend', { transactions: encodeMultiSend(calls) }));
+  });
+
+  it('calls a single target directly', () => {
+    expect(buildSafeTransaction(calls.slice(1), 0)).toMatchObject({
+      to: MESSENGER,
+      data: calls[1].data,
+      operation: SAFE_OPERATIONS.call,
+      nonce: '0'
+    });
+  });
+});
+
+describe('proposeSafeTransaction', () => {
+  it('signs the SafeTx typed data and proposes it under its hash', async () => {
+    const { client } = createClient();
+    const safeTxHash = await propose(client);
+
+    const proposed = await client.getTransaction(safeTxHash);
+    const transaction = buildSafeTransaction(calls, 0);
+    expect(safeTxHash).toBe(hashTypedData(buildSafeTxTypedData({ chainId: CHAIN_ID, safe: SAFE, transaction })));
+    expect(proposed).toMatchObject({ ...transaction, safe: SAFE, sender: OWNER });
+  });
+
+  it('uses the next nonce after transactions still waiting for signatures', async () => {
+    const { client } = createClient();
+    await propose(client);
+    expect(await client.getNextNonce(SAFE)).toBe(1);
+  });
+
+  it('fails when the sender is not an owner', async () => {
+    const { client } = createClient(createMockSafeService({ owners: ['0x0000000000000000000000000000000000000002'] }));
+    await expect(propose(client)).rejects.toThrow('status 422');
+  });
+});
+
+describe('waitForExecution', () => {
+  it('reports confirmations until the transaction is executed', async () => {
+    const { client } = createClient();
+    const safeTxHash = await propose(client);
+    const updates = [];
+
+    const txHash = await client.waitForExecution(SAFE, safeTxHash, {
+      onUpdate: ({ confirmations, threshold }) => updates.push(`${confirmations.length}/${threshold}`)
+    });
+
+    expect(txHash).toBe('0x5afe' + '1'.padStart(60, '0'));
+    expect(updates).toEqual(['2/2', '2/2']);
+    expect((await client.getSafe(SAFE)).nonce).toBe(1);
+  });
+
+  it('fails as reverted when execution failed', async () => {
+    const { client, service } = createClient();
+    const safeTxHash = await propose(client);
+    service.confirm(safeTxHash);
+    service.execute(safeTxHash, { successful: false });
+
+    await expect(client.waitForExecution(SAFE, safeTxHash)).rejects.toMatchObject({ state: TX_STATES.reverted });
+  });
+
+  it('fails as replaced when another transaction used its nonce', async () => {
+    const { client, service } = createClient(createMockSafeService({ threshold: 3 }));
+    const first = await propose(client);
+    const other = '0x' + 'ee'.repeat(32);
+    await client.proposeTransaction(SAFE, { ...buildSafeTransaction(calls, 0), contractTransactionHash: other, sender: OWNER, signature: '0x' });
+    service.execute(other);
+
+    await expect(client.waitForExecution(SAFE, first)).rejects.toMatchObject({ state: TX_STATES.replaced });
+  });
+
+  it('times out while owners have not signed', async () => {
+    const { client } = createClient(createMockSafeService({ threshold: 3 }), { timeout: 0 });
+    const safeTxHash = await propose(client);
+
+    await expect(client.waitForExecution(SAFE, safeTxHash)).rejects.toMatchObject({ state: TX_STATES.timeout });
+  });
+});
@@ -0,0 +1,180 @@
+import { decodeParameters } from './abi';
+import { shortenHex } from './format';
+
+// Transaction watcher: polls for a receipt with backoff until the transaction has enough
+// confirmations, and fails with a distinct `error.state` when it reverts, is replaced or
+// dropped, or is not confirmed in time.
+
+export const TX_STATES = {
+  pending: 'pending',
+  confirming: 'confirming',
+  confirmed: 'confirmed',
+  // Sped up in the wallet: same call at a higher fee, watching continues on the new hash
+  repriced: 'repriced',
+  reverted: 'reverted',
+  // Cancelled, or replaced by a different transaction with the same nonce
+  replaced: 'replaced',
+  dropped: 'dropped',
+  timeout: 'timeout'
+};
+
+// The transaction had no effect, so sending it again is safe
+export const VOID_TX_STATES = [TX_STATES.reverted, TX_STATES.replaced, TX_STATES.dropped];
+
+export const DEFAULT_WATCH_OPTIONS = {
+  confirmations: 1,
+  pollInterval: 2000,
+  maxPollInterval: 15000,
+  backoff: 1.5,
+  timeout: 10 * 60 * 1000,
+  // How far back to look for the transaction that took over the nonce
+  maxScanBlocks: 100
+};
+
+const ERROR_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const txError = (state, message, extra) => Object.assign(new Error(message), { state, ...extra });
+
+// Revert data from a failed eth_call; wallets and RPC nodes nest it differently
+export const revertData = (error) => {
+  const candidates = [error?.data, error?.data?.data, error?.data?.originalError?.data, error?.error?.data];
+  return candidates.find(data => typeof data === 'string' && data.startsWith('0x')) || null;
+};
+
+// Human-readable reason for Error(string) and Panic(uint256) reverts
+export const decodeRevertReason = (data) => {
+  if (!data || data === '0x') return null;
+  try {
+    if (data.startsWith(ERROR_SELECTOR)) return decodeParameters([{ type: 'string' }], '0x' + data.slice(10))[0];
+    if (data.startsWith(PANIC_SELECTOR)) {
+      return `Panic 0x${decodeParameters([{ type: 'uint256' }], '0x' + data.slice(10))[0].toString(16)}`;
+    }
+  } catch (error) {
+    console.error('Error decoding revert data:', error);
+  }
+  return `Custom error ${data.slice(0, 10)}`;
+};
+
+// Replay a reverted transaction with eth_call in its block to recover the revert reason
+const fetchRevertReason = async (request, hash, receipt) => {
+  try {
+    const tx = await request('eth_getTransactionByHash', [hash]);
+    if (!tx) return null;
+    await request('eth_call', [{ from: tx.from, to: tx.to, data: tx.input, value: tx.value }, receipt.blockNumber]);
+    // The call succeeded when replayed, typically because the transaction ran out of gas
+    return 'out of gas';
+  } catch (error) {
+    return decodeRevertReason(revertData(error));
+  }
+};
+
+const sameCall = (a, b) =>
+  a.to?.toLowerCase() === b.to?.toLowerCase() && a.input === b.input && BigInt(a.value) === BigInt(b.value);
+
+const isCancellation = (original, replacement) =>
+  replacement.to?.toLowerCase() === original.from.toLowerCase() && replacement.input === '0x';
+
+// Look through recent blocks for the mined transaction that used `tx`'s nonce
+const findReplacement = async (request, tx, maxScanBlocks) => {
+  const latest = Number(await request('eth_blockNumber', []));
+  for (let block = latest; block > latest - maxScanBlocks && block >= 0; block--) {
+    const { transactions = [] } = (await request('eth_getBlockByNumber', ['0x' + block.toString(16), true])) || {};
+    const match = transactions.find(candidate => (
+      candidate.from.toLowerCase() === tx.from.toLowerCase() && BigInt(candidate.nonce) === BigInt(tx.nonce)
+    ));
+    if (match) return match;
+  }
+  return null;
+};
+
+// Wait for `txHash` to be mined and confirmed. `onUpdate({ state, hash, confirmations })`
+// reports progress; resolves to the receipt, whose transactionHash differs from `txHash` when
+// the transaction was sped up. Aborting `signal` stops watching, not the transaction.
+export const watchTransaction = async (txHash, {
+  provider = window.ethereum,
+  onUpdate = () => {},
+  signal,
+  ...overrides
+} = {}) => {
+  const { confirmations, pollInterval, maxPollInterval, backoff, timeout, maxScanBlocks } = {
+    ...DEFAULT_WATCH_OPTIONS,
+    ...overrides
+  };
+  const request = (method, params) => provider.request({ method, params });
+  // Lookups some wallets do not support only disable replacement detection
+  const optionalRequest = (method, params) => request(method, params).catch(() => null);
+  const deadline = Date.now() + timeout;
+
+  let hash = txHash;
+  let interval = pollInterval;
+  // The transaction as last seen by the node, kept so a replacement can be matched by nonce
+  let tx = await optionalRequest('eth_getTransactionByHash', [hash]);
+
+  onUpdate({ state: TX_STATES.pending, hash });
+
+  while (Date.now() < deadline) {
+    await sleep(interval);
+    signal?.throwIfAborted();
+    interval = Math.min(interval * backoff, maxPollInterval);
+
+    const receipt = await request('eth_getTransactionReceipt', [hash]);
+    if (receipt) {
+      if (Number(receipt.status) === 0) {
+        const reason = await fetchRevertReason(request, hash, receipt);
+        throw txError(TX_STATES.reverted, `Transaction ${shortenHex(hash)} reverted${reason ? `: ${reason}` : ''}`, {
+          hash,
+          receipt,
+          reason
+        });
+      }
+
+      if (confirmations > 1) {
+        const latest = Number(await request('eth_blockNumber', []));
+        const count = latest - Number(receipt.blockNumber) + 1;
+        if (count < confirmations) {
+          onUpdate({ state: TX_STATES.confirming, hash, confirmations: count });
+          continue;
+        }
+      }
+
+      onUpdate({ state: TX_STATES.confirmed, hash, confirmations });
+      return receipt;
+    }
+
+    const current = await optionalRequest('eth_getTransactionByHash', [hash]);
+    if (current) {
+      tx = current;
+      continue;
+    }
+
+    // The node no longer knows the transaction. Unless its nonce has been used it may still
+    // be propagating, so keep waiting until the timeout.
+    if (!tx) continue;
+    const nonce = await optionalRequest('eth_getTransactionCount', [tx.from, 'latest']);
+    if (nonce === null || BigInt(nonce) <= BigInt(tx.nonce)) continue;
+
+    const replacement = await findReplacement(request, tx, maxScanBlocks).catch(() => null);
+    if (!replacement) {
+      throw txError(TX_STATES.dropped, `Transaction ${shortenHex(hash)} was dropped and its nonce was used by another transaction`, { hash });
+    }
+    if (sameCall(tx, replacement)) {
+      onUpdate({ state: TX_STATES.repriced, hash: replacement.hash, replacedHash: hash });
+      hash = replacement.hash;
+      tx = replacement;
+      interval = pollInterval;
+      continue;
+    }
+    throw txError(
+      TX_STATES.replaced,
+      isCancellation(tx, replacement)
+        ? `Transaction ${shortenHex(hash)} was cancelled in the wallet`
+        : `Transaction ${shortenHex(hash)} was replaced by ${shortenHex(replacement.hash)}`,
+      { hash, replacement }
+    );
+  }
+
+  throw txError(TX_STATES.timeout, `Transaction ${shortenHex(hash)} was not confirmed within ${Math.round(timeout / 60000)} minutes`, { hash });
+};
@@ -0,0 +1,152 @@
+import { describe, expect, it } from 'vitest';
+import { TX_STATES, decodeRevertReason, watchTransaction } from './transactions';
+import { createMockProvider } from './mockProvider';
+import { encodeParameters } from './abi';
+
+const FROM = '0x0000000000000000000000000000000000000001';
+const TOKEN = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const ORIGINAL_HASH = '0x' + '11'.repeat(32);
+const REPLACEMENT_HASH = '0x' + '22'.repeat(32);
+
+const original = { hash: ORIGINAL_HASH, from: FROM, to: TOKEN, nonce: '0x5', input: '0x095ea7b3', value: '0x0' };
+
+const watchOptions = { pollInterval: 1, maxPollInterval: 1, timeout: 1000 };
+
+const errorData = (reason) => '0x08c379a0' + encodeParameters([{ type: 'string' }], [reason]).slice(2);
+
+// Node that knows `original` until the first receipt poll, then has mined `replacement` (if any)
+// in block 0x10 and moved the sender's nonce to `nonce`
+const replacedChain = ({ replacement = null, nonce = '0x6', receipts = {} } = {}) => {
+  let polled = false;
+  return createMockProvider({
+    accounts: [FROM],
+    handlers: {
+      eth_getTransactionReceipt: ([hash]) => {
+        polled = true;
+        return receipts[hash] || null;
+      },
+      eth_getTransactionByHash: ([hash]) => {
+        if (hash === ORIGINAL_HASH) return polled ? null : original;
+        return hash === replacement?.hash ? replacement : null;
+      },
+      eth_getTransactionCount: () => nonce,
+      eth_blockNumber: () => '0x10',
+      eth_getBlockByNumber: ([block]) => ({ transactions: block === '0x10' && replacement ? [replacement] : [] })
+    }
+  });
+};
+
+const watch = (provider, options = {}) => {
+  const states = [];
+  const promise = watchTransaction(ORIGINAL_HASH, {
+    ...watchOptions,
+    provider,
+    onUpdate: ({ state }) => states.push(state),
+    ...options
+  });
+  return { states, promise };
+};
+
+describe('watchTransaction', () => {
+  it('resolves with the receipt once it has enough confirmations', async () => {
+    let block = 0x10;
+    const provider = createMockProvider({
+      handlers: {
+        eth_getTransactionReceipt: ([hash]) => ({ transactionHash: hash, blockNumber: '0x10', status: '0x1' }),
+        eth_blockNumber: () => '0x' + (block++).toString(16)
+      }
+    });
+    const { states, promise } = watch(provider, { confirmations: 3 });
+
+    expect(await promise).toMatchObject({ transactionHash: ORIGINAL_HASH });
+    expect(states).toEqual([TX_STATES.pending, TX_STATES.confirming, TX_STATES.confirming, TX_STATES.confirmed]);
+  });
+
+  describe('revert', () => {
+    const revertedChain = (call) => createMockProvider({
+      handlers: {
+        eth_getTransactionReceipt: ([hash]) => ({ transactionHash: hash, blockNumber: '0x10', status: '0x0' }),
+        eth_getTransactionByHash: () => original,
+        eth_call: call
+      }
+    });
+
+    it('replays the call in its block to recover the revert reason', async () => {
+      const calls = [];
+      const provider = revertedChain((params) => {
+        calls.push(params);
+        throw Object.assign(new Error('execution reverted'), { data: errorData('ERC20: transfer amount exceeds allowance') });
+      });
+
+      await expect(watch(provider).promise).rejects.toMatchObject({
+        state: TX_STATES.reverted,
+        reason: 'ERC20: transfer amount exceeds allowance',
+        message: `Transaction ${ORIGINAL_HASH.slice(0, 6)}...${ORIGINAL_HASH.slice(-4)} reverted: ERC20: transfer amount exceeds allowance`
+      });
+      expect(calls).toEqual([[{ from: FROM, to: TOKEN, data: original.input, value: original.value }, '0x10']]);
+    });
+
+    it('reads revert data nested by wallets', async () => {
+      const provider = revertedChain(() => {
+        throw Object.assign(new Error('Internal error'), { data: { originalError: { data: errorData('Paused') } } });
+      });
+      await expect(watch(provider).promise).rejects.toMatchObject({ state: TX_STATES.reverted, reason: 'Paused' });
+    });
+
+    it('reports out of gas when the replay succeeds', async () => {
+      const provider = revertedChain(() => '0x');
+      await expect(watch(provider).promise).rejects.toMatchObject({ state: TX_STATES.reverted, reason: 'out of gas' });
+    });
+  });
+
+  it('follows a sped-up transaction with the same nonce and calldata', async () => {
+    const replacement = { ...original, hash: REPLACEMENT_HASH, gasPrice: '0x2' };
+    const receipt = { transactionHash: REPLACEMENT_HASH, blockNumber: '0x10', status: '0x1' };
+    const provider = replacedChain({ replacement, receipts: { [REPLACEMENT_HASH]: receipt } });
+    const updates = [];
+
+    const result = await watchTransaction(ORIGINAL_HASH, { ...watchOptions, provider, onUpdate: update => updates.push(update) });
+
+    expect(result).toBe(receipt);
+    expect(updates.map(update => update.state)).toEqual([TX_STATES.pending, TX_STATES.repriced, TX_STATES.confirmed]);
+    expect(updates[1]).toMatchObject({ hash: REPLACEMENT_HASH, replacedHash: ORIGINAL_HASH });
+  });
+
+  it('reports a cancellation as replaced', async () => {
+    const replacement = { ...original, hash: REPLACEMENT_HASH, to: FROM, input: '0x' };
+    const { promise } = watch(replacedChain({ replacement }));
+
+    await expect(promise).rejects.toMatchObject({
+      state: TX_STATES.replaced,
+      message: `Transaction ${ORIGINAL_HASH.slice(0, 6)}...${ORIGINAL_HASH.slice(-4)} was cancelled in the wallet`,
+      replacement
+    });
+  });
+
+  it('reports a different transaction with the same nonce as replaced', async () => {
+    const replacement = { ...original, hash: REPLACEMENT_HASH, input: '0xa9059cbb' };
+    await expect(watch(replacedChain({ replacement })).promise).rejects.toMatchObject({
+      state: TX_STATES.replaced,
+      hash: ORIGINAL_HASH
+    });
+  });
+
+  it('reports a transaction whose nonce was used without a replacement in recent blocks as dropped', async () => {
+    await expect(watch(replacedChain()).promise).rejects.toMatchObject({ state: TX_STATES.dropped, hash: ORIGINAL_HASH });
+  });
+
+  it('keeps waiting for a transaction that vanished while its nonce is unused', async () => {
+    const { states, promise } = watch(replacedChain({ nonce: '0x5' }), { timeout: 20 });
+    await expect(promise).rejects.toMatchObject({ state: TX_STATES.timeout });
+    expect(states).toEqual([TX_STATES.pending]);
+  });
+});
+
+describe('decodeRevertReason', () => {
+  it('decodes Error(string), Panic(uint256) and custom errors', () => {
+    expect(decodeRevertReason(errorData('Nope'))).toBe('Nope');
+    expect(decodeRevertReason('0x4e487b71' + '11'.padStart(64, '0'))).toBe('Panic 0x11');
+    expect(decodeRevertReason('0xdeadbeef')).toBe('Custom error 0xdeadbeef');
+    expect(decodeRevertReason('0x')).toBeNull();
+  });
+});
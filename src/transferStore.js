@@ -0,0 +1,74 @@
+import { IS_TESTNET } from './chains';
+
+// Persistent record of every payment, so in-flight transfers survive a page reload
+
+// Testnet transfers are kept apart from mainnet history
+const STORAGE_KEY = IS_TESTNET ? 'cctp-gateway:testnet:transfers' : 'cctp-gateway:transfers';
+
+export const TRANSFER_STATUS = {
+  burning: 'burning',
+  awaitingAttestation: 'awaiting_attestation',
+  minting: 'minting',
+  completed: 'completed',
+  failed: 'failed'
+};
+
+// A transfer can be resumed once its burn was submitted (sent as a call bundle or proposed to a
+// Safe) and until its mint has completed, unless the burn reverted, was replaced or was dropped
+// (`burnVoided`)
+export const isResumable = (transfer) =>
+  Boolean(transfer.burnTxHash || transfer.callsId || transfer.safeTxHash) && !transfer.burnVoided && transfer.status !== TRANSFER_STATUS.completed;
+
+export const createTransferStore = ({ storage = window.localStorage, key = STORAGE_KEY } = {}) => {
+  const listeners = new Set();
+
+  const read = () => {
+    try {
+      return JSON.parse(storage.getItem(key)) || [];
+    } catch (error) {
+      console.error('Error reading transfer history:', error);
+      return [];
+    }
+  };
+
+  const write = (transfers) => {
+    storage.setItem(key, JSON.stringify(transfers));
+    listeners.forEach(listener => listener(transfers));
+  };
+
+  // Most recent transfers first
+  const list = () => read().sort((a, b) => b.createdAt - a.createdAt);
+
+  const get = (id) => read().find(transfer => transfer.id === id) || null;
+
+  const create = (fields) => {
+    const now = Date.now();
+    const transfer = {
+      id: `${now}-${Math.random().toString(16).slice(2, 10)}`,
+      createdAt: now,
+      updatedAt: now,
+      ...fields
+    };
+    write([...read(), transfer]);
+    return transfer;
+  };
+
+  const update = (id, changes) => {
+    let updated = null;
+    write(read().map((transfer) => {
+      if (transfer.id !== id) return transfer;
+      updated = { ...transfer, ...changes, updatedAt: Date.now() };
+      return updated;
+    }));
+    return updated;
+  };
+
+  const remove = (id) => write(read().filter(transfer => transfer.id !== id));
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { list, get, create, update, remove, subscribe };
+};
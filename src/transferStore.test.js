@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { TRANSFER_STATUS, createTransferStore, isResumable } from './transferStore';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+};
+
+describe('isResumable', () => {
+  const burned = { burnTxHash: '0x' + '1'.repeat(64), status: TRANSFER_STATUS.awaitingAttestation };
+
+  it('resumes transfers whose burn was submitted', () => {
+    expect(isResumable(burned)).toBe(true);
+    expect(isResumable({ ...burned, status: TRANSFER_STATUS.failed })).toBe(true);
+  });
+
+  it('resumes Safe transfers that are still waiting for their owners', () => {
+    expect(isResumable({ burnTxHash: null, safeTxHash: '0x' + '2'.repeat(64), status: TRANSFER_STATUS.failed })).toBe(true);
+  });
+
+  it('resumes call bundles that have no burn hash yet', () => {
+    expect(isResumable({ burnTxHash: null, callsId: '0xbundle', status: TRANSFER_STATUS.failed })).toBe(true);
+  });
+
+  it('does not resume completed transfers or burns that were never submitted', () => {
+    expect(isResumable({ ...burned, status: TRANSFER_STATUS.completed })).toBe(false);
+    expect(isResumable({ ...burned, burnTxHash: null })).toBe(false);
+  });
+
+  // Their burn hash stays for reference, but Iris will never attest it
+  it('does not resume burns that reverted, were replaced or were dropped', () => {
+    expect(isResumable({ ...burned, status: TRANSFER_STATUS.failed, burnVoided: true })).toBe(false);
+  });
+});
+
+describe('createTransferStore', () => {
+  it('creates, updates and lists transfers newest first', () => {
+    const store = createTransferStore({ storage: memoryStorage(), key: 'test' });
+    const first = store.create({ status: TRANSFER_STATUS.burning, createdAt: 1 });
+    const second = store.create({ status: TRANSFER_STATUS.burning, createdAt: 2 });
+
+    store.update(first.id, { status: TRANSFER_STATUS.failed });
+
+    expect(store.list().map(transfer => transfer.id)).toEqual([second.id, first.id]);
+    expect(store.get(first.id).status).toBe(TRANSFER_STATUS.failed);
+  });
+
+  it('notifies subscribers of changes', () => {
+    const store = createTransferStore({ storage: memoryStorage(), key: 'test' });
+    const seen = [];
+    const unsubscribe = store.subscribe(transfers => seen.push(transfers.length));
+
+    store.create({ status: TRANSFER_STATUS.burning });
+    unsubscribe();
+    store.create({ status: TRANSFER_STATUS.burning });
+
+    expect(seen).toEqual([1]);
+  });
+});
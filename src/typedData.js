@@ -0,0 +1,72 @@
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { bytesToHex, encodeParameters, id, keccak256 } from './abi';
+
+// EIP-712 typed data hashing and signer recovery, for signatures made with eth_signTypedData_v4
+
+const parseArrayType = (type) => {
+  const match = type.match(/^(.*)\[(\d*)\]$/);
+  return match ? match[1] : null;
+};
+
+// Struct types referenced (directly or through arrays) by `primaryType`, including itself
+const findDependencies = (primaryType, types, found = new Set()) => {
+  const baseType = primaryType.replace(/\[\d*\]/g, '');
+  if (found.has(baseType) || !types[baseType]) return found;
+  found.add(baseType);
+  types[baseType].forEach(field => findDependencies(field.type, types, found));
+  return found;
+};
+
+// e.g. 'Mail(Person from,Person to,string contents)Person(string name,address wallet)'
+export const encodeType = (primaryType, types) => {
+  const [primary, ...dependencies] = [...findDependencies(primaryType, types)];
+  return [primary, ...dependencies.sort()]
+    .map(name => `${name}(${types[name].map(field => `${field.type} ${field.name}`).join(',')})`)
+    .join('');
+};
+
+export const typeHash = (primaryType, types) => id(encodeType(primaryType, types));
+
+// 32-byte encoding of a single member value
+const encodeField = (type, value, types) => {
+  if (types[type]) return hashStruct(type, value, types);
+
+  const elementType = parseArrayType(type);
+  if (elementType) {
+    return keccak256('0x' + value.map(item => encodeField(elementType, item, types).slice(2)).join(''));
+  }
+
+  if (type === 'string') return id(value);
+  if (type === 'bytes') return keccak256(value);
+  return encodeParameters([{ type }], [value]);
+};
+
+export const hashStruct = (primaryType, data, types) => keccak256(
+  '0x' + [
+    typeHash(primaryType, types),
+    ...types[primaryType].map(field => encodeField(field.type, data[field.name], types))
+  ].map(word => word.slice(2)).join('')
+);
+
+// Digest that eth_signTypedData_v4 signs: keccak256(0x1901 ‖ domainSeparator ‖ hashStruct(message))
+export const hashTypedData = ({ types, primaryType, domain, message }) => keccak256(
+  '0x1901' +
+  hashStruct('EIP712Domain', domain, types).slice(2) +
+  hashStruct(primaryType, message, types).slice(2)
+);
+
+// Address that produced a 65-byte signature over typed data
+export const recoverTypedDataSigner = (typedData, signature) => {
+  const hex = signature.startsWith('0x') ? signature.slice(2) : signature;
+  if (hex.length !== 130) throw new Error('Signature must be 65 bytes');
+
+  let v = parseInt(hex.slice(128, 130), 16);
+  if (v >= 27) v -= 27;
+
+  const publicKey = new secp256k1.Signature(BigInt('0x' + hex.slice(0, 64)), BigInt('0x' + hex.slice(64, 128)))
+    .addRecoveryBit(v)
+    .recoverPublicKey(hashTypedData(typedData).slice(2))
+    .toRawBytes(false);
+
+  return '0x' + keccak256(bytesToHex(publicKey.slice(1))).slice(-40);
+};
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { encodeType, hashStruct, hashTypedData, recoverTypedDataSigner } from './typedData';
+
+// The Mail example from the EIP-712 specification, signed with keccak256('cow')
+const MAIL = {
+  types: {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' }
+    ],
+    Person: [
+      { name: 'name', type: 'string' },
+      { name: 'wallet', type: 'address' }
+    ],
+    Mail: [
+      { name: 'from', type: 'Person' },
+      { name: 'to', type: 'Person' },
+      { name: 'contents', type: 'string' }
+    ]
+  },
+  primaryType: 'Mail',
+  domain: {
+    name: 'Ether Mail',
+    version: '1',
+    chainId: 1,
+    verifyingContract: '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC'
+  },
+  message: {
+    from: { name: 'Cow', wallet: '0xCD2a3d9F938E13CD947Ec05AbC7FE734Df8DD826' },
+    to: { name: 'Bob', wallet: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB' },
+    contents: 'Hello, Bob!'
+  }
+};
+
+const MAIL_SIGNATURE = '0x' +
+  '4355c47d63924e8a72e509b65029052eb6c299d53a04e167c5775fd466751c9d' +
+  '07299936d304c153f6443dfa05f40ff007d72911b6f72307f996231605b91562' +
+  '1c';
+
+describe('EIP-712 hashing', () => {
+  it('encodes referenced struct types after the primary type', () => {
+    expect(encodeType('Mail', MAIL.types)).toBe('Mail(Person from,Person to,string contents)Person(string name,address wallet)');
+  });
+
+  it('matches the specification vectors', () => {
+    expect(hashStruct('EIP712Domain', MAIL.domain, MAIL.types))
+      .toBe('0xf2cee375fa42b42143804025fc449deafd50cc031ca257e0b194a650a912090f');
+    expect(hashStruct('Mail', MAIL.message, MAIL.types))
+      .toBe('0xc52c0ee5d84264471806290a3f2c4cecfc5490626bf912d01f240d7a274b371e');
+    expect(hashTypedData(MAIL)).toBe('0xbe609aee343fb3c4b28e1df9e632fca64fcfaede20f02e86244efddf30957bd2');
+  });
+});
+
+describe('recoverTypedDataSigner', () => {
+  it('recovers the signer of the specification example', () => {
+    expect(recoverTypedDataSigner(MAIL, MAIL_SIGNATURE)).toBe('0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826');
+  });
+
+  it('accepts recovery ids 0 and 1 as well as 27 and 28', () => {
+    expect(recoverTypedDataSigner(MAIL, MAIL_SIGNATURE.slice(0, -2) + '01')).toBe('0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826');
+  });
+
+  it('recovers a different address when the message changes', () => {
+    const tampered = { ...MAIL, message: { ...MAIL.message, contents: 'Hello, Eve!' } };
+    expect(recoverTypedDataSigner(tampered, MAIL_SIGNATURE)).not.toBe('0xcd2a3d9f938e13cd947ec05abc7fe734df8dd826');
+  });
+
+  it('rejects signatures that are not 65 bytes', () => {
+    expect(() => recoverTypedDataSigner(MAIL, '0x1234')).toThrow('Signature must be 65 bytes');
+  });
+});
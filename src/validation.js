@@ -0,0 +1,45 @@
+import { isAddress, isChecksumAddress } from './address';
+import { parseUnits, toDecimalString } from './format';
+import { getReadProvider } from './rpc';
+
+// Validation for user-entered recipients and amounts. Validators return an error message,
+// or null when the value is usable.
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Mixed-case addresses must match their EIP-55 checksum; all-lowercase or all-uppercase
+// addresses carry no checksum and are accepted as typed
+export const validateRecipient = (value) => {
+  const address = value.trim();
+  if (!address) return 'Enter a recipient address';
+  if (!isAddress(address)) return 'Enter a valid address: 0x followed by 40 hex characters';
+  if (address.toLowerCase() === ZERO_ADDRESS) return 'The zero address cannot receive payments';
+
+  const hex = address.slice(2);
+  const hasChecksum = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+  if (hasChecksum && !isChecksumAddress(address)) return 'Address checksum does not match. Check it for typos.';
+  return null;
+};
+
+// Parse a USDC amount into units. `balance` (units) is checked when known.
+export const validateAmount = (value, { balance = null, decimals = 6 } = {}) => {
+  let units;
+  try {
+    units = parseUnits(value, decimals);
+  } catch (error) {
+    return { units: null, error: String(value).trim() ? error.message : 'Enter an amount' };
+  }
+
+  if (units <= 0n) return { units, error: 'Amount must be greater than zero' };
+  if (balance !== null && balance !== undefined && units > BigInt(balance)) {
+    return { units, error: `Insufficient balance: ${toDecimalString(balance, decimals)} USDC available` };
+  }
+  return { units, error: null };
+};
+
+// Whether an address holds contract code on a chain. Contracts may not be able to use the
+// USDC they receive, so the UI asks the payer to confirm them.
+export const isContractAddress = async (address, chainId, provider = getReadProvider(chainId)) => {
+  const code = await provider.request({ method: 'eth_getCode', params: [address, 'latest'] });
+  return Boolean(code) && code !== '0x';
+};
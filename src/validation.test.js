@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { ZERO_ADDRESS, isContractAddress, validateAmount, validateRecipient } from './validation';
+import { createMockProvider } from './mockProvider';
+
+const CHECKSUMMED = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+describe('validateRecipient', () => {
+  it('accepts checksummed, lowercase and uppercase addresses', () => {
+    expect(validateRecipient(CHECKSUMMED)).toBeNull();
+    expect(validateRecipient(CHECKSUMMED.toLowerCase())).toBeNull();
+    expect(validateRecipient('0x' + CHECKSUMMED.slice(2).toUpperCase())).toBeNull();
+    expect(validateRecipient(`  ${CHECKSUMMED}\n`)).toBeNull();
+  });
+
+  it('rejects mixed-case addresses with a bad checksum', () => {
+    // The last "B" of the checksummed address in lowercase
+    const typo = CHECKSUMMED.replace('eB48', 'eb48');
+    expect(validateRecipient(typo)).toBe('Address checksum does not match. Check it for typos.');
+  });
+
+  it('rejects the zero address', () => {
+    expect(validateRecipient(ZERO_ADDRESS)).toBe('The zero address cannot receive payments');
+  });
+
+  it('rejects empty and malformed input', () => {
+    expect(validateRecipient('')).toBe('Enter a recipient address');
+    expect(validateRecipient('   ')).toBe('Enter a recipient address');
+    expect(validateRecipient(CHECKSUMMED.slice(0, -1))).toBe('Enter a valid address: 0x followed by 40 hex characters');
+    expect(validateRecipient(CHECKSUMMED.slice(2))).toBe('Enter a valid address: 0x followed by 40 hex characters');
+  });
+});
+
+describe('validateAmount', () => {
+  it('parses amounts into units', () => {
+    expect(validateAmount('12.5')).toEqual({ units: 12_500_000n, error: null });
+    expect(validateAmount('0.000001')).toEqual({ units: 1n, error: null });
+  });
+
+  it('asks for an amount when the input is empty', () => {
+    expect(validateAmount('')).toEqual({ units: null, error: 'Enter an amount' });
+    expect(validateAmount('  ')).toEqual({ units: null, error: 'Enter an amount' });
+  });
+
+  it('rejects more than 6 decimal places', () => {
+    expect(validateAmount('1.0000001')).toEqual({ units: null, error: 'At most 6 decimal places are allowed' });
+  });
+
+  it('rejects input that is not a number', () => {
+    expect(validateAmount('1,5').error).toBe('Invalid amount: 1,5');
+    expect(validateAmount('-1').error).toBe('Invalid amount: -1');
+  });
+
+  it('rejects zero', () => {
+    expect(validateAmount('0.00')).toEqual({ units: 0n, error: 'Amount must be greater than zero' });
+  });
+
+  it('rejects amounts over the balance and accepts the full balance', () => {
+    expect(validateAmount('10.000001', { balance: 10_000_000n })).toEqual({
+      units: 10_000_001n,
+      error: 'Insufficient balance: 10 USDC available'
+    });
+    expect(validateAmount('10', { balance: 10_000_000n }).error).toBeNull();
+    // A balance that has not loaded yet is not checked
+    expect(validateAmount('10', { balance: null }).error).toBeNull();
+  });
+});
+
+describe('isContractAddress', () => {
+  it('treats an address without code as an account', async () => {
+    const provider = createMockProvider({
+      handlers: { eth_getCode: ([address]) => (address === CHECKSUMMED ? '0x6080' : '0x') }
+    });
+    expect(await isContractAddress(CHECKSUMMED, 1, provider)).toBe(true);
+    expect(await isContractAddress(ZERO_ADDRESS, 1, provider)).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+import { DEFAULT_WATCH_OPTIONS, TX_STATES } from './transactions';
+import { shortenHex } from './format';
+
+// EIP-5792 call batching: wallets and smart accounts that can submit several calls atomically
+// (wallet_sendCalls) and optionally have their gas sponsored by an ERC-7677 paymaster service
+
+// Paymaster service passed to wallets that advertise the paymasterService capability
+export const PAYMASTER_URL = import.meta.env.VITE_PAYMASTER_URL || '';
+
+const CALLS_VERSION = '2.0.0';
+
+// wallet_getCallsStatus status codes
+const CALLS_STATUS = {
+  pending: 100,
+  confirmed: 200,
+  // The wallet could not submit the calls
+  offchainFailure: 400,
+  reverted: 500,
+  partiallyReverted: 600
+};
+
+const toChainIdHex = (chainId) => '0x' + Number(chainId).toString(16);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const callsError = (state, message, extra) => Object.assign(new Error(message), { state, ...extra });
+
+// Whether the wallet can batch calls atomically on a chain and sponsor their gas. Wallets
+// without EIP-5792 support report neither.
+export const fetchCallCapabilities = async (provider, account, chainId) => {
+  const chainIdHex = toChainIdHex(chainId);
+  try {
+    const capabilities = await provider.request({ method: 'wallet_getCapabilities', params: [account, [chainIdHex]] });
+    // Capabilities shared by every chain are reported under 0x0
+    const chain = { ...capabilities?.['0x0'], ...capabilities?.[chainIdHex] };
+    return {
+      // `ready` wallets upgrade the account to a smart account when the calls are sent;
+      // `atomicBatch` is the capability name used before EIP-5792 version 2
+      atomic: ['supported', 'ready'].includes(chain.atomic?.status) || chain.atomicBatch?.supported === true,
+      paymaster: chain.paymasterService?.supported === true
+    };
+  } catch (error) {
+    return { atomic: false, paymaster: false };
+  }
+};
+
+// Submit `calls` ({ to, data }) as one atomic bundle; resolves to the bundle id
+export const sendCalls = async (provider, { account, chainId, calls, paymasterUrl = null }) => {
+  const result = await provider.request({
+    method: 'wallet_sendCalls',
+    params: [{
+      version: CALLS_VERSION,
+      chainId: toChainIdHex(chainId),
+      from: account,
+      atomicRequired: true,
+      calls: calls.map(({ to, data }) => ({ to, data })),
+      capabilities: paymasterUrl ? { paymasterService: { url: paymasterUrl } } : {}
+    }]
+  });
+  // Version 1 wallets return the id itself
+  return typeof result === 'string' ? result : result.id;
+};
+
+// Version 1 wallets report PENDING or CONFIRMED
+const statusCode = (status) => {
+  if (typeof status === 'number') return status;
+  return status === 'CONFIRMED' ? CALLS_STATUS.confirmed : CALLS_STATUS.pending;
+};
+
+// Wait for a bundle to be included, polling wallet_getCallsStatus with the transaction watcher's
+// backoff and timeout. Resolves to the bundle's receipts; failures carry a TX_STATES
+// `error.state` like watchTransaction. Aborting `signal` stops watching, not the bundle.
+export const watchCalls = async (callsId, {
+  provider = window.ethereum,
+  onUpdate = () => {},
+  signal,
+  ...overrides
+} = {}) => {
+  const { pollInterval, maxPollInterval, backoff, timeout } = { ...DEFAULT_WATCH_OPTIONS, ...overrides };
+  const deadline = Date.now() + timeout;
+  let interval = pollInterval;
+
+  onUpdate({ state: TX_STATES.pending, hash: null });
+
+  while (Date.now() < deadline) {
+    await sleep(interval);
+    signal?.throwIfAborted();
+    interval = Math.min(interval * backoff, maxPollInterval);
+
+    const result = await provider.request({ method: 'wallet_getCallsStatus', params: [callsId] });
+    const status = statusCode(result.status);
+    if (status < CALLS_STATUS.confirmed) continue;
+
+    const receipts = result.receipts || [];
+    const hash = receipts[receipts.length - 1]?.transactionHash || null;
+    if (status === CALLS_STATUS.offchainFailure) {
+      throw callsError(TX_STATES.dropped, 'The wallet could not submit the batched calls', { hash });
+    }
+    if (status >= CALLS_STATUS.reverted || receipts.some(receipt => Number(receipt.status) === 0)) {
+      throw callsError(TX_STATES.reverted, `Batched calls${hash ? ` ${shortenHex(hash)}` : ''} reverted`, { hash });
+    }
+
+    onUpdate({ state: TX_STATES.confirmed, hash });
+    return receipts;
+  }
+
+  throw callsError(TX_STATES.timeout, `Batched calls were not confirmed within ${Math.round(timeout / 60000)} minutes`, {
+    hash: null
+  });
+};
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { fetchCallCapabilities, sendCalls, watchCalls } from './walletCalls';
+import { createMockProvider } from './mockProvider';
+import { TX_STATES } from './transactions';
+import { chainIdByKey } from './chains';
+
+const ACCOUNT = '0x0000000000000000000000000000000000000001';
+const BASE = chainIdByKey('base');
+const BASE_HEX = '0x' + BASE.toString(16);
+const TX_HASH = '0x' + 'aa'.repeat(32);
+const calls = [
+  { to: '0x0000000000000000000000000000000000000002', data: '0x095ea7b3' },
+  { to: '0x0000000000000000000000000000000000000003', data: '0x8e0250ee' }
+];
+
+const watchOptions = { pollInterval: 1, maxPollInterval: 1, timeout: 1000 };
+
+// Wallet whose wallet_getCallsStatus answers with `statuses` in turn, repeating the last one
+const statusProvider = (...statuses) => createMockProvider({
+  handlers: {
+    wallet_getCallsStatus: () => (statuses.length > 1 ? statuses.shift() : statuses[0])
+  }
+});
+
+const receipt = (status = '0x1') => ({ transactionHash: TX_HASH, status });
+
+describe('fetchCallCapabilities', () => {
+  const capabilitiesProvider = (capabilities) => createMockProvider({ handlers: { wallet_getCapabilities: () => capabilities } });
+
+  it('reads atomic batching and paymaster support for the chain', async () => {
+    const provider = capabilitiesProvider({
+      [BASE_HEX]: { atomic: { status: 'supported' }, paymasterService: { supported: true } }
+    });
+    expect(await fetchCallCapabilities(provider, ACCOUNT, BASE)).toEqual({ atomic: true, paymaster: true });
+    expect(provider.requests('wallet_getCapabilities')[0].params).toEqual([ACCOUNT, [BASE_HEX]]);
+  });
+
+  it('accepts capabilities shared by every chain and the version 1 name', async () => {
+    expect(await fetchCallCapabilities(capabilitiesProvider({ '0x0': { atomic: { status: 'ready' } } }), ACCOUNT, BASE))
+      .toEqual({ atomic: true, paymaster: false });
+    expect(await fetchCallCapabilities(capabilitiesProvider({ [BASE_HEX]: { atomicBatch: { supported: true } } }), ACCOUNT, BASE))
+      .toEqual({ atomic: true, paymaster: false });
+  });
+
+  it('reports neither for unsupported atomic status or wallets without EIP-5792', async () => {
+    expect(await fetchCallCapabilities(capabilitiesProvider({ [BASE_HEX]: { atomic: { status: 'unsupported' } } }), ACCOUNT, BASE))
+      .toEqual({ atomic: false, paymaster: false });
+    // The mock provider rejects unknown methods with 4200
+    expect(await fetchCallCapabilities(createMockProvider(), ACCOUNT, BASE)).toEqual({ atomic: false, paymaster: false });
+  });
+});
+
+describe('sendCalls', () => {
+  it('sends an atomic bundle without capabilities when gas is not sponsored', async () => {
+    const provider = createMockProvider({ handlers: { wallet_sendCalls: () => ({ id: '0xbundle' }) } });
+    expect(await sendCalls(provider, { account: ACCOUNT, chainId: BASE, calls })).toBe('0xbundle');
+
+    const [{ params: [request] }] = provider.requests('wallet_sendCalls');
+    expect(request).toMatchObject({ chainId: BASE_HEX, from: ACCOUNT, atomicRequired: true, calls, capabilities: {} });
+  });
+
+  it('passes the paymaster service when gas is sponsored', async () => {
+    const provider = createMockProvider({ handlers: { wallet_sendCalls: () => '0xbundle' } });
+    expect(await sendCalls(provider, { account: ACCOUNT, chainId: BASE, calls, paymasterUrl: 'https://paymaster.test' }))
+      .toBe('0xbundle');
+
+    const [{ params: [request] }] = provider.requests('wallet_sendCalls');
+    expect(request.capabilities).toEqual({ paymasterService: { url: 'https://paymaster.test' } });
+  });
+});
+
+describe('watchCalls', () => {
+  it('waits through pending (100) until confirmed (200)', async () => {
+    const provider = statusProvider({ status: 100 }, { status: 200, receipts: [receipt()] });
+    const states = [];
+
+    const receipts = await watchCalls('0xbundle', { ...watchOptions, provider, onUpdate: ({ state }) => states.push(state) });
+
+    expect(receipts).toEqual([receipt()]);
+    expect(states).toEqual([TX_STATES.pending, TX_STATES.confirmed]);
+    expect(provider.requests('wallet_getCallsStatus')).toHaveLength(2);
+  });
+
+  it('accepts version 1 status strings', async () => {
+    const provider = statusProvider({ status: 'PENDING' }, { status: 'CONFIRMED', receipts: [receipt()] });
+    expect(await watchCalls('0xbundle', { ...watchOptions, provider })).toEqual([receipt()]);
+  });
+
+  it('reports an offchain failure (400) as dropped', async () => {
+    const provider = statusProvider({ status: 400 });
+    await expect(watchCalls('0xbundle', { ...watchOptions, provider })).rejects.toMatchObject({ state: TX_STATES.dropped, hash: null });
+  });
+
+  it('reports reverted (500) and partially reverted (600) bundles as reverted', async () => {
+    for (const status of [500, 600]) {
+      const provider = statusProvider({ status, receipts: [receipt('0x0')] });
+      await expect(watchCalls('0xbundle', { ...watchOptions, provider })).rejects.toMatchObject({ state: TX_STATES.reverted, hash: TX_HASH });
+    }
+  });
+
+  it('treats a confirmed bundle with a failed receipt as reverted', async () => {
+    const provider = statusProvider({ status: 200, receipts: [receipt(), receipt('0x0')] });
+    await expect(watchCalls('0xbundle', { ...watchOptions, provider })).rejects.toMatchObject({ state: TX_STATES.reverted });
+  });
+
+  it('times out while the bundle stays pending', async () => {
+    const provider = statusProvider({ status: 100 });
+    await expect(watchCalls('0xbundle', { ...watchOptions, provider, timeout: 5 })).rejects.toMatchObject({ state: TX_STATES.timeout });
+  });
+});
@@ -0,0 +1,82 @@
+import { CHAIN_CONFIG } from './chains';
+import { getRpcUrl } from './rpc';
+import { createMockProvider } from './mockProvider';
+
+// Wallet layer: every wallet is exposed as { id, name, icon, provider } where `provider`
+// is an EIP-1193 provider, so the rest of the app only ever calls provider.request()
+
+const env = import.meta.env;
+
+export const WALLETCONNECT_PROJECT_ID = env.VITE_WALLETCONNECT_PROJECT_ID || '';
+
+// Offer an in-memory wallet for UI development without a browser extension
+export const MOCK_WALLET_ENABLED = env.VITE_MOCK_WALLET === 'true';
+
+const LAST_WALLET_KEY = 'cctp-gateway:wallet';
+
+// Injected wallets announced through EIP-6963. `onChange` receives the full list whenever a
+// wallet announces itself; the returned function stops listening.
+export const discoverInjectedWallets = (onChange) => {
+  const wallets = new Map();
+
+  const onAnnounce = (event) => {
+    const { info, provider } = event.detail;
+    wallets.set(info.uuid, { id: info.rdns || info.uuid, name: info.name, icon: info.icon, provider });
+    onChange([...wallets.values()]);
+  };
+
+  window.addEventListener('eip6963:announceProvider', onAnnounce);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+
+  // Wallets that predate EIP-6963 only inject window.ethereum
+  if (wallets.size === 0 && window.ethereum) {
+    onChange([{ id: 'injected', name: 'Browser Wallet', icon: null, provider: window.ethereum }]);
+  }
+
+  return () => window.removeEventListener('eip6963:announceProvider', onAnnounce);
+};
+
+// WalletConnect v2 session; the SDK is loaded on demand and shows its own QR modal
+export const connectWalletConnect = async ({ projectId = WALLETCONNECT_PROJECT_ID } = {}) => {
+  if (!projectId) throw new Error('Set VITE_WALLETCONNECT_PROJECT_ID to enable WalletConnect');
+
+  const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+  const chainIds = Object.keys(CHAIN_CONFIG).map(Number);
+  const provider = await EthereumProvider.init({
+    projectId,
+    optionalChains: chainIds,
+    rpcMap: Object.fromEntries(chainIds.map(chainId => [chainId, getRpcUrl(chainId)])),
+    showQrModal: true,
+    metadata: {
+      name: 'CCTP V2 Payment Gateway',
+      description: 'Multichain USDC payments with Circle CCTP V2',
+      url: window.location.origin,
+      icons: []
+    }
+  });
+  await provider.enable();
+  return { id: 'walletconnect', name: 'WalletConnect', icon: null, provider };
+};
+
+export const createMockWallet = () => ({
+  id: 'mock',
+  name: 'Mock Wallet',
+  icon: null,
+  provider: createMockProvider()
+});
+
+// Ask the wallet for its accounts, prompting the user when not yet authorised
+export const requestAccounts = (wallet) => wallet.provider.request({ method: 'eth_requestAccounts' });
+
+export const rememberWallet = (wallet) => {
+  if (wallet) window.localStorage.setItem(LAST_WALLET_KEY, wallet.id);
+  else window.localStorage.removeItem(LAST_WALLET_KEY);
+};
+
+export const lastWalletId = () => window.localStorage.getItem(LAST_WALLET_KEY);
+
+// WalletConnect sessions end on the wallet side as well; injected wallets cannot be disconnected
+export const disconnectWallet = async (wallet) => {
+  if (wallet?.provider.disconnect) await wallet.provider.disconnect();
+  rememberWallet(null);
+};
@@ -0,0 +1,113 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  createMockWallet,
+  disconnectWallet,
+  discoverInjectedWallets,
+  lastWalletId,
+  rememberWallet,
+  requestAccounts
+} from './wallets';
+import { createMockProvider } from './mockProvider';
+
+const ACCOUNT = '0x742d35Cc6634C0532925A3B844BC9E7595f8C2b2';
+
+// Minimal browser window: an event target with localStorage and an optional window.ethereum
+const stubWindow = ({ ethereum } = {}) => {
+  const items = new Map();
+  const target = new EventTarget();
+  vi.stubGlobal('window', Object.assign(target, {
+    ethereum,
+    localStorage: {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+      removeItem: key => items.delete(key)
+    }
+  }));
+  return target;
+};
+
+// Wallet that answers eip6963:requestProvider with an announcement
+const announceOnRequest = (target, info, provider) => {
+  target.addEventListener('eip6963:requestProvider', () => {
+    target.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail: { info, provider } }));
+  });
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('mock wallet', () => {
+  it('exposes an EIP-1193 provider', async () => {
+    const wallet = createMockWallet();
+    expect(wallet).toMatchObject({ id: 'mock', name: 'Mock Wallet' });
+    expect(await requestAccounts(wallet)).toEqual(['0x0000000000000000000000000000000000000001']);
+    expect(wallet.provider.requests('eth_requestAccounts')).toHaveLength(1);
+  });
+});
+
+describe('requestAccounts', () => {
+  it('returns the accounts the wallet authorises', async () => {
+    const provider = createMockProvider({ accounts: [ACCOUNT] });
+    expect(await requestAccounts({ provider })).toEqual([ACCOUNT]);
+  });
+
+  it('passes on a rejected request', async () => {
+    const provider = createMockProvider({
+      handlers: {
+        eth_requestAccounts: () => {
+          throw Object.assign(new Error('User rejected the request'), { code: 4001 });
+        }
+      }
+    });
+    await expect(requestAccounts({ provider })).rejects.toMatchObject({ code: 4001 });
+  });
+});
+
+describe('discoverInjectedWallets', () => {
+  it('lists wallets announced through EIP-6963', () => {
+    const target = stubWindow();
+    const provider = createMockProvider();
+    announceOnRequest(target, { uuid: 'uuid-1', rdns: 'io.example', name: 'Example', icon: 'data:,' }, provider);
+    const onChange = vi.fn();
+
+    const stop = discoverInjectedWallets(onChange);
+    expect(onChange).toHaveBeenLastCalledWith([{ id: 'io.example', name: 'Example', icon: 'data:,', provider }]);
+
+    // Later announcements are added until the listener is removed
+    target.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+      detail: { info: { uuid: 'uuid-2', name: 'Other', icon: null }, provider }
+    }));
+    expect(onChange.mock.lastCall[0].map(wallet => wallet.id)).toEqual(['io.example', 'uuid-2']);
+
+    stop();
+    target.dispatchEvent(new CustomEvent('eip6963:announceProvider', {
+      detail: { info: { uuid: 'uuid-3', name: 'Late', icon: null }, provider }
+    }));
+    expect(onChange).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to window.ethereum when no wallet announces itself', () => {
+    const ethereum = createMockProvider();
+    stubWindow({ ethereum });
+    const onChange = vi.fn();
+
+    discoverInjectedWallets(onChange)();
+    expect(onChange).toHaveBeenCalledWith([{ id: 'injected', name: 'Browser Wallet', icon: null, provider: ethereum }]);
+  });
+});
+
+describe('remembered wallet', () => {
+  it('stores and clears the last wallet', async () => {
+    stubWindow();
+    const wallet = createMockWallet();
+    wallet.provider.disconnect = vi.fn();
+
+    rememberWallet(wallet);
+    expect(lastWalletId()).toBe('mock');
+
+    await disconnectWallet(wallet);
+    expect(wallet.provider.disconnect).toHaveBeenCalled();
+    expect(lastWalletId()).toBeNull();
+  });
+});
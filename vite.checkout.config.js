@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+// Script-tag build of the checkout SDK: dist/checkout/checkout.js exposes window.CCTPCheckout
+export default defineConfig({
+  plugins: [react()],
+  define: {
+    'process.env.NODE_ENV': JSON.stringify('production')
+  },
+  build: {
+    outDir: 'dist/checkout',
+    lib: {
+      entry: 'src/checkout.jsx',
+      name: 'CCTPCheckout',
+      formats: ['iife'],
+      fileName: () => 'checkout.js'
+    }
+  }
+});
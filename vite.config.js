@@ -1,6 +1,16 @@
+import { resolve } from 'path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
+  build: {
+    rollupOptions: {
+      // checkout.html is the iframe version of the embeddable checkout widget
+      input: {
+        main: resolve(__dirname, 'index.html'),
+        checkout: resolve(__dirname, 'checkout.html')
+      }
+    }
+  }
 });